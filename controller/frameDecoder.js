@@ -0,0 +1,222 @@
+class FrameDecoder {
+    // Groups RX bytes into frames and pairs each frame with the command that
+    // caused it. A frame ends when the line goes quiet for gapMs, when it
+    // reaches the response length set for the last instruction, or when it
+    // hits maxFrameLength. Every frame is reported as an exchange with the
+    // last TX and the time from that TX to the frame's first byte; a TX that
+    // gets nothing back within responseTimeoutMs is reported on its own, and a
+    // frame arriving after that is reported as late, without a latency.
+    constructor(options = {}) {
+        this.gapMs = options.gapMs || 20;
+        this.responseTimeoutMs = options.responseTimeoutMs || 1000;
+        this.maxFrameLength = options.maxFrameLength || 64;
+        this.responseLengths = {}; // instruction -> expected RX bytes
+        this.onExchange = null; // ({ tx, frame, latencyMs, index, late })
+
+        this.frame = null; // { bytes, startedAt, lastByteAt }
+        this.lastTx = null; // { bytes, instruction, label, sentAt, frames }
+        this.gapTimer = null;
+        this.responseTimer = null;
+    }
+
+    static toHex(bytes) {
+        return Array.from(bytes)
+            .map(byte => `0x${byte.toString(16).toUpperCase().padStart(2, '0')}`)
+            .join(' ');
+    }
+
+    setResponseLength(instruction, length) {
+        if (length === null || length === undefined || length === '') {
+            delete this.responseLengths[instruction];
+            return;
+        }
+        if (!Number.isInteger(length) || length < 1 || length > this.maxFrameLength) {
+            throw new Error(`Response length must be 1-${this.maxFrameLength} bytes`);
+        }
+        this.responseLengths[instruction] = length;
+    }
+
+    setGap(gapMs) {
+        if (!Number.isFinite(gapMs) || gapMs < 1) {
+            throw new Error('Frame gap must be at least 1 ms');
+        }
+        this.gapMs = gapMs;
+    }
+
+    // A command went out: whatever is still framing belongs to the previous one
+    recordTx(bytes, label, now = Date.now()) {
+        this.closeFrame('tx', now);
+        this.finishTx();
+
+        this.lastTx = {
+            bytes: Array.from(bytes),
+            instruction: bytes[0],
+            label: label,
+            sentAt: now,
+            frames: 0
+        };
+
+        this.responseTimer = setTimeout(() => {
+            this.responseTimer = null;
+            if (this.lastTx && this.lastTx.frames === 0 && !this.frame) {
+                this.finishTx();
+            }
+        }, this.responseTimeoutMs);
+    }
+
+    // A TX that never got a frame is reported once, with no frame
+    finishTx() {
+        if (this.responseTimer) {
+            clearTimeout(this.responseTimer);
+            this.responseTimer = null;
+        }
+        if (this.lastTx && this.lastTx.frames === 0) {
+            this.lastTx.frames = -1; // reported
+            this.emit({ tx: this.lastTx, frame: null, latencyMs: null, index: 0, late: false });
+        }
+    }
+
+    push(bytes, now = Date.now()) {
+        for (const byte of bytes) {
+            if (!this.frame) {
+                this.frame = { bytes: [], startedAt: now, lastByteAt: now };
+            }
+            this.frame.bytes.push(byte);
+            this.frame.lastByteAt = now;
+
+            const expected = this.lastTx ? this.responseLengths[this.lastTx.instruction] : undefined;
+            if (expected && this.frame.bytes.length >= expected && this.lastTx.frames === 0) {
+                this.closeFrame('length', now);
+            } else if (this.frame.bytes.length >= this.maxFrameLength) {
+                this.closeFrame('overflow', now);
+            }
+        }
+
+        this.armGapTimer();
+    }
+
+    armGapTimer() {
+        if (this.gapTimer) {
+            clearTimeout(this.gapTimer);
+            this.gapTimer = null;
+        }
+        if (this.frame) {
+            this.gapTimer = setTimeout(() => {
+                this.gapTimer = null;
+                this.closeFrame('gap', this.frame ? this.frame.lastByteAt : Date.now());
+            }, this.gapMs);
+        }
+    }
+
+    // reason: 'gap', 'length', 'overflow' or 'tx' (cut short by the next command)
+    closeFrame(reason, now = Date.now()) {
+        if (!this.frame) {
+            return;
+        }
+
+        const frame = { ...this.frame, endedAt: now, reason: reason };
+        this.frame = null;
+        if (this.gapTimer) {
+            clearTimeout(this.gapTimer);
+            this.gapTimer = null;
+        }
+
+        const tx = this.lastTx;
+        let latencyMs = null;
+        let index = 0;
+        if (tx && tx.frames < 0) {
+            // "No response" was already reported for this command
+            this.emit({ tx: tx, frame: frame, latencyMs: null, index: 0, late: true });
+            return;
+        }
+        if (tx) {
+            if (tx.frames === 0) {
+                // First frame after the command: that is the response
+                latencyMs = frame.startedAt - tx.sentAt;
+                if (this.responseTimer) {
+                    clearTimeout(this.responseTimer);
+                    this.responseTimer = null;
+                }
+            }
+            tx.frames++;
+            index = tx.frames;
+        }
+
+        this.emit({ tx: tx, frame: frame, latencyMs: latencyMs, index: index, late: false });
+    }
+
+    emit(exchange) {
+        if (this.onExchange) {
+            this.onExchange(exchange);
+        }
+    }
+
+    // Report whatever is still open, e.g. before disconnecting
+    flush(now = Date.now()) {
+        this.closeFrame('gap', now);
+        this.finishTx();
+    }
+
+    reset() {
+        for (const timer of [this.gapTimer, this.responseTimer]) {
+            if (timer) {
+                clearTimeout(timer);
+            }
+        }
+        this.gapTimer = null;
+        this.responseTimer = null;
+        this.frame = null;
+        this.lastTx = null;
+    }
+
+    // Test methods for validation
+    static runSelfTest() {
+        const decoder = new FrameDecoder({ gapMs: 20 });
+        const exchanges = [];
+        decoder.onExchange = (exchange) => exchanges.push(exchange);
+        decoder.setResponseLength(0x47, 3);
+
+        // Length rule closes the frame on its own; the extra byte starts a new frame
+        decoder.recordTx([0x47, 0x00], 'Read', 1000);
+        decoder.push([0x12, 0x34], 1012);
+        decoder.push([0x56, 0x78], 1013);
+        decoder.closeFrame('gap', 1040);
+
+        // Without a rule the next TX cuts the frame
+        decoder.recordTx([0x4F, 0x00], 'Start-0', 2000);
+        decoder.push([0xAA], 2005);
+        decoder.recordTx([0x8D, 0x27], 'Start-1', 2100);
+        decoder.recordTx([0x4E, 0x00], 'Pulse-0', 2200);
+
+        // A frame after "no response" was reported is late, not the response
+        decoder.finishTx();
+        decoder.push([0x99], 3500);
+        decoder.closeFrame('gap', 3520);
+        decoder.reset();
+
+        const results = [
+            { name: 'length rule', passed: exchanges[0].frame.reason === 'length' && FrameDecoder.toHex(exchanges[0].frame.bytes) === '0x12 0x34 0x56' },
+            { name: 'latency', passed: exchanges[0].latencyMs === 12 && exchanges[0].index === 1 },
+            { name: 'trailing frame', passed: exchanges[1].index === 2 && exchanges[1].latencyMs === null && exchanges[1].tx.label === 'Read' },
+            { name: 'cut by next tx', passed: exchanges[2].frame.reason === 'tx' && exchanges[2].tx.label === 'Start-0' && exchanges[2].latencyMs === 5 },
+            { name: 'no response', passed: exchanges[3].frame === null && exchanges[3].tx.label === 'Start-1' },
+            { name: 'late frame', passed: exchanges[4].frame === null && exchanges[4].tx.label === 'Pulse-0' &&
+                exchanges[5].late && exchanges[5].tx.label === 'Pulse-0' && exchanges[5].latencyMs === null && exchanges[5].index === 0 },
+            { name: 'exchange count', passed: exchanges.length === 6 }
+        ];
+
+        let rejected = false;
+        try {
+            decoder.setResponseLength(0x47, 0);
+        } catch (error) {
+            rejected = true;
+        }
+        results.push({ name: 'length validation', passed: rejected });
+        return results;
+    }
+}
+
+// CommonJS export for Node (self-test)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = FrameDecoder;
+}
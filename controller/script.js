@@ -26,9 +26,20 @@ class NanoxController {
             { instruction: 0x40, function: 'Unknown/Debug', arguments: [0x00] }
         ];
 
+        // RX framing and TX/RX pairing; response lengths are learned by hand, so they persist
+        this.decoder = new FrameDecoder();
+        this.decoder.onExchange = (exchange) => {
+            this.logExchange(exchange);
+            this.explorer.handleExchange(exchange);
+            this.sequence.handleExchange(exchange);
+        };
+        this.loadResponseLengths();
+
         this.initializeElements();
         this.initializeEventListeners();
         this.populateCommandTable();
+        this.explorer = new SweepExplorer(this);
+        this.sequence = new SequenceBuilder(this);
         this.checkWebSerialSupport();
     }
 
@@ -42,7 +53,9 @@ class NanoxController {
             statusIndicator: document.getElementById('status-indicator'),
             logContainer: document.getElementById('log-container'),
             commandTable: document.getElementById('command-table'),
-            commandTbody: document.getElementById('command-tbody')
+            commandTbody: document.getElementById('command-tbody'),
+            frameGap: document.getElementById('frame-gap'),
+            responseTimeout: document.getElementById('response-timeout')
         };
     }
 
@@ -50,6 +63,42 @@ class NanoxController {
         this.elements.connectBtn.addEventListener('click', () => this.toggleConnection());
         this.elements.sendBtn.addEventListener('click', () => this.sendCommand());
         this.elements.clearLogBtn.addEventListener('click', () => this.clearLog());
+
+        this.elements.frameGap.value = this.decoder.gapMs;
+        this.elements.frameGap.addEventListener('change', () => {
+            try {
+                this.decoder.setGap(parseInt(this.elements.frameGap.value));
+            } catch (error) {
+                this.logMessage(`ERROR: ${error.message}`, 'error');
+                this.elements.frameGap.value = this.decoder.gapMs;
+            }
+        });
+
+        this.elements.responseTimeout.value = this.decoder.responseTimeoutMs;
+        this.elements.responseTimeout.addEventListener('change', () => {
+            const timeout = parseInt(this.elements.responseTimeout.value);
+            if (isNaN(timeout) || timeout < 10) {
+                this.logMessage('ERROR: Response timeout must be at least 10 ms', 'error');
+                this.elements.responseTimeout.value = this.decoder.responseTimeoutMs;
+                return;
+            }
+            this.decoder.responseTimeoutMs = timeout;
+        });
+    }
+
+    loadResponseLengths() {
+        try {
+            const saved = JSON.parse(localStorage.getItem('nanox-response-lengths') || '{}');
+            for (const [instruction, length] of Object.entries(saved)) {
+                this.decoder.setResponseLength(parseInt(instruction), length);
+            }
+        } catch (error) {
+            console.warn('Failed to load response lengths:', error);
+        }
+    }
+
+    saveResponseLengths() {
+        localStorage.setItem('nanox-response-lengths', JSON.stringify(this.decoder.responseLengths));
     }
 
     checkWebSerialSupport() {
@@ -79,9 +128,26 @@ class NanoxController {
                         `).join('')}
                     </div>
                 </td>
+                <td>
+                    <input type="number" class="length-input" id="len-${index}" min="1" max="${this.decoder.maxFrameLength}"
+                           placeholder="gap" value="${this.decoder.responseLengths[cmd.instruction] || ''}">
+                </td>
             `;
             this.elements.commandTbody.appendChild(row);
 
+            // Expected response length for this instruction (blank = frame by gap only)
+            const lengthInput = row.querySelector(`#len-${index}`);
+            lengthInput.addEventListener('change', () => {
+                try {
+                    const length = lengthInput.value === '' ? null : parseInt(lengthInput.value);
+                    this.decoder.setResponseLength(cmd.instruction, length);
+                    this.saveResponseLengths();
+                } catch (error) {
+                    this.logMessage(`ERROR: ${error.message}`, 'error');
+                    lengthInput.value = this.decoder.responseLengths[cmd.instruction] || '';
+                }
+            });
+
             // Add event listener for command selection
             const radioBtn = row.querySelector(`#cmd-${index}`);
             radioBtn.addEventListener('change', () => {
@@ -139,8 +205,16 @@ class NanoxController {
     updateSendButtonState() {
         const canSend = this.isConnected && 
                        this.selectedCommand !== null && 
-                       this.selectedArgument !== null;
+                       this.selectedArgument !== null &&
+                       !this.isBusy();
         this.elements.sendBtn.disabled = !canSend;
+        this.explorer.updateControls();
+        this.sequence.updateControls();
+    }
+
+    // A sweep or a sequence owns the link until it ends: no other TX in between
+    isBusy() {
+        return [this.explorer, this.sequence].some(tool => tool && tool.running);
     }
 
     async toggleConnection() {
@@ -202,6 +276,9 @@ class NanoxController {
 
     async disconnect() {
         try {
+            this.decoder.flush();
+            this.decoder.reset();
+
             if (this.reader) {
                 await this.reader.cancel();
                 await this.reader.releaseLock();
@@ -249,11 +326,7 @@ class NanoxController {
     }
 
     handleReceivedData(data) {
-        const hexData = Array.from(data)
-            .map(byte => `0x${byte.toString(16).toUpperCase().padStart(2, '0')}`)
-            .join(' ');
-        
-        this.logMessage(`RX: ${hexData}`, 'rx');
+        this.decoder.push(data);
     }
 
     async sendCommand() {
@@ -263,21 +336,24 @@ class NanoxController {
 
         try {
             const cmd = this.commands[this.selectedCommand];
-            const command = new Uint8Array([cmd.instruction, this.selectedArgument]);
-            
-            await this.writer.write(command);
-            
-            const hexData = Array.from(command)
-                .map(byte => `0x${byte.toString(16).toUpperCase().padStart(2, '0')}`)
-                .join(' ');
-            
-            this.logMessage(`TX: ${hexData} (${cmd.function})`, 'tx');
-            
+            await this.transmit(new Uint8Array([cmd.instruction, this.selectedArgument]), cmd.function);
         } catch (error) {
             this.handleConnectionError('Send failed', error);
         }
     }
 
+    // Every command goes out here so the decoder can pair it with its response.
+    // The TX is recorded first: a fast reply must not land on the previous command.
+    async transmit(command, label) {
+        if (!this.isConnected || !this.writer) {
+            throw new Error('Not connected');
+        }
+
+        // Logged together with its response (or its timeout)
+        this.decoder.recordTx(command, label);
+        await this.writer.write(command);
+    }
+
     handleConnectionError(message, error) {
         console.error(message, error);
         this.logMessage(`ERROR: ${message} - ${error.message}`, 'error');
@@ -296,10 +372,46 @@ class NanoxController {
         }
     }
 
+    // One row per exchange: the command, its response frame and the latency
+    logExchange(exchange) {
+        const { tx, frame, latencyMs, index, late } = exchange;
+        const at = tx && !late && index <= 1 ? tx.sentAt : frame.startedAt;
+        const txText = tx ? `${FrameDecoder.toHex(tx.bytes)} (${tx.label})` : '';
+        const rxText = frame ? FrameDecoder.toHex(frame.bytes) : '';
+
+        let directionClass;
+        let data;
+        let details = '';
+        if (!frame) {
+            directionClass = 'timeout';
+            data = `${txText} → no response`;
+        } else if (!tx) {
+            directionClass = 'rx';
+            data = `${rxText} (unsolicited)`;
+        } else if (late) {
+            directionClass = 'rx';
+            data = `${rxText} (late, after ${tx.label} got no response)`;
+        } else if (index === 1) {
+            directionClass = 'pair';
+            data = `${txText} → ${rxText}`;
+            details = `${latencyMs} ms`;
+        } else {
+            directionClass = 'rx';
+            data = `${rxText} (frame ${index} after ${tx.label})`;
+        }
+
+        const directions = { timeout: 'TX', rx: 'RX', pair: 'TX/RX' };
+        if (frame) {
+            details += `${details ? ', ' : ''}${frame.bytes.length} B, ${frame.reason}`;
+        }
+        this.appendLogEntry(new Date(at).toLocaleTimeString(), directionClass, directions[directionClass], `
+            <span class="log-data">${data}</span>
+            ${details ? `<span class="log-details">${details}</span>` : ''}
+        `);
+    }
+
     logMessage(message, type = 'info') {
         const timestamp = new Date().toLocaleTimeString();
-        const logEntry = document.createElement('div');
-        logEntry.className = 'log-entry';
         
         let directionClass = '';
         let directionText = '';
@@ -318,10 +430,18 @@ class NanoxController {
             directionText = 'INFO';
         }
 
+        this.appendLogEntry(timestamp, directionClass, directionText, `
+            <span class="log-data">${message.replace(/^(TX|RX|ERROR|INFO):\s*/, '')}</span>
+        `);
+    }
+
+    appendLogEntry(timestamp, directionClass, directionText, content) {
+        const logEntry = document.createElement('div');
+        logEntry.className = 'log-entry';
         logEntry.innerHTML = `
             <span class="log-timestamp">${timestamp}</span>
             <span class="log-direction ${directionClass}">${directionText}</span>
-            <span class="log-data">${message.replace(/^(TX|RX|ERROR|INFO):\s*/, '')}</span>
+            ${content}
         `;
 
         this.elements.logContainer.appendChild(logEntry);
@@ -334,6 +454,18 @@ class NanoxController {
         }
     }
 
+    downloadFile(filename, text, type) {
+        const blob = new Blob([text], { type: type });
+        const url = URL.createObjectURL(blob);
+        const a = document.createElement('a');
+        a.href = url;
+        a.download = filename;
+        document.body.appendChild(a);
+        a.click();
+        document.body.removeChild(a);
+        URL.revokeObjectURL(url);
+    }
+
     clearLog() {
         this.elements.logContainer.innerHTML = '';
         this.logMessage('Log cleared', 'info');
@@ -0,0 +1,500 @@
+class SequenceBuilder {
+    // Sends an ordered list of instruction/argument steps, e.g. the captured
+    // Start-0 ... Pulse-8/End exposure sequence, with a delay after each step.
+    // A step with an expected RX pattern waits for a matching response frame;
+    // no match within the wait timeout aborts the run, and with "abort on
+    // unexpected response" so does any frame answering this run's TX that no
+    // waiting step expects, including frames during delays and after steps
+    // without a pattern. Abort stops sending at once; nothing is sent to undo
+    // the steps already out.
+    constructor(controller) {
+        this.controller = controller;
+        this.steps = []; // { instruction, argument, delayMs, expect }
+        this.running = false;
+        this.abortReason = null;
+        this.waiter = null; // { match, resolve, timer } during a step's wait or delay
+        this.runCount = 0;
+        this.runState = null; // { labels, abortOnUnexpected } while running
+        this.statusCells = [];
+
+        this.initializeElements();
+        this.initializeEventListeners();
+        this.renderSteps();
+        this.updateControls();
+    }
+
+    initializeElements() {
+        this.elements = {
+            waitTimeout: document.getElementById('sequence-wait-timeout'),
+            abortOnUnexpected: document.getElementById('sequence-abort-on-unexpected'),
+            addStepBtn: document.getElementById('sequence-add-btn'),
+            runBtn: document.getElementById('sequence-run-btn'),
+            abortBtn: document.getElementById('sequence-abort-btn'),
+            saveBtn: document.getElementById('sequence-save-btn'),
+            loadBtn: document.getElementById('sequence-load-btn'),
+            fileInput: document.getElementById('sequence-file-input'),
+            clearBtn: document.getElementById('sequence-clear-btn'),
+            status: document.getElementById('sequence-status'),
+            stepsTbody: document.getElementById('sequence-tbody')
+        };
+    }
+
+    initializeEventListeners() {
+        this.elements.addStepBtn.addEventListener('click', () => this.addStep());
+        this.elements.runBtn.addEventListener('click', () => this.run());
+        this.elements.abortBtn.addEventListener('click', () => this.abort());
+        this.elements.saveBtn.addEventListener('click', () => this.save());
+        this.elements.loadBtn.addEventListener('click', () => this.elements.fileInput.click());
+        this.elements.fileInput.addEventListener('change', () => this.load());
+        this.elements.clearBtn.addEventListener('click', () => {
+            if (this.steps.length > 0 && confirm('Remove every step from the sequence?')) {
+                this.steps = [];
+                this.renderSteps();
+            }
+        });
+    }
+
+    // Space-separated hex bytes, "??" for any byte: "0x12 ?? 0x34". The frame
+    // must have exactly as many bytes as the pattern. Blank = no expectation.
+    static parsePattern(text) {
+        const tokens = String(text).trim().split(/[\s,]+/).filter(token => token !== '');
+        if (tokens.length === 0) {
+            return null;
+        }
+        return tokens.map(token => token === '??' ? null : SweepExplorer.parseByte(token, `Pattern byte "${token}"`));
+    }
+
+    static formatPattern(pattern) {
+        return pattern ? pattern.map(byte => byte === null ? '??' : SweepExplorer.hexByte(byte)).join(' ') : '';
+    }
+
+    static matchPattern(pattern, bytes) {
+        return bytes.length === pattern.length && pattern.every((byte, index) => byte === null || byte === bytes[index]);
+    }
+
+    // Saved file: hex bytes as strings so it can be read and edited by hand
+    static serialize(sequence) {
+        return {
+            version: 1,
+            waitTimeoutMs: sequence.waitTimeoutMs,
+            abortOnUnexpected: sequence.abortOnUnexpected,
+            steps: sequence.steps.map(step => ({
+                instruction: SweepExplorer.hexByte(step.instruction),
+                argument: SweepExplorer.hexByte(step.argument),
+                delayMs: step.delayMs,
+                expect: step.expect
+            }))
+        };
+    }
+
+    static deserialize(data) {
+        if (!data || !Array.isArray(data.steps)) {
+            throw new Error('Not a sequence file: "steps" is missing');
+        }
+
+        const waitTimeoutMs = data.waitTimeoutMs === undefined ? 1000 : data.waitTimeoutMs;
+        if (!Number.isInteger(waitTimeoutMs) || waitTimeoutMs < 10) {
+            throw new Error('Wait timeout must be at least 10 ms');
+        }
+
+        const steps = data.steps.map((step, index) => {
+            const name = `Step ${index + 1}`;
+            const delayMs = step.delayMs === undefined ? 0 : step.delayMs;
+            if (!Number.isInteger(delayMs) || delayMs < 0) {
+                throw new Error(`${name}: delay must be 0 ms or more`);
+            }
+            return {
+                instruction: SweepExplorer.parseByte(step.instruction, `${name} instruction`),
+                argument: SweepExplorer.parseByte(step.argument, `${name} argument`),
+                delayMs: delayMs,
+                expect: SequenceBuilder.formatPattern(SequenceBuilder.parsePattern(step.expect || ''))
+            };
+        });
+
+        return { waitTimeoutMs, abortOnUnexpected: Boolean(data.abortOnUnexpected), steps };
+    }
+
+    knownFunction(instruction) {
+        const known = this.controller.commands.find(cmd => cmd.instruction === instruction);
+        return known ? known.function : '';
+    }
+
+    // New steps copy the command selected in the table, if any
+    addStep() {
+        const controller = this.controller;
+        const cmd = controller.commands[controller.selectedCommand !== null ? controller.selectedCommand : 0];
+        this.steps.push({
+            instruction: cmd.instruction,
+            argument: controller.selectedCommand !== null && controller.selectedArgument !== null
+                ? controller.selectedArgument
+                : cmd.arguments[0],
+            delayMs: 100,
+            expect: ''
+        });
+        this.renderSteps();
+    }
+
+    moveStep(index, offset) {
+        const target = index + offset;
+        if (target < 0 || target >= this.steps.length) {
+            return;
+        }
+        [this.steps[index], this.steps[target]] = [this.steps[target], this.steps[index]];
+        this.renderSteps();
+    }
+
+    removeStep(index) {
+        this.steps.splice(index, 1);
+        this.renderSteps();
+    }
+
+    renderSteps() {
+        this.elements.stepsTbody.innerHTML = '';
+        this.statusCells = this.steps.map((step, index) => {
+            const { row, statusCell } = this.createStepRow(step, index);
+            this.elements.stepsTbody.appendChild(row);
+            return statusCell;
+        });
+        this.updateControls();
+    }
+
+    createStepRow(step, index) {
+        const row = document.createElement('tr');
+        row.innerHTML = `
+            <td>${index + 1}</td>
+            <td><input type="text" class="byte-input" data-field="instruction" aria-label="Step ${index + 1} instruction"></td>
+            <td><input type="text" class="byte-input" data-field="argument" aria-label="Step ${index + 1} argument"></td>
+            <td class="step-known"></td>
+            <td><input type="number" class="delay-input" data-field="delayMs" min="0" aria-label="Step ${index + 1} delay"></td>
+            <td><input type="text" class="pattern-input" data-field="expect" placeholder="any" aria-label="Step ${index + 1} expected RX"></td>
+            <td class="step-status"></td>
+            <td class="step-actions">
+                <button data-action="up" title="Move up">▲</button>
+                <button data-action="down" title="Move down">▼</button>
+                <button data-action="remove" title="Remove step">✕</button>
+            </td>
+        `;
+
+        const known = row.querySelector('.step-known');
+        const fields = {
+            instruction: {
+                show: () => SweepExplorer.hexByte(step.instruction),
+                parse: (text) => SweepExplorer.parseByte(text, 'Instruction')
+            },
+            argument: {
+                show: () => SweepExplorer.hexByte(step.argument),
+                parse: (text) => SweepExplorer.parseByte(text, 'Argument')
+            },
+            delayMs: {
+                show: () => step.delayMs,
+                parse: (text) => {
+                    const delayMs = parseInt(text);
+                    if (isNaN(delayMs) || delayMs < 0) {
+                        throw new Error('Delay must be 0 ms or more');
+                    }
+                    return delayMs;
+                }
+            },
+            expect: {
+                show: () => step.expect,
+                parse: (text) => SequenceBuilder.formatPattern(SequenceBuilder.parsePattern(text))
+            }
+        };
+
+        // Invalid edits are logged and put back to the step's current value
+        for (const [field, { show, parse }] of Object.entries(fields)) {
+            const input = row.querySelector(`[data-field="${field}"]`);
+            input.value = show();
+            input.addEventListener('change', () => {
+                try {
+                    step[field] = parse(input.value);
+                } catch (error) {
+                    this.controller.logMessage(`ERROR: Step ${index + 1}: ${error.message}`, 'error');
+                }
+                input.value = show();
+                known.textContent = this.knownFunction(step.instruction);
+            });
+        }
+        known.textContent = this.knownFunction(step.instruction);
+
+        row.querySelector('[data-action="up"]').addEventListener('click', () => this.moveStep(index, -1));
+        row.querySelector('[data-action="down"]').addEventListener('click', () => this.moveStep(index, 1));
+        row.querySelector('[data-action="remove"]').addEventListener('click', () => this.removeStep(index));
+
+        return { row, statusCell: row.querySelector('.step-status') };
+    }
+
+    setStepStatus(index, status, text) {
+        const cell = this.statusCells[index];
+        cell.className = `step-status ${status}`;
+        cell.textContent = text;
+    }
+
+    readWaitTimeout() {
+        const timeout = parseInt(this.elements.waitTimeout.value);
+        if (isNaN(timeout) || timeout < 10) {
+            throw new Error('Wait timeout must be at least 10 ms');
+        }
+        return timeout;
+    }
+
+    async run() {
+        if (this.controller.isBusy()) {
+            return;
+        }
+        if (this.steps.length === 0) {
+            this.controller.logMessage('ERROR: The sequence has no steps', 'error');
+            return;
+        }
+
+        let waitTimeoutMs;
+        try {
+            waitTimeoutMs = this.readWaitTimeout();
+        } catch (error) {
+            this.controller.logMessage(`ERROR: ${error.message}`, 'error');
+            return;
+        }
+        const abortOnUnexpected = this.elements.abortOnUnexpected.checked;
+
+        this.running = true;
+        this.abortReason = null;
+        this.runCount++;
+        this.runState = { labels: [], abortOnUnexpected: abortOnUnexpected };
+        this.statusCells.forEach((_, index) => this.setStepStatus(index, '', ''));
+        this.controller.updateSendButtonState();
+        this.controller.logMessage(`Sequence started: ${this.steps.length} steps`, 'info');
+
+        const steps = this.steps.map(step => ({ ...step }));
+        let completed = 0;
+        try {
+            for (let index = 0; index < steps.length && !this.abortReason; index++) {
+                const step = steps[index];
+                const known = this.knownFunction(step.instruction);
+                const label = `Sequence ${this.runCount} step ${index + 1}${known ? ` (${known})` : ''}`;
+                const pattern = SequenceBuilder.parsePattern(step.expect);
+                this.runState.labels.push(label);
+                this.setStatus(`Step ${index + 1}/${steps.length}: ${SweepExplorer.hexByte(step.instruction)} ${SweepExplorer.hexByte(step.argument)}`);
+
+                // Waiting starts before the TX so a fast response cannot slip past
+                const response = pattern ? this.wait(waitTimeoutMs, { label, pattern, abortOnUnexpected }) : null;
+                this.setStepStatus(index, 'sent', 'sent');
+                await this.controller.transmit(new Uint8Array([step.instruction, step.argument]), label);
+
+                if (response) {
+                    this.setStepStatus(index, 'waiting', `waiting for ${step.expect}`);
+                    const outcome = await response;
+                    if (outcome.status !== 'matched') {
+                        const reasons = {
+                            timeout: `no ${step.expect} within ${waitTimeoutMs} ms`,
+                            unexpected: `unexpected ${outcome.bytes ? FrameDecoder.toHex(outcome.bytes) : ''}`,
+                            aborted: 'aborted'
+                        };
+                        this.setStepStatus(index, 'failed', reasons[outcome.status]);
+                        if (!this.abortReason) {
+                            this.abortReason = `step ${index + 1}: ${reasons[outcome.status]}`;
+                        }
+                        break;
+                    }
+                    this.setStepStatus(index, 'matched', FrameDecoder.toHex(outcome.bytes));
+                }
+
+                completed++;
+                if (step.delayMs > 0 && index < steps.length - 1 && !this.abortReason) {
+                    await this.wait(step.delayMs);
+                }
+            }
+        } catch (error) {
+            this.abortReason = error.message;
+            this.controller.handleConnectionError('Sequence failed', error);
+        }
+
+        if (this.waiter) {
+            this.waiter.resolve({ status: 'aborted' });
+        }
+        this.running = false;
+        this.runState = null;
+        this.controller.updateSendButtonState();
+
+        const summary = this.abortReason
+            ? `Sequence aborted after ${completed}/${steps.length} steps: ${this.abortReason}`
+            : `Sequence completed: ${steps.length} steps`;
+        this.setStatus(summary);
+        this.controller.logMessage(summary, this.abortReason ? 'error' : 'info');
+    }
+
+    // Stops before the next TX; a step waiting for its response or delay wakes up now
+    abort(reason = 'aborted by operator') {
+        if (!this.running) {
+            return;
+        }
+        if (!this.abortReason) {
+            this.abortReason = reason;
+        }
+        if (this.waiter) {
+            this.waiter.resolve({ status: 'aborted' });
+        }
+    }
+
+    // A plain delay when match is null, otherwise the wait for a response frame
+    wait(ms, match = null) {
+        return new Promise(resolve => {
+            const waiter = {
+                match: match,
+                resolve: (outcome) => {
+                    clearTimeout(waiter.timer);
+                    if (this.waiter === waiter) {
+                        this.waiter = null;
+                    }
+                    resolve(outcome);
+                }
+            };
+            waiter.timer = setTimeout(() => waiter.resolve({ status: match ? 'timeout' : 'elapsed' }), ms);
+            this.waiter = waiter;
+        });
+    }
+
+    // What a frame answering `label` means for the run: 'matched' settles the
+    // waiting step, 'unexpected' aborts (only with abortOnUnexpected), null
+    // leaves it alone (another run's TX, or unexpected frames are tolerated)
+    static classifyFrame(run, match, label, bytes) {
+        if (!run || !run.labels.includes(label)) {
+            return null;
+        }
+        if (match && match.label === label && SequenceBuilder.matchPattern(match.pattern, bytes)) {
+            return 'matched';
+        }
+        return run.abortOnUnexpected ? 'unexpected' : null;
+    }
+
+    // Called for every decoder exchange
+    handleExchange(exchange) {
+        if (!this.running || !exchange.frame || !exchange.tx) {
+            return;
+        }
+
+        const waiter = this.waiter;
+        const match = waiter ? waiter.match : null;
+        const label = exchange.tx.label;
+        const bytes = exchange.frame.bytes;
+        const outcome = SequenceBuilder.classifyFrame(this.runState, match, label, bytes);
+        if (outcome === 'matched' || (outcome === 'unexpected' && match && match.label === label)) {
+            waiter.resolve({ status: outcome, bytes });
+        } else if (outcome === 'unexpected') {
+            // Nothing waits for this frame: a step without a pattern, a delay, or a step already matched
+            const index = this.runState.labels.indexOf(label);
+            const reason = `unexpected ${FrameDecoder.toHex(bytes)}`;
+            this.setStepStatus(index, 'failed', reason);
+            this.abort(`step ${index + 1}: ${reason}`);
+        }
+    }
+
+    save() {
+        if (this.steps.length === 0) {
+            this.controller.logMessage('ERROR: The sequence has no steps', 'error');
+            return;
+        }
+
+        let waitTimeoutMs;
+        try {
+            waitTimeoutMs = this.readWaitTimeout();
+        } catch (error) {
+            this.controller.logMessage(`ERROR: ${error.message}`, 'error');
+            return;
+        }
+        const data = SequenceBuilder.serialize({
+            waitTimeoutMs: waitTimeoutMs,
+            abortOnUnexpected: this.elements.abortOnUnexpected.checked,
+            steps: this.steps
+        });
+        this.controller.downloadFile(`nanox-sequence-${new Date().toISOString().replace(/[:.]/g, '-')}.json`,
+            JSON.stringify(data, null, 2), 'application/json');
+    }
+
+    async load() {
+        const file = this.elements.fileInput.files[0];
+        this.elements.fileInput.value = '';
+        if (!file || this.running) {
+            return;
+        }
+
+        try {
+            const sequence = SequenceBuilder.deserialize(JSON.parse(await file.text()));
+            this.steps = sequence.steps;
+            this.elements.waitTimeout.value = sequence.waitTimeoutMs;
+            this.elements.abortOnUnexpected.checked = sequence.abortOnUnexpected;
+            this.renderSteps();
+            this.setStatus(`Loaded ${file.name}: ${this.steps.length} steps`);
+        } catch (error) {
+            this.controller.logMessage(`ERROR: Failed to load ${file.name} - ${error.message}`, 'error');
+        }
+    }
+
+    setStatus(text) {
+        this.elements.status.textContent = text;
+    }
+
+    updateControls() {
+        if (this.running && !this.controller.isConnected) {
+            this.abort('disconnected');
+        }
+
+        this.elements.runBtn.disabled = this.controller.isBusy() || !this.controller.isConnected || this.steps.length === 0;
+        this.elements.abortBtn.disabled = !this.running;
+        for (const control of [this.elements.addStepBtn, this.elements.loadBtn, this.elements.clearBtn]) {
+            control.disabled = this.running;
+        }
+        this.elements.stepsTbody.querySelectorAll('input, button').forEach(control => {
+            control.disabled = this.running;
+        });
+    }
+
+    // Test methods for validation
+    static runSelfTest() {
+        const pattern = SequenceBuilder.parsePattern('0x12 ?? 34');
+        const sequence = SequenceBuilder.deserialize(JSON.parse(JSON.stringify(SequenceBuilder.serialize({
+            waitTimeoutMs: 500,
+            abortOnUnexpected: true,
+            steps: [
+                { instruction: 0x4F, argument: 0x00, delayMs: 50, expect: '' },
+                { instruction: 0x8D, argument: 0x27, delayMs: 0, expect: '0x12 ?? 0x34' }
+            ]
+        }))));
+
+        const run = { labels: ['Sequence 2 step 1', 'Sequence 2 step 2 (Read)'], abortOnUnexpected: true };
+        const match = { label: 'Sequence 2 step 2 (Read)', pattern: pattern };
+        const tolerant = { ...run, abortOnUnexpected: false };
+
+        const rejects = (data) => {
+            try {
+                SequenceBuilder.deserialize(data);
+                return false;
+            } catch (error) {
+                return true;
+            }
+        };
+
+        return [
+            { name: 'blank pattern', passed: SequenceBuilder.parsePattern('  ') === null },
+            { name: 'pattern wildcard', passed: SequenceBuilder.formatPattern(pattern) === '0x12 ?? 0x34' },
+            { name: 'pattern match', passed: SequenceBuilder.matchPattern(pattern, [0x12, 0xFF, 0x34]) },
+            { name: 'pattern mismatch', passed: !SequenceBuilder.matchPattern(pattern, [0x12, 0xFF, 0x35]) && !SequenceBuilder.matchPattern(pattern, [0x12, 0xFF]) },
+            { name: 'frame for waiting step', passed: SequenceBuilder.classifyFrame(run, match, match.label, [0x12, 0x00, 0x34]) === 'matched' },
+            { name: 'frame outside a wait', passed: SequenceBuilder.classifyFrame(run, null, 'Sequence 2 step 1', [0x01]) === 'unexpected' &&
+                SequenceBuilder.classifyFrame(run, match, 'Sequence 2 step 1', [0x12, 0x00, 0x34]) === 'unexpected' },
+            { name: 'frame from another run', passed: SequenceBuilder.classifyFrame(run, null, 'Sequence 1 step 1', [0x01]) === null },
+            { name: 'unexpected tolerated', passed: SequenceBuilder.classifyFrame(tolerant, null, 'Sequence 2 step 1', [0x01]) === null &&
+                SequenceBuilder.classifyFrame(tolerant, match, match.label, [0x12, 0x00, 0x35]) === null },
+            { name: 'json round trip', passed: sequence.waitTimeoutMs === 500 && sequence.abortOnUnexpected && sequence.steps.length === 2 &&
+                sequence.steps[1].instruction === 0x8D && sequence.steps[1].argument === 0x27 && sequence.steps[1].expect === '0x12 ?? 0x34' },
+            { name: 'json validation', passed: rejects({}) && rejects({ steps: [{ instruction: '0x100', argument: '0x00' }] }) &&
+                rejects({ steps: [{ instruction: '0x4F', argument: '0x00', delayMs: -1 }] }) &&
+                rejects({ steps: [{ instruction: '0x8O', argument: '0x00' }] }) &&
+                rejects({ steps: [{ instruction: '0x4F', argument: '0x00', expect: '0x12 0x3Z' }] }) }
+        ];
+    }
+}
+
+// CommonJS export for Node (self-test)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = SequenceBuilder;
+}
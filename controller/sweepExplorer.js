@@ -0,0 +1,316 @@
+class SweepExplorer {
+    // Explorer mode for mapping the unknown protocol: sends every
+    // instruction/argument pair in a range, one at a time, waits for the
+    // FrameDecoder to report the response (or its timeout) and records it.
+    // Instructions on the denylist are never sent; by default that is the
+    // Pulse-* family from the commands table.
+    constructor(controller) {
+        this.controller = controller;
+        this.results = []; // { instruction, argument, known, status, rx, length, latencyMs, at }
+        this.running = false;
+        this.stopRequested = false;
+        this.pending = null; // { label, resolve } while a probe waits for its exchange
+        this.probeCount = 0;
+
+        this.initializeElements();
+        this.initializeEventListeners();
+        this.elements.denylist.value = this.defaultDenylist().map(SweepExplorer.hexByte).join(', ');
+        this.updateControls();
+    }
+
+    initializeElements() {
+        this.elements = {
+            instFrom: document.getElementById('sweep-inst-from'),
+            instTo: document.getElementById('sweep-inst-to'),
+            argFrom: document.getElementById('sweep-arg-from'),
+            argTo: document.getElementById('sweep-arg-to'),
+            delay: document.getElementById('sweep-delay'),
+            denylist: document.getElementById('sweep-denylist'),
+            stopOnResponse: document.getElementById('sweep-stop-on-response'),
+            startBtn: document.getElementById('sweep-start-btn'),
+            stopBtn: document.getElementById('sweep-stop-btn'),
+            exportJsonBtn: document.getElementById('sweep-export-json-btn'),
+            exportCsvBtn: document.getElementById('sweep-export-csv-btn'),
+            clearBtn: document.getElementById('sweep-clear-btn'),
+            status: document.getElementById('sweep-status'),
+            resultsTbody: document.getElementById('sweep-results-tbody')
+        };
+    }
+
+    initializeEventListeners() {
+        this.elements.startBtn.addEventListener('click', () => this.start());
+        this.elements.stopBtn.addEventListener('click', () => this.stop());
+        this.elements.exportJsonBtn.addEventListener('click', () => this.download('json'));
+        this.elements.exportCsvBtn.addEventListener('click', () => this.download('csv'));
+        this.elements.clearBtn.addEventListener('click', () => this.clearResults());
+    }
+
+    static hexByte(value) {
+        return `0x${value.toString(16).toUpperCase().padStart(2, '0')}`;
+    }
+
+    // Bytes are always hex, with or without 0x: "0x4E", "4e"
+    // One or two hex digits, optionally 0x-prefixed; parseInt alone would read "0x8O" as 0x08
+    static parseByte(text, name) {
+        const trimmed = String(text).trim();
+        if (!/^(0x)?[0-9a-f]{1,2}$/i.test(trimmed)) {
+            throw new Error(`${name} must be a byte (0x00-0xFF)`);
+        }
+        return parseInt(trimmed.replace(/^0x/i, ''), 16);
+    }
+
+    static parseDenylist(text) {
+        return text.split(/[\s,]+/)
+            .filter(entry => entry !== '')
+            .map(entry => SweepExplorer.parseByte(entry, `Denylist entry "${entry}"`));
+    }
+
+    defaultDenylist() {
+        return this.controller.commands
+            .filter(cmd => cmd.function.startsWith('Pulse'))
+            .map(cmd => cmd.instruction);
+    }
+
+    readConfig() {
+        const delayMs = parseInt(this.elements.delay.value);
+        if (isNaN(delayMs) || delayMs < 0) {
+            throw new Error('Delay must be 0 ms or more');
+        }
+        return {
+            instFrom: SweepExplorer.parseByte(this.elements.instFrom.value, 'Instruction start'),
+            instTo: SweepExplorer.parseByte(this.elements.instTo.value, 'Instruction end'),
+            argFrom: SweepExplorer.parseByte(this.elements.argFrom.value, 'Argument start'),
+            argTo: SweepExplorer.parseByte(this.elements.argTo.value, 'Argument end'),
+            delayMs: delayMs,
+            denylist: SweepExplorer.parseDenylist(this.elements.denylist.value),
+            stopOnResponse: this.elements.stopOnResponse.checked
+        };
+    }
+
+    // Every instruction/argument pair in the ranges, instruction-major, minus the denylist
+    static buildProbes(config) {
+        if (config.instFrom > config.instTo || config.argFrom > config.argTo) {
+            throw new Error('Range start must not be above its end');
+        }
+
+        const probes = [];
+        for (let instruction = config.instFrom; instruction <= config.instTo; instruction++) {
+            if (config.denylist.includes(instruction)) {
+                continue;
+            }
+            for (let argument = config.argFrom; argument <= config.argTo; argument++) {
+                probes.push({ instruction, argument });
+            }
+        }
+        return probes;
+    }
+
+    async start() {
+        if (this.controller.isBusy()) {
+            return;
+        }
+
+        let config;
+        let probes;
+        try {
+            config = this.readConfig();
+            probes = SweepExplorer.buildProbes(config);
+        } catch (error) {
+            this.controller.logMessage(`ERROR: ${error.message}`, 'error');
+            return;
+        }
+
+        if (probes.length === 0) {
+            this.controller.logMessage('ERROR: Nothing to send - every instruction in the range is on the denylist', 'error');
+            return;
+        }
+        if (probes.length > 1000 && !confirm(`Send ${probes.length} probes? At the current delay this takes a while.`)) {
+            return;
+        }
+
+        this.running = true;
+        this.stopRequested = false;
+        this.controller.updateSendButtonState();
+        this.controller.logMessage(`Sweep started: ${probes.length} probes, denylist ${config.denylist.map(SweepExplorer.hexByte).join(' ') || 'empty'}`, 'info');
+
+        let reason = 'completed';
+        try {
+            for (let index = 0; index < probes.length; index++) {
+                if (this.stopRequested) {
+                    reason = 'stopped';
+                    break;
+                }
+                if (!this.controller.isConnected) {
+                    reason = 'disconnected';
+                    break;
+                }
+
+                const probe = probes[index];
+                this.setStatus(`Probe ${index + 1}/${probes.length}: ${SweepExplorer.hexByte(probe.instruction)} ${SweepExplorer.hexByte(probe.argument)}`);
+                const result = await this.sendProbe(probe);
+
+                if (config.stopOnResponse && result.status === 'response') {
+                    reason = `response to ${SweepExplorer.hexByte(probe.instruction)} ${SweepExplorer.hexByte(probe.argument)}`;
+                    break;
+                }
+                if (config.delayMs > 0 && index < probes.length - 1) {
+                    await new Promise(resolve => setTimeout(resolve, config.delayMs));
+                }
+            }
+        } catch (error) {
+            reason = `error: ${error.message}`;
+            this.controller.handleConnectionError('Sweep failed', error);
+        }
+
+        this.running = false;
+        this.pending = null;
+        this.controller.updateSendButtonState();
+        const responses = this.results.filter(result => result.status === 'response').length;
+        this.setStatus(`Sweep ${reason === 'completed' ? 'completed' : `stopped (${reason})`}: ${this.results.length} results, ${responses} with a response`);
+        this.controller.logMessage(`Sweep ended: ${reason}`, 'info');
+    }
+
+    stop() {
+        this.stopRequested = true;
+        this.setStatus('Stopping after the current probe...');
+    }
+
+    // Send one pair and wait for the decoder's exchange for it
+    async sendProbe(probe) {
+        const known = this.controller.commands.find(cmd => cmd.instruction === probe.instruction);
+        const label = `Probe ${++this.probeCount}${known ? ` (${known.function})` : ''}`;
+
+        const exchange = new Promise(resolve => {
+            this.pending = { label, resolve };
+        });
+        await this.controller.transmit(new Uint8Array([probe.instruction, probe.argument]), label);
+        const { frame, latencyMs } = await exchange;
+
+        const result = {
+            instruction: probe.instruction,
+            argument: probe.argument,
+            known: known ? known.function : '',
+            status: frame ? 'response' : 'timeout',
+            rx: frame ? FrameDecoder.toHex(frame.bytes) : '',
+            length: frame ? frame.bytes.length : 0,
+            latencyMs: latencyMs,
+            at: new Date().toISOString()
+        };
+        this.results.push(result);
+        this.appendResultRow(result);
+        return result;
+    }
+
+    // Called for every decoder exchange; only the first frame (or the timeout) settles a probe
+    handleExchange(exchange) {
+        if (this.pending && exchange.tx && exchange.tx.label === this.pending.label && exchange.index <= 1) {
+            const resolve = this.pending.resolve;
+            this.pending = null;
+            resolve(exchange);
+        }
+    }
+
+    appendResultRow(result) {
+        const row = document.createElement('tr');
+        row.className = result.status;
+        const cells = [
+            SweepExplorer.hexByte(result.instruction),
+            SweepExplorer.hexByte(result.argument),
+            result.known,
+            result.status === 'response' ? result.rx : 'timeout',
+            result.latencyMs !== null ? `${result.latencyMs} ms` : ''
+        ];
+        for (const text of cells) {
+            const cell = document.createElement('td');
+            cell.textContent = text;
+            row.appendChild(cell);
+        }
+        this.elements.resultsTbody.appendChild(row);
+    }
+
+    clearResults() {
+        if (this.running) {
+            return;
+        }
+        this.results = [];
+        this.elements.resultsTbody.innerHTML = '';
+        this.setStatus('');
+    }
+
+    static toCsv(results) {
+        const header = 'instruction,argument,known,status,rx,length,latency_ms,at';
+        const rows = results.map(result => [
+            SweepExplorer.hexByte(result.instruction),
+            SweepExplorer.hexByte(result.argument),
+            `"${result.known.replace(/"/g, '""')}"`,
+            result.status,
+            result.rx,
+            result.length,
+            result.latencyMs !== null ? result.latencyMs : '',
+            result.at
+        ].join(','));
+        return [header, ...rows].join('\n') + '\n';
+    }
+
+    download(format) {
+        if (this.results.length === 0) {
+            this.controller.logMessage('ERROR: No sweep results to export', 'error');
+            return;
+        }
+
+        const text = format === 'csv'
+            ? SweepExplorer.toCsv(this.results)
+            : JSON.stringify(this.results.map(result => ({
+                ...result,
+                instruction: SweepExplorer.hexByte(result.instruction),
+                argument: SweepExplorer.hexByte(result.argument)
+            })), null, 2);
+        this.controller.downloadFile(`nanox-sweep-${new Date().toISOString().replace(/[:.]/g, '-')}.${format}`,
+            text, format === 'csv' ? 'text/csv' : 'application/json');
+    }
+
+    setStatus(text) {
+        this.elements.status.textContent = text;
+    }
+
+    updateControls() {
+        this.elements.startBtn.disabled = this.controller.isBusy() || !this.controller.isConnected;
+        this.elements.stopBtn.disabled = !this.running;
+        this.elements.clearBtn.disabled = this.running;
+    }
+
+    // Test methods for validation
+    static runSelfTest() {
+        const probes = SweepExplorer.buildProbes({
+            instFrom: 0x4D, instTo: 0x4F, argFrom: 0x00, argTo: 0x01, denylist: [0x4E]
+        });
+        const csv = SweepExplorer.toCsv([
+            { instruction: 0x47, argument: 0x00, known: 'Read', status: 'response', rx: '0x12 0x34', length: 2, latencyMs: 12, at: 'T' },
+            { instruction: 0x48, argument: 0x00, known: '', status: 'timeout', rx: '', length: 0, latencyMs: null, at: 'T' }
+        ]);
+
+        const rejects = (text) => {
+            try {
+                SweepExplorer.parseByte(text, 'test');
+                return false;
+            } catch (error) {
+                return true;
+            }
+        };
+
+        return [
+            { name: 'denylist skipped', passed: probes.length === 4 && !probes.some(probe => probe.instruction === 0x4E) },
+            { name: 'probe order', passed: probes[0].instruction === 0x4D && probes[1].argument === 0x01 },
+            { name: 'parse byte', passed: SweepExplorer.parseByte('0x8f', 'test') === 0x8F && SweepExplorer.parseByte('40', 'test') === 0x40 },
+            { name: 'byte range', passed: rejects('0x100') },
+            { name: 'trailing garbage', passed: rejects('0x8O') && rejects('4g') && rejects('0x') && rejects('') },
+            { name: 'denylist text', passed: SweepExplorer.parseDenylist('0x4E, 0x8F 84').join() === '78,143,132' },
+            { name: 'csv', passed: csv.split('\n')[1] === '0x47,0x00,"Read",response,0x12 0x34,2,12,T' && csv.split('\n')[2].endsWith('timeout,,0,,T') }
+        ];
+    }
+}
+
+// CommonJS export for Node (self-test)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = SweepExplorer;
+}
@@ -0,0 +1,189 @@
+// Headless harness: loads the browser modules from js/ into Node and wires
+// HVPSApp to HVPSSimulator.processCommand through a LoopbackTransport, so
+// connect/poll/setpoint/E-STOP flows run without a browser or serial port.
+const path = require('path');
+
+// The modules reference each other as free globals (as they do in the
+// browser), so each export is published on `global` in script-tag order.
+function loadCore() {
+    if (global.HVPSApp) {
+        return global.HVPSApp;
+    }
+
+    const modules = [
+        'deviceProfiles',
+        'transports',
+        'tokenFramer',
+        'serialService',
+        'rxParser',
+        'txScheduler',
+        'linkAnalytics',
+        'store',
+        'rampEngine',
+        'protection',
+        'setpointVerifier',
+        'sequenceRunner',
+        'dataRecorder',
+        'deviceChannel',
+        'deviceManager',
+        'deviceGroup',
+        'app'
+    ];
+
+    for (const name of modules) {
+        const exported = require(path.join(__dirname, '..', 'js', `${name}.js`));
+        if (typeof exported === 'function') {
+            global[exported.name] = exported;
+        } else {
+            Object.assign(global, exported);
+        }
+    }
+
+    return global.HVPSApp;
+}
+
+function loadSimulator() {
+    return require(path.join(__dirname, '..', 'hvps-simulator', 'hvps-simulator.js'));
+}
+
+// One simulated supply behind a LoopbackTransport. Commands go through a
+// simulator session like a TCP client's, so fault injection
+// (simulator.faults) applies to the replies. Both directions of the link are
+// appended to `transcript` as { t, direction: 'TX'|'RX', text }.
+function createSimulatedLink(options, transcript) {
+    const HVPSSimulator = loadSimulator();
+
+    const simulator = new HVPSSimulator(path.join(__dirname, '..', 'hvps-simulator', 'config.json'));
+    simulator.config.simulator.debugOutput = false;
+
+    // Noise-free readings so scenarios can assert exact values;
+    // options.plant overrides other plant parameters (load, slew, ...)
+    Object.assign(simulator.plant.config, {
+        noise: { voltage: 0, current: 0, temperature: 0 }
+    }, options.plant || {});
+
+    if (options.playback) {
+        simulator.loadPlayback(options.playback);
+    }
+
+    let session = null;
+    const transport = new LoopbackTransport({
+        latencyMs: options.latencyMs !== undefined ? options.latencyMs : 5,
+        responder: (command) => {
+            transcript.push({ t: Date.now(), direction: 'TX', text: command });
+            simulator.handleSessionData(session, command);
+            return null;
+        }
+    });
+
+    session = simulator.createSession('harness', 'loopback', (text) => {
+        transcript.push({ t: Date.now(), direction: 'RX', text: text });
+        transport.deliver(text);
+    }, () => {
+        // "fault close": the link drops as if the cable was pulled
+        transport.isOpen = false;
+        if (transport.onDisconnect) {
+            transport.onDisconnect();
+        }
+    });
+    Object.assign(simulator.faults.config, options.faults || {});
+
+    return { simulator, transport, session };
+}
+
+class Harness {
+    // options.settings overrides Store settings before connecting,
+    // options.plant overrides simulator plant parameters,
+    // options.faults sets simulator fault injection from the start,
+    // options.playback answers from a captured transcript instead of the plant,
+    // options.latencyMs is the simulated link delay per reply
+    constructor(options = {}) {
+        const HVPSApp = loadCore();
+
+        this.transcript = [];
+        const link = createSimulatedLink(options, this.transcript);
+        this.simulator = link.simulator;
+        this.transport = link.transport;
+        this.session = link.session;
+
+        this.app = new HVPSApp({ headless: true, transport: this.transport });
+        this.store = this.app.store;
+
+        this.errors = [];
+        this.store.addEventListener('error', (data) => {
+            this.errors.push(data.error);
+        });
+
+        Object.assign(this.store.settings, options.settings || {});
+
+        // Further devices from addSimulatedDevice(): { channel, simulator, transcript }
+        this.devices = [];
+    }
+
+    // A second (third, ...) supply on the page with its own simulator.
+    // options takes plant/faults/latencyMs like the constructor; call after start()
+    async addSimulatedDevice(config = {}, options = {}) {
+        const transcript = [];
+        const link = createSimulatedLink(options, transcript);
+        const channel = await this.app.deviceManager.addDevice(config, { transport: link.transport });
+        Object.assign(channel.store.settings, options.settings || {});
+
+        const device = { channel: channel, simulator: link.simulator, transcript: transcript };
+        this.devices.push(device);
+        return device;
+    }
+
+    async start() {
+        await this.app.initialize();
+        await this.app.connect();
+        if (!this.app.isConnected) {
+            throw new Error(`Connect failed: ${this.store.lastError}`);
+        }
+    }
+
+    async stop() {
+        for (const simulator of [this.simulator, ...this.devices.map((device) => device.simulator)]) {
+            simulator.scenario.stop();
+            simulator.faults.clear();
+        }
+        await this.app.shutdown();
+    }
+
+    // Poll `predicate` until it returns truthy; rejects with `label` after timeoutMs
+    waitFor(predicate, timeoutMs = 2000, label = 'condition') {
+        return new Promise((resolve, reject) => {
+            const started = Date.now();
+            const check = () => {
+                const result = predicate();
+                if (result) {
+                    resolve(result);
+                } else if (Date.now() - started >= timeoutMs) {
+                    reject(new Error(`Timed out after ${timeoutMs} ms waiting for ${label}`));
+                } else {
+                    setTimeout(check, 20);
+                }
+            };
+            check();
+        });
+    }
+
+    // Start a simulator timeline (hvps-simulator/scenario-runner.js format) now
+    script(definition) {
+        const ScenarioRunner = require(path.join(__dirname, '..', 'hvps-simulator', 'scenario-runner.js'));
+        this.simulator.scenario.load(ScenarioRunner.validate({ ...definition, start: 'load' }, definition.name || 'harness script'));
+    }
+
+    sleep(ms) {
+        return new Promise((resolve) => setTimeout(resolve, ms));
+    }
+
+    commandsSent(command, transcript = this.transcript) {
+        return transcript.filter((entry) => entry.direction === 'TX' && entry.text === `[${command}]`).length;
+    }
+}
+
+module.exports = {
+    Harness,
+    loadCore,
+    loadSimulator
+};
@@ -0,0 +1,83 @@
+#!/usr/bin/env node
+// Runs the headless scenarios: node harness/run.js [name filter]
+// Needs the simulator's dependencies: cd hvps-simulator && npm install
+const { Harness } = require('./harness');
+const scenarios = require('./scenarios');
+
+const SCENARIO_TIMEOUT_MS = 15000;
+
+// App and simulator logging is buffered and only shown for failing scenarios
+function captureConsole() {
+    const original = { log: console.log, warn: console.warn, error: console.error };
+    const lines = [];
+    for (const level of Object.keys(original)) {
+        console[level] = (...args) => {
+            lines.push(`[${level}] ${args.map((arg) => (arg instanceof Error ? arg.message : String(arg))).join(' ')}`);
+        };
+    }
+    return {
+        lines: lines,
+        restore: () => Object.assign(console, original)
+    };
+}
+
+function withTimeout(promise, ms) {
+    let timer;
+    const timeout = new Promise((resolve, reject) => {
+        timer = setTimeout(() => reject(new Error(`Scenario exceeded ${ms} ms`)), ms);
+    });
+    return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
+async function runScenario(scenario) {
+    const capture = captureConsole();
+    let harness = null;
+    try {
+        harness = new Harness(scenario.options);
+        await withTimeout((async () => {
+            await harness.start();
+            await scenario.run(harness);
+        })(), SCENARIO_TIMEOUT_MS);
+        return { passed: true };
+    } catch (error) {
+        return { passed: false, error: error, log: capture.lines.slice() };
+    } finally {
+        if (harness) {
+            await harness.stop();
+        }
+        capture.restore();
+    }
+}
+
+async function main() {
+    const filter = process.argv[2];
+    const selected = scenarios.filter((scenario) => !filter || scenario.name.includes(filter));
+    let failed = 0;
+
+    for (const scenario of selected) {
+        const started = Date.now();
+        const result = await runScenario(scenario);
+        const elapsed = `${Date.now() - started} ms`;
+
+        if (result.passed) {
+            console.log(`PASS  ${scenario.name} (${elapsed})`);
+        } else {
+            failed++;
+            console.log(`FAIL  ${scenario.name} (${elapsed})`);
+            console.log(`      ${result.error.message}`);
+            for (const line of result.log.slice(-40)) {
+                console.log(`      ${line}`);
+            }
+        }
+    }
+
+    console.log(`\nSummary: ${selected.length - failed}/${selected.length} scenarios passed`);
+
+    // Pending store timers (E-STOP message clear etc.) would keep Node alive
+    process.exit(failed > 0 ? 1 : 0);
+}
+
+main().catch((error) => {
+    console.error(error);
+    process.exit(1);
+});
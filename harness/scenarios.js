@@ -0,0 +1,740 @@
+// End-to-end scenarios against the simulator. Each gets a connected Harness
+// and throws (assert) on failure.
+const assert = require('assert');
+const path = require('path');
+
+module.exports = [
+    {
+        name: 'connect and poll readings',
+        async run(h) {
+            assert.strictEqual(h.store.connectionState, 'connected');
+
+            await h.waitFor(() => h.store.actualTemperature !== null
+                && h.store.actualVoltage !== null
+                && h.store.actualCurrent !== null, 2000, 'first readings');
+
+            assert.strictEqual(h.store.actualTemperature, 25);
+            assert.strictEqual(h.store.actualVoltage, 0);
+            assert.strictEqual(h.store.actualCurrent, 0);
+            assert.ok(h.commandsSent('XTMP') > 0, 'temperature polled');
+            assert.ok(h.commandsSent('XV') > 0, 'voltage polled');
+            assert.ok(h.commandsSent('XA') > 0, 'current polled');
+        }
+    },
+    {
+        name: 'setpoints are acknowledged and read back',
+        async run(h) {
+            // Current limit first, so the simulated load stays under it
+            h.store.settings.currentRampUp = 0;
+            h.store.settings.voltageRampUp = 0;
+
+            h.app.handleCurrentSetRequest(5);
+            await h.waitFor(() => h.simulator.currentLimit === 50, 2000, 'XA050 at the simulator');
+            await h.waitFor(() => !h.store.pendingCurrentSet, 2000, 'current ack');
+
+            h.app.handleVoltageSetRequest(12.5);
+            await h.waitFor(() => !h.store.pendingVoltageSet && h.store.actualVoltage === 12.5, 2000, 'voltage readback');
+
+            assert.strictEqual(h.simulator.voltageSetpoint, 125);
+            assert.strictEqual(h.store.voltageSetpoint, 12.5);
+
+            // 20 ohm default load
+            await h.waitFor(() => h.store.actualCurrent === 0.6, 2000, 'load current 0.6 A');
+            assert.strictEqual(h.simulator.plant.mode, 'CV');
+            assert.deepStrictEqual(h.errors, []);
+        }
+    },
+    {
+        name: 'output slews and crosses over into constant current',
+        options: { plant: { slewRate: 20 } },
+        async run(h) {
+            h.store.settings.voltageRampUp = 0;
+            h.store.settings.currentRampUp = 0;
+            h.app.handleCurrentSetRequest(0.5);
+            await h.waitFor(() => !h.store.pendingCurrentSet, 2000, 'current ack');
+
+            // The ack is immediate, the output takes about a second to get there
+            h.app.handleVoltageSetRequest(20);
+            await h.waitFor(() => !h.store.pendingVoltageSet, 2000, 'voltage ack');
+            const seen = [];
+            await h.waitFor(() => {
+                seen.push(h.store.actualVoltage);
+                return h.store.actualVoltage === 10;
+            }, 3000, 'CC at 10 V');
+
+            assert.ok(seen.some((v) => v > 0 && v < 10), `intermediate readings: ${seen.join(', ')}`);
+            assert.strictEqual(h.simulator.plant.mode, 'CC');
+            await h.waitFor(() => h.store.actualCurrent === 0.5, 2000, 'current at the limit');
+        }
+    },
+    {
+        name: 'voltage ramp steps up to the target',
+        async run(h) {
+            h.store.settings.currentRampUp = 0;
+            h.app.handleCurrentSetRequest(10);
+            await h.waitFor(() => !h.store.pendingCurrentSet && h.simulator.currentLimit === 100, 2000, 'current ack');
+
+            h.store.settings.voltageRampUp = 10; // V/s
+            h.app.handleVoltageSetRequest(5);
+            await h.waitFor(() => h.store.voltageRamp !== null, 1000, 'ramp start');
+            await h.waitFor(() => h.store.voltageRamp === null && h.store.actualVoltage === 5, 3000, 'ramp completion');
+
+            const steps = h.transcript.filter((entry) => entry.direction === 'TX' && /^\[XV\d{3}\]$/.test(entry.text));
+            assert.ok(steps.length > 1, `ramp sent ${steps.length} step(s)`);
+            assert.strictEqual(steps[steps.length - 1].text, '[XV050]');
+        }
+    },
+    {
+        name: 'E-STOP resets the supply and is acknowledged',
+        async run(h) {
+            h.store.settings.voltageRampUp = 0;
+            h.store.settings.currentRampUp = 0;
+            h.app.handleCurrentSetRequest(10);
+            h.app.handleVoltageSetRequest(20);
+            await h.waitFor(() => h.store.actualVoltage === 20, 2000, 'voltage at 20 V');
+
+            h.app.handleEstopRequest();
+            assert.strictEqual(h.store.estopState, 'requested');
+
+            await h.waitFor(() => h.store.estopState === 'acknowledged', 2000, 'E_RST');
+            assert.strictEqual(h.commandsSent('ERST'), 1);
+            assert.strictEqual(h.simulator.voltageSetpoint, 0);
+            await h.waitFor(() => h.store.actualVoltage === 0, 2000, 'voltage back to 0');
+        }
+    },
+    {
+        name: 'E-STOP, then set the same voltage again ramps up from 0',
+        async run(h) {
+            h.store.settings.voltageRampUp = 0;
+            h.store.settings.currentRampUp = 0;
+            h.app.handleCurrentSetRequest(10);
+            h.app.handleVoltageSetRequest(20);
+            await h.waitFor(() => h.store.actualVoltage === 20, 2000, 'voltage at 20 V');
+
+            h.app.handleEstopRequest();
+            await h.waitFor(() => h.store.estopState === 'acknowledged', 2000, 'E_RST');
+            assert.strictEqual(h.store.voltageSetpoint, 0);
+            assert.strictEqual(h.store.currentSetpoint, 0);
+
+            // The store no longer holds 20 V, so this is a ramp from 0, not one step
+            h.store.settings.voltageRampUp = 20; // V/s
+            const resetAt = h.transcript.length;
+            h.app.handleVoltageSetRequest(20);
+            await h.waitFor(() => h.store.voltageRamp === null && !h.store.pendingVoltageSet && h.store.voltageSetpoint === 20, 3000, 'ramp to 20 V');
+
+            const steps = h.transcript.slice(resetAt)
+                .filter((entry) => entry.direction === 'TX' && /^\[XV\d{3}\]$/.test(entry.text))
+                .map((entry) => parseInt(entry.text.slice(3, 6), 10) / 10);
+            assert.ok(steps.length > 1, `ramp sent ${steps.join(', ')}`);
+            assert.ok(steps[0] <= 10, `first step after the reset was ${steps[0]} V`);
+            assert.strictEqual(steps[steps.length - 1], 20);
+        }
+    },
+    {
+        name: 'setpoint whose ack was lost is not retransmitted after E-STOP',
+        async run(h) {
+            h.store.settings.voltageRampUp = 0;
+            h.store.settings.currentRampUp = 0;
+            h.app.handleCurrentSetRequest(10);
+            await h.waitFor(() => !h.store.pendingCurrentSet, 2000, 'current ack');
+
+            // Lose only the X_V ack
+            const plan = h.simulator.faults.plan.bind(h.simulator.faults);
+            h.simulator.faults.plan = (response) => (response.startsWith('[X_V') ? [] : plan(response));
+            h.app.handleVoltageSetRequest(50);
+            await h.waitFor(() => h.commandsSent('XV500') === 1, 1000, 'XV500 sent');
+
+            h.app.handleEstopRequest();
+            await h.waitFor(() => h.store.estopState === 'acknowledged', 2000, 'E_RST');
+            h.simulator.faults.plan = plan;
+            const resetAt = h.transcript.length;
+
+            // Well past the response timeout and every retry
+            await h.sleep(h.store.settings.responseTimeout * 3);
+            const sent = h.transcript.slice(resetAt)
+                .filter((entry) => entry.direction === 'TX')
+                .map((entry) => entry.text);
+            assert.ok(sent.length > 0, 'polling continued');
+            assert.ok(sent.every((text) => /^\[(XTMP|XV|XA)\]$/.test(text)), `sent after E_RST: ${sent.join(', ')}`);
+            assert.strictEqual(h.commandsSent('XV500'), 1);
+            assert.strictEqual(h.simulator.voltageSetpoint, 0);
+        }
+    },
+    {
+        name: 'operator setpoint caps refuse direct and ramped setpoints above them',
+        async run(h) {
+            h.store.settings.currentRampUp = 0;
+            h.store.settings.maxVoltage = 5;
+            h.store.settings.maxCurrent = 2;
+
+            h.store.settings.voltageRampUp = 0;
+            h.app.handleVoltageSetRequest(20);
+            h.store.settings.voltageRampUp = 10; // V/s
+            h.app.handleVoltageSetRequest(6);
+            h.app.handleCurrentSetRequest(3);
+            await h.sleep(300);
+            assert.strictEqual(h.errors.length, 3, `errors: ${h.errors.join(' | ')}`);
+            assert.ok(h.errors.every((error) => /operator limit/.test(error)), h.errors.join(' | '));
+            assert.strictEqual(h.store.voltageRamp, null);
+            assert.strictEqual(h.transcript.filter((entry) => entry.direction === 'TX' && /^\[X[VA]\d{3}\]$/.test(entry.text)).length, 0);
+
+            // At the cap is fine
+            h.app.handleCurrentSetRequest(2);
+            h.app.handleVoltageSetRequest(5);
+            await h.waitFor(() => h.store.voltageRamp === null && h.simulator.voltageSetpoint === 50, 3000, 'ramp to the 5 V cap');
+            assert.strictEqual(h.simulator.currentLimit, 20);
+            assert.strictEqual(h.errors.length, 3);
+        }
+    },
+    {
+        name: 'protection trip issues ERST',
+        async run(h) {
+            h.store.settings.voltageRampUp = 0;
+            h.store.settings.currentRampUp = 0;
+            h.store.settings.voltageTrip = 30;
+            h.store.settings.voltageTripDelay = 200;
+            h.app.handleCurrentSetRequest(10);
+            h.app.handleVoltageSetRequest(40);
+
+            await h.waitFor(() => h.store.protectionState.status === 'tripped', 3000, 'overvoltage trip');
+            assert.strictEqual(h.store.protectionState.fault.id, 'overvoltage');
+            await h.waitFor(() => h.store.estopState === 'acknowledged', 2000, 'E_RST after trip');
+            assert.strictEqual(h.simulator.voltageSetpoint, 0);
+
+            // Latched: raising the setpoint is refused until acknowledged
+            const sent = h.commandsSent('XV400');
+            h.app.handleVoltageSetRequest(40);
+            await h.sleep(300);
+            assert.strictEqual(h.commandsSent('XV400'), sent);
+        }
+    },
+    {
+        name: 'aborted sequence resets once and safe-exit never raises the output',
+        async run(h) {
+            h.store.settings.voltageRampUp = 0;
+            h.store.settings.currentRampUp = 0;
+            h.store.settings.voltageRampDown = 10;
+            h.app.handleCurrentSetRequest(10);
+
+            const outcome = h.app.sequenceRunner.run({
+                name: 'abort test',
+                steps: [{ type: 'set', voltage: 30 }, { type: 'wait', seconds: 10 }],
+                safeExit: [{ type: 'ramp', voltage: 0 }]
+            });
+            await h.waitFor(() => h.store.actualVoltage === 30, 3000, 'voltage at 30 V');
+
+            h.app.sequenceRunner.abort();
+            assert.strictEqual(await outcome, 'aborted');
+
+            const reset = h.transcript.findIndex((entry) => entry.direction === 'TX' && entry.text === '[ERST]');
+            assert.ok(reset >= 0, 'ERST sent');
+            const after = h.transcript.slice(reset)
+                .filter((entry) => entry.direction === 'TX' && /^\[XV\d{3}\]$/.test(entry.text))
+                .map((entry) => entry.text);
+            assert.ok(after.every((text) => text === '[XV000]'), `after ERST: ${after.join(' ')}`);
+            assert.strictEqual(h.commandsSent('ERST'), 1);
+        }
+    },
+    {
+        name: 'protection trip during a sequence issues one reset and skips raising safe-exit steps',
+        async run(h) {
+            h.store.settings.voltageRampUp = 0;
+            h.store.settings.currentRampUp = 0;
+            h.store.settings.voltageTrip = 25;
+            h.store.settings.voltageTripDelay = 200;
+            h.app.handleCurrentSetRequest(10);
+
+            let resets = 0;
+            const handleEstopRequest = h.app.handleEstopRequest.bind(h.app);
+            h.app.handleEstopRequest = () => {
+                resets++;
+                handleEstopRequest();
+            };
+
+            const outcome = await h.app.sequenceRunner.run({
+                name: 'trip test',
+                steps: [{ type: 'set', voltage: 30 }, { type: 'wait', seconds: 10 }],
+                safeExit: [{ type: 'set', voltage: 5 }, { type: 'ramp', voltage: 0 }]
+            });
+            assert.strictEqual(outcome, 'aborted');
+            assert.strictEqual(h.store.protectionState.status, 'tripped');
+            assert.strictEqual(resets, 1);
+
+            const reset = h.transcript.findIndex((entry) => entry.direction === 'TX' && entry.text === '[ERST]');
+            const after = h.transcript.slice(reset)
+                .filter((entry) => entry.direction === 'TX' && /^\[XV\d{3}\]$/.test(entry.text))
+                .map((entry) => entry.text);
+            assert.ok(after.every((text) => text === '[XV000]'), `after ERST: ${after.join(' ')}`);
+        }
+    },
+    {
+        name: 'wrong ack value is reported as a mismatch',
+        async run(h) {
+            h.store.settings.voltageRampUp = 0;
+            h.simulator.faults.config.wrongAck = 100;
+            h.app.handleVoltageSetRequest(5);
+
+            await h.waitFor(() => h.errors.some((error) => /Voltage setpoint mismatch/.test(error)), 2000, 'mismatch error');
+            assert.ok(h.simulator.faults.counts.wrongAcks > 0);
+        }
+    },
+    {
+        name: 'silent device goes stale and recovers',
+        async run(h) {
+            await h.waitFor(() => h.store.actualVoltage !== null, 2000, 'first readings');
+
+            h.simulator.faults.silence(1.5);
+            await h.waitFor(() => h.store.isStale, 1500, 'stale data');
+            assert.strictEqual(h.store.connectionState, 'stale');
+
+            await h.waitFor(() => !h.store.isStale, 3000, 'fresh data');
+            assert.strictEqual(h.store.connectionState, 'connected');
+        }
+    },
+    {
+        name: 'scripted over-temperature trips protection',
+        async run(h) {
+            h.store.settings.tempTripDelay = 300;
+            h.script({
+                name: 'overtemp',
+                events: [{ at: 0.3, action: 'temperature', value: 70 }]
+            });
+
+            await h.waitFor(() => h.store.actualTemperature === 70, 2000, '70 °C reading');
+            await h.waitFor(() => h.store.protectionState.status === 'tripped', 2000, 'over-temperature trip');
+            assert.strictEqual(h.store.protectionState.fault.id, 'over-temperature');
+            await h.waitFor(() => h.store.estopState === 'acknowledged', 2000, 'E_RST after trip');
+        }
+    },
+    {
+        name: 'pending trip fires while the link is stale',
+        async run(h) {
+            h.store.settings.tempTripDelay = 800;
+            h.script({
+                name: 'overtemp',
+                events: [{ at: 0.3, action: 'temperature', value: 70 }]
+            });
+
+            await h.waitFor(() => h.store.actualTemperature === 70, 2000, '70 °C reading');
+            h.simulator.faults.silence(3);
+            await h.waitFor(() => h.store.isStale, 1500, 'stale data');
+            await h.waitFor(() => h.store.protectionState.status === 'tripped', 1500, 'trip without fresh readings');
+            assert.ok(h.store.isStale, 'tripped before readings resumed');
+            assert.strictEqual(h.store.protectionState.fault.id, 'over-temperature');
+        }
+    },
+    {
+        name: 'current drawn before any XA does not trip the current-limit rule',
+        async run(h) {
+            h.store.settings.voltageRampUp = 0;
+            h.store.settings.currentRampUp = 0;
+            const limitRule = () => h.app.protection.getRules().find((rule) => rule.id === 'current-limit');
+            assert.strictEqual(limitRule().trip, null, 'unarmed before an X_A ack');
+
+            // 20 V into 20 ohm draws 1 A against the device's own 10 A limit
+            h.app.handleVoltageSetRequest(20);
+            await h.waitFor(() => h.store.actualCurrent === 1, 2000, 'load current 1 A');
+            await h.sleep(h.store.settings.currentLimitDelay + 300);
+            assert.strictEqual(h.store.protectionState.status, 'ok');
+            assert.strictEqual(h.commandsSent('ERST'), 0);
+
+            h.app.handleCurrentSetRequest(10);
+            await h.waitFor(() => h.store.currentAcked === 10, 2000, 'X_A100');
+            assert.strictEqual(limitRule().trip, 10.5);
+        }
+    },
+    {
+        name: 'automatic protection levels stay within the profile range',
+        async run(h) {
+            assert.strictEqual(h.store.profile.id, 'remedi-psu'); // 99.9 V field
+            assert.strictEqual(h.store.settings.voltageTrip, 'auto');
+            const rules = h.app.protection.getRules();
+            const overvoltage = rules.find((rule) => rule.id === 'overvoltage');
+            assert.ok(overvoltage.trip < 99.9 && overvoltage.warn < overvoltage.trip, `voltage ${overvoltage.warn} / ${overvoltage.trip}`);
+            assert.deepStrictEqual(h.app.protection.validateLevels(), []);
+
+            h.store.settings.voltageTrip = 125;
+            const problems = h.app.protection.validateLevels();
+            assert.strictEqual(problems.length, 1, problems.join('; '));
+            assert.ok(/Overvoltage trip level 125 V/.test(problems[0]), problems[0]);
+        }
+    },
+    {
+        name: 'playback device answers from a capture',
+        options: { playback: path.join(__dirname, '..', 'hvps-simulator', 'captures', 'example-session.txt') },
+        async run(h) {
+            await h.waitFor(() => h.store.actualTemperature !== null && h.store.actualVoltage !== null, 2000, 'recorded readings');
+            assert.strictEqual(h.store.actualTemperature, 31);
+
+            // Recorded readings cycle: 0.0, 8.7, 11.8, 12.0, 4.1 V
+            await h.waitFor(() => h.store.actualVoltage === 11.8, 3000, 'later recorded voltage');
+            assert.strictEqual(h.simulator.playback.stats.unknown, 0);
+
+            // Ramps start from the recorded reading, which may be above 5 V
+            h.store.settings.voltageRampUp = 0;
+            h.store.settings.voltageRampDown = 0;
+            h.app.handleVoltageSetRequest(5);
+            await h.waitFor(() => h.simulator.playback.unknown.has('[XV050]'), 2000, 'unrecorded setpoint reported');
+        }
+    },
+    {
+        name: 'replay sends nothing and refuses setpoints',
+        async run(h) {
+            const fs = require('fs');
+            const transport = new ReplayTransport({ speed: 10 });
+            transport.load(fs.readFileSync(path.join(__dirname, '..', 'hvps-simulator', 'captures', 'example-session.txt'), 'utf8'), 'example-session.txt');
+            let written = 0;
+            const write = transport.write.bind(transport);
+            transport.write = (data) => {
+                written++;
+                return write(data);
+            };
+
+            const app = new HVPSApp({ headless: true, transport: transport });
+            const errors = [];
+            app.store.addEventListener('error', (data) => errors.push(data.error));
+            await app.initialize();
+            await app.connect();
+            try {
+                await h.waitFor(() => app.store.actualVoltage !== null, 2000, 'replayed readings');
+                assert.strictEqual(app.txScheduler, null);
+
+                app.handleVoltageSetRequest(10);
+                app.handleEstopRequest();
+                await h.sleep(300);
+                assert.strictEqual(written, 0);
+                assert.ok(errors.some((error) => /Setpoints are disabled while replaying/.test(error)), errors.join('; '));
+                const link = app.linkAnalytics.getSnapshot();
+                assert.strictEqual(link.totals.timeouts, 0);
+                assert.strictEqual(link.polls.missed, 0);
+            } finally {
+                await app.shutdown();
+            }
+        }
+    },
+    {
+        name: 'split, corrupted and late replies still yield readings',
+        options: { faults: { split: 50, corrupt: 10, latency: 20, jitter: 30 } },
+        async run(h) {
+            h.store.settings.voltageRampUp = 0;
+            h.app.handleVoltageSetRequest(10);
+            await h.waitFor(() => h.store.actualVoltage === 10, 4000, 'voltage readback through faults');
+            assert.ok(h.simulator.faults.counts.split > 0, 'some replies were split');
+        }
+    },
+    {
+        name: 'truncated replies show up as framing errors',
+        options: { faults: { truncate: 30 } },
+        async run(h) {
+            await h.waitFor(() => h.app.rxParser.getStats().framingReasons.resync > 0, 3000, 'resync after a truncated token');
+            await h.waitFor(() => h.store.actualVoltage !== null && h.store.actualTemperature !== null, 2000, 'readings despite truncation');
+
+            const stats = h.app.rxParser.getStats();
+            assert.ok(stats.bytesDiscarded > 0);
+            assert.ok(h.app.getDiagnostics().serial.framing.pending <= 17, 'partial token stays bounded');
+        }
+    },
+    {
+        name: 'link analytics separate a slow device from a lossy one',
+        options: { faults: { latency: 60, drop: 25 } },
+        async run(h) {
+            await h.waitFor(() => {
+                const link = h.app.linkAnalytics.getSnapshot();
+                return link.polls.missed > 0 && link.rtt.count >= 10;
+            }, 4000, 'answered and missed polls');
+
+            const link = h.app.getDiagnostics().link;
+            assert.ok(link.rtt.min >= 60, `round trip includes the latency (min ${link.rtt.min} ms)`);
+            assert.ok(link.rttByType['poll voltage'].count > 0, 'voltage polls timed separately');
+            assert.ok(link.polls.answeredPercent < 100 && link.polls.answeredPercent > 30,
+                `polls answered ${link.polls.answeredPercent}%`);
+            assert.ok(link.rx.longestGapMs >= 60);
+
+            await h.waitFor(() => h.store.linkStats !== null, 1500, 'snapshot published to the store');
+        }
+    },
+    {
+        name: 'poll rates weight the schedule and disable channels',
+        options: { settings: { pollRates: { voltage: 8, current: 1, temperature: 0 } } },
+        async run(h) {
+            await h.waitFor(() => h.commandsSent('XV') >= 16, 3000, '16 voltage polls');
+
+            assert.strictEqual(h.commandsSent('XTMP'), 0, 'temperature not polled');
+            assert.ok(h.commandsSent('XA') >= 1 && h.commandsSent('XA') <= 4, `current polled ${h.commandsSent('XA')} times`);
+            assert.strictEqual(h.store.actualTemperature, null);
+
+            h.app.handlePollRatesChange({ temperature: 2 });
+            await h.waitFor(() => h.store.actualTemperature !== null, 1500, 'temperature once enabled');
+
+            // 8 + 1 + 2 Hz is over the 10 Hz budget, so every channel is scaled back
+            const rates = h.app.txScheduler.getPollRates();
+            assert.strictEqual(rates.voltage.requested, 8);
+            assert.ok(rates.voltage.effective < 8 && rates.temperature.effective > 0);
+        }
+    },
+    {
+        name: 'pacing backs off from a busy device and recovers',
+        options: { faults: { busy: 180 } },
+        async run(h) {
+            const scheduler = h.app.txScheduler;
+            await h.waitFor(() => scheduler.getPacingStatus().intervalMs >= 180, 3000, 'cadence slowed to the device');
+            await h.sleep(1500);
+
+            // Without pacing the queue grows by 80 ms per command
+            const link = h.app.linkAnalytics.getSnapshot();
+            assert.ok(link.rtt.p95 < 600, `round trip stays bounded (p95 ${link.rtt.p95} ms)`);
+            assert.strictEqual(h.store.timeoutCount, 0);
+
+            // E-STOP doesn't wait out the backed-off cadence
+            scheduler.pacing.interval = scheduler.pacing.maxInterval;
+            const requestedAt = Date.now();
+            h.app.handleEstopRequest();
+            await h.waitFor(() => h.commandsSent('ERST') > 0, 1000, 'ERST sent');
+            const sentAt = h.transcript.find((entry) => entry.direction === 'TX' && entry.text === '[ERST]').t;
+            assert.ok(sentAt - requestedAt <= 300, `ERST after ${sentAt - requestedAt} ms`);
+
+            h.simulator.faults.config.busy = 0;
+            await h.waitFor(() => scheduler.getPacingStatus().state === 'nominal', 5000, 'back to the configured rate');
+            assert.strictEqual(scheduler.getPacingStatus().intervalMs, 100);
+        }
+    },
+    {
+        name: 'current-limited output is reported as not converged',
+        options: { settings: { convergenceTimeout: 1500, voltageRampUp: 0, currentRampUp: 0 } },
+        async run(h) {
+            const failures = [];
+            h.store.addEventListener('convergence', (check) => failures.push(check));
+
+            h.app.handleCurrentSetRequest(0.5);
+            h.app.handleVoltageSetRequest(5);
+            await h.waitFor(() => h.store.convergenceState.voltage
+                && h.store.convergenceState.voltage.status === 'converged', 2000, '5 V settles');
+            await h.waitFor(() => h.store.convergenceState.current
+                && h.store.convergenceState.current.status === 'converged', 2000, 'current within its limit');
+
+            // 30 V into 20 ohms needs 1.5 A; the 0.5 A limit holds it at 10 V
+            h.app.handleVoltageSetRequest(30);
+            await h.waitFor(() => !h.store.pendingVoltageSet, 1000, 'voltage ack');
+            assert.strictEqual(h.store.convergenceState.voltage.status, 'settling');
+
+            await h.waitFor(() => h.store.convergenceState.voltage.status === 'not-converged', 2500, 'convergence failure');
+            const check = h.store.convergenceState.voltage;
+            assert.strictEqual(check.reason, 'current-limited');
+            assert.strictEqual(check.reading, 10);
+            assert.strictEqual(failures.length, 1);
+            assert.ok(h.errors.some((error) => error.includes('did not converge')), check.message);
+        }
+    },
+    {
+        name: 'second device runs its own pipeline and E-STOP all reaches both',
+        async run(h) {
+            const second = await h.addSimulatedDevice({ name: 'Bench B', transport: 'loopback' }, {
+                settings: { voltageRampUp: 0, currentRampUp: 0 }
+            });
+            const channel = second.channel;
+            assert.deepStrictEqual(h.store.settings.devices.map((device) => device.name), ['Bench B']);
+            assert.notStrictEqual(channel.store, h.store);
+
+            await channel.toggleConnection();
+            assert.ok(channel.isConnected(), channel.store.lastError);
+            await h.waitFor(() => channel.store.actualVoltage !== null && h.store.actualVoltage !== null, 2000, 'readings from both');
+
+            // A setpoint for one device never reaches the other
+            channel.setCurrent(5);
+            channel.setVoltage(20);
+            await h.waitFor(() => channel.store.actualVoltage === 20, 3000, 'second device at 20 V');
+            assert.strictEqual(h.simulator.voltageSetpoint, 0);
+            assert.strictEqual(h.commandsSent('XV200'), 0);
+
+            const stopped = h.app.deviceManager.estopAll();
+            assert.deepStrictEqual(stopped, ['HVPS 1', 'Bench B']);
+            await h.waitFor(() => h.commandsSent('ERST') > 0 && h.commandsSent('ERST', second.transcript) > 0, 1000, 'ERST to both');
+            await h.waitFor(() => h.store.estopState === 'acknowledged'
+                && channel.store.estopState === 'acknowledged', 1000, 'both resets acknowledged');
+            assert.strictEqual(second.simulator.voltageSetpoint, 0);
+
+            await h.app.deviceManager.removeDevice(channel.id);
+            assert.ok(!channel.isConnected());
+            assert.deepStrictEqual(h.store.settings.devices, []);
+        }
+    },
+    {
+        name: 'devices with different profiles decode and scale on their own',
+        async run(h) {
+            const second = await h.addSimulatedDevice({ name: 'HV rack', deviceProfile: 'remedi-hv120' }, {
+                settings: { voltageRampUp: 0, currentRampUp: 0 }
+            });
+            const channel = second.channel;
+            assert.strictEqual(channel.store.profile.id, 'remedi-hv120');
+            assert.strictEqual(h.store.profile.id, 'remedi-psu');
+            assert.strictEqual(h.store.settings.devices[0].deviceProfile, 'remedi-hv120');
+
+            await channel.toggleConnection();
+            await h.waitFor(() => channel.store.actualVoltage !== null && h.store.actualVoltage !== null, 2000, 'readings from both');
+
+            // 100 kV is one count per kV on the HV model, out of range on the 99.9 V one
+            channel.setCurrent(5);
+            channel.setVoltage(100);
+            await h.waitFor(() => channel.store.actualVoltage === 100, 3000, 'HV rack at 100 kV');
+            assert.ok(h.commandsSent('XV100', second.transcript) > 0);
+            h.app.handleVoltageSetRequest(100);
+            assert.ok(h.errors.some((error) => /99\.9/.test(error)), h.errors.join('; '));
+            assert.strictEqual(h.commandsSent('XV100'), 0);
+
+            assert.throws(() => channel.setProfile('remedi-psu'), /Disconnect HV rack/);
+            h.app.deviceGroup.setMembers(['primary', channel.id]);
+            assert.throws(() => h.app.deviceGroup.run('voltage', 10), /share a device profile/);
+        }
+    },
+    {
+        name: 'device profiles imported as JSON are validated and drive a new device',
+        async run(h) {
+            for (const profile of DeviceProfiles.list()) {
+                assert.deepStrictEqual(DeviceProfiles.validate(profile), [], `${profile.id} is valid`);
+            }
+
+            const channel = (unit, scale, decimals, max, letter) => ({
+                label: unit === 'kV' ? 'Voltage' : 'Current', unit, width: 3, scale, decimals, min: 0, max,
+                poll: `X${letter}`, reading: `S_${letter}{n}`, set: `X${letter}{n}`, ack: `X_${letter}{n}`
+            });
+            const profile = {
+                id: 'bench-hv30',
+                name: 'Bench HV 30 kV (kV / mA)',
+                channels: {
+                    voltage: channel('kV', 0.1, 1, 30, 'V'),
+                    current: channel('mA', 0.01, 2, 5, 'A'),
+                    temperature: {
+                        label: 'Temperature', unit: '°C', width: 3, scale: 1, decimals: 0, min: 0, max: 999,
+                        poll: 'XTMP', reading: 'S_T{n}'
+                    }
+                },
+                commands: { reset: 'ERST', resetAck: 'E_RST', heartbeat: 'LIVE' }
+            };
+
+            try {
+                // One bad entry and nothing is imported
+                const broken = { ...profile, id: 'bench-broken', channels: { ...profile.channels, voltage: { ...profile.channels.voltage, max: 120, set: 'XV' } } };
+                assert.strictEqual(h.app.handleProfileImport('broken.json', JSON.stringify([profile, broken])), null);
+                assert.ok(/max 120 does not fit/.test(h.store.lastError) && /set must be a token template/.test(h.store.lastError), h.store.lastError);
+                assert.ok(!DeviceProfiles.list().some((entry) => entry.id === 'bench-hv30'));
+                assert.strictEqual(h.app.handleProfileImport('psu.json', JSON.stringify(DeviceProfiles.get('remedi-psu'))), null);
+                assert.ok(/built-in/.test(h.store.lastError), h.store.lastError);
+
+                const imported = h.app.handleProfileImport('bench.json', JSON.stringify(profile));
+                assert.deepStrictEqual(imported.map((entry) => entry.id), ['bench-hv30']);
+
+                const second = await h.addSimulatedDevice({ name: 'HV bench', deviceProfile: 'bench-hv30' }, {
+                    settings: { voltageRampUp: 0, currentRampUp: 0 }
+                });
+                assert.strictEqual(second.channel.store.profile.id, 'bench-hv30');
+                await second.channel.toggleConnection();
+                second.channel.setCurrent(5);
+                second.channel.setVoltage(12.5);
+                await h.waitFor(() => second.channel.store.actualVoltage === 12.5, 3000, 'HV bench at 12.5 kV');
+                assert.ok(h.commandsSent('XV125', second.transcript) > 0);
+                assert.ok(h.commandsSent('XA500', second.transcript) > 0);
+                assert.strictEqual(DeviceProfiles.formatValue(second.channel.store.profile, 'current', 5), '5.00 mA');
+            } finally {
+                delete DEVICE_PROFILES['bench-hv30'];
+            }
+        }
+    },
+    {
+        name: 'group ramp steps every member in lockstep',
+        async run(h) {
+            const second = await h.addSimulatedDevice({ name: 'Bench B' });
+            await second.channel.toggleConnection();
+            await h.waitFor(() => second.channel.store.actualVoltage !== null && h.store.actualVoltage !== null, 2000, 'readings from both');
+
+            const group = h.app.deviceGroup;
+            group.setMembers(['primary', second.channel.id]);
+            assert.strictEqual(await group.run('current', 5), true);
+
+            // 20 V/s in 250 ms steps: 5 V per step
+            assert.strictEqual(await group.run('voltage', 20, 20), true);
+            assert.strictEqual(h.store.groupState.status, 'completed');
+            assert.ok(h.store.groupState.members.every((member) => member.ack === 'acked'));
+            assert.strictEqual(second.simulator.voltageSetpoint, 200);
+            assert.strictEqual(h.simulator.voltageSetpoint, 200);
+
+            // Both got the same steps, each one in the same tick window
+            const steps = (transcript) => transcript.filter((entry) => entry.direction === 'TX' && /^\[XV\d/.test(entry.text));
+            const first = steps(h.transcript);
+            const other = steps(second.transcript);
+            assert.deepStrictEqual(first.map((entry) => entry.text), ['[XV050]', '[XV100]', '[XV150]', '[XV200]']);
+            assert.deepStrictEqual(other.map((entry) => entry.text), first.map((entry) => entry.text));
+            first.forEach((entry, index) => {
+                const skew = Math.abs(entry.t - other[index].t);
+                assert.ok(skew < 100, `step ${index + 1} skew ${skew} ms`);
+            });
+        }
+    },
+    {
+        name: 'group ramps a reset member from its output and refuses one running a sequence',
+        async run(h) {
+            const second = await h.addSimulatedDevice({ name: 'Bench B' });
+            const channel = second.channel;
+            await channel.toggleConnection();
+            await h.waitFor(() => channel.store.actualVoltage !== null, 2000, 'second device readings');
+
+            const group = h.app.deviceGroup;
+            group.setMembers(['primary', channel.id]);
+            assert.strictEqual(await group.run('current', 5), true);
+            assert.strictEqual(await group.run('voltage', 20), true);
+
+            // Bench B is power-cycled while unplugged: its Store still says 20 V
+            await channel.toggleConnection();
+            second.simulator.voltageSetpoint = 0;
+            second.simulator.plant.reset();
+            await channel.toggleConnection();
+            await h.waitFor(() => channel.store.actualVoltage === 0, 3000, 'Bench B back at 0 V');
+            assert.strictEqual(channel.store.voltageSetpoint, 20);
+
+            const sentAt = second.transcript.length;
+            assert.strictEqual(await group.run('voltage', 20, 20), true);
+            const steps = second.transcript.slice(sentAt)
+                .filter((entry) => entry.direction === 'TX' && /^\[XV\d/.test(entry.text))
+                .map((entry) => entry.text);
+            assert.deepStrictEqual(steps, ['[XV050]', '[XV100]', '[XV150]', '[XV200]']);
+
+            const outcome = channel.app.sequenceRunner.run({
+                name: 'hold',
+                steps: [{ type: 'wait', seconds: 5 }],
+                safeExit: [{ type: 'ramp', voltage: 0 }]
+            });
+            await h.waitFor(() => channel.app.sequenceRunner.isRunning, 1000, 'sequence running');
+            assert.throws(() => group.run('voltage', 10), /Bench B is running a sequence/);
+            channel.app.sequenceRunner.abort();
+            await outcome;
+        }
+    },
+    {
+        name: 'group halts when a member stops answering',
+        async run(h) {
+            const second = await h.addSimulatedDevice({ name: 'Bench B' });
+            await second.channel.toggleConnection();
+            await h.waitFor(() => second.channel.store.actualVoltage !== null, 2000, 'second device readings');
+
+            const group = h.app.deviceGroup;
+            group.setMembers(['primary', second.channel.id]);
+            assert.strictEqual(await group.run('current', 5), true);
+
+            const ramp = group.run('voltage', 40, 10);
+            await h.waitFor(() => h.store.groupState.step >= 2, 2000, 'ramp under way');
+            second.simulator.faults.silence(3);
+
+            assert.strictEqual(await ramp, false);
+            const state = h.store.groupState;
+            assert.strictEqual(state.status, 'halted');
+            assert.ok(state.reason.startsWith('Bench B'), state.reason);
+            assert.ok(h.errors.some((error) => error.startsWith('Group halted')));
+
+            // The other member holds its last step
+            const held = h.store.voltageSetpoint;
+            assert.ok(held > 0 && held < 40, `held at ${held} V`);
+            await h.sleep(500);
+            assert.strictEqual(h.store.voltageSetpoint, held);
+            assert.throws(() => group.run('voltage', 40), /Bench B/);
+        }
+    }
+];
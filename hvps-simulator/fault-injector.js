@@ -0,0 +1,174 @@
+// Fault injection between the simulated device and its clients, so the
+// controller's error paths (parse errors, staleness, retries, ack mismatch,
+// reconnect) can be exercised. Probabilities are percentages (0-100).
+const DEFAULT_FAULTS = {
+    drop: 0, // % of responses never sent
+    corrupt: 0, // % of responses with one byte replaced
+    truncate: 0, // % of responses cut short (closing bracket lost)
+    split: 0, // % of responses written in two chunks
+    splitDelay: 20, // ms between the two chunks
+    latency: 0, // ms added before every response
+    jitter: 0, // ms of random extra latency (0..jitter)
+    busy: 0, // ms the device spends on each command, one at a time (replies queue up)
+    wrongAck: 0, // % of X_V/X_A acks echoing a different value
+    liveFlood: 0 // unsolicited [LIVE] tokens per second
+};
+
+const FAULT_USAGE = [
+    'fault                         show active faults',
+    'fault drop|corrupt|truncate|split|wrongack <percent>',
+    'fault latency <ms> [jitter ms]',
+    'fault busy <ms>               handle one command at a time, <ms> each',
+    'fault live <per second>       unsolicited [LIVE] flood (0 = off)',
+    'fault silence <seconds>       stop answering for a while',
+    'fault close [reopen seconds]  close every client connection / the serial port',
+    'fault clear                   back to a perfect device'
+];
+
+class FaultInjector {
+    constructor(config = {}) {
+        this.config = { ...DEFAULT_FAULTS, ...config };
+        this.silentUntil = 0;
+        this.floodTimer = null;
+        this.random = Math.random;
+        this.counts = { dropped: 0, corrupted: 0, truncated: 0, split: 0, wrongAcks: 0, silenced: 0, live: 0, queued: 0 };
+    }
+
+    chance(percent) {
+        return percent > 0 && this.random() * 100 < percent;
+    }
+
+    isSilent(now = Date.now()) {
+        return now < this.silentUntil;
+    }
+
+    silence(seconds) {
+        this.silentUntil = Date.now() + seconds * 1000;
+    }
+
+    // Decide what happens to one response. Returns the chunks to write with
+    // their delay in ms (empty = nothing is sent).
+    plan(response) {
+        const config = this.config;
+
+        if (this.isSilent()) {
+            this.counts.silenced++;
+            return [];
+        }
+        if (this.chance(config.drop)) {
+            this.counts.dropped++;
+            return [];
+        }
+
+        let text = response;
+        if (this.chance(config.wrongAck)) {
+            text = this.falsifyAck(text);
+        }
+        if (this.chance(config.corrupt)) {
+            text = this.corruptByte(text);
+        }
+        if (this.chance(config.truncate) && text.length > 2) {
+            this.counts.truncated++;
+            text = text.substring(0, 1 + Math.floor(this.random() * (text.length - 2)));
+        }
+
+        const delay = config.latency + (config.jitter > 0 ? Math.floor(this.random() * (config.jitter + 1)) : 0);
+        if (this.chance(config.split) && text.length > 1) {
+            this.counts.split++;
+            const cut = 1 + Math.floor(this.random() * (text.length - 1));
+            return [
+                { text: text.substring(0, cut), delay: delay },
+                { text: text.substring(cut), delay: delay + config.splitDelay }
+            ];
+        }
+        return [{ text: text, delay: delay }];
+    }
+
+    // A busy device works through commands in arrival order: each reply waits
+    // for the ones before it. `session.busyUntil` is when the queue drains.
+    queueDelay(session, now = Date.now()) {
+        if (this.config.busy <= 0) {
+            return 0;
+        }
+        if (session.busyUntil > now) {
+            this.counts.queued++;
+        }
+        session.busyUntil = Math.max(now, session.busyUntil || 0) + this.config.busy;
+        return session.busyUntil - now;
+    }
+
+    // [X_V050] -> [X_V051]: the device "acknowledges" a value it wasn't sent
+    falsifyAck(text) {
+        const match = text.match(/^\[(X_[VA])(\d{3})\]$/);
+        if (!match) {
+            return text;
+        }
+        this.counts.wrongAcks++;
+        const value = parseInt(match[2], 10);
+        const wrong = value >= 999 ? value - 1 : value + 1 + Math.floor(this.random() * 10);
+        return `[${match[1]}${Math.min(999, wrong).toString().padStart(3, '0')}]`;
+    }
+
+    corruptByte(text) {
+        this.counts.corrupted++;
+        const index = Math.floor(this.random() * text.length);
+        const replacement = String.fromCharCode(33 + Math.floor(this.random() * 94));
+        return text.substring(0, index) + replacement + text.substring(index + 1);
+    }
+
+    // Flood every client with [LIVE]; `send` writes one token to all sessions
+    startFlood(send) {
+        this.stopFlood();
+        if (this.config.liveFlood <= 0) {
+            return;
+        }
+
+        this.floodTimer = setInterval(() => {
+            if (!this.isSilent()) {
+                this.counts.live++;
+                send('[LIVE]');
+            }
+        }, Math.max(1, Math.round(1000 / this.config.liveFlood)));
+    }
+
+    stopFlood() {
+        if (this.floodTimer) {
+            clearInterval(this.floodTimer);
+            this.floodTimer = null;
+        }
+    }
+
+    clear() {
+        this.config = { ...DEFAULT_FAULTS };
+        this.silentUntil = 0;
+        this.stopFlood();
+    }
+
+    describe() {
+        const config = this.config;
+        const active = [];
+        for (const key of ['drop', 'corrupt', 'truncate', 'split', 'wrongAck']) {
+            if (config[key] > 0) {
+                active.push(`${key} ${config[key]}%`);
+            }
+        }
+        if (config.latency > 0 || config.jitter > 0) {
+            active.push(`latency ${config.latency}+${config.jitter} ms`);
+        }
+        if (config.busy > 0) {
+            active.push(`busy ${config.busy} ms per command`);
+        }
+        if (config.liveFlood > 0) {
+            active.push(`LIVE flood ${config.liveFlood}/s`);
+        }
+        if (this.isSilent()) {
+            active.push(`silent for ${((this.silentUntil - Date.now()) / 1000).toFixed(1)} s`);
+        }
+        return active.length > 0 ? active.join(', ') : 'none';
+    }
+}
+
+FaultInjector.DEFAULTS = DEFAULT_FAULTS;
+FaultInjector.USAGE = FAULT_USAGE;
+
+module.exports = FaultInjector;
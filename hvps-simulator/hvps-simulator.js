@@ -1,18 +1,47 @@
 const { SerialPort } = require('serialport');
 const { ReadlineParser } = require('@serialport/parser-readline');
+const { WebSocketServer } = require('ws');
+const net = require('net');
 const readline = require('readline');
 const fs = require('fs');
 const path = require('path');
+const PlantModel = require('./plant-model');
+const FaultInjector = require('./fault-injector');
+const ScenarioRunner = require('./scenario-runner');
+const PlaybackDevice = require('./playback-device');
 
 class HVPSSimulator {
     constructor(configPath = './config.json') {
         this.loadConfig(configPath);
-        this.temperature = this.config.simulator.initialTemperature;
-        this.voltage = this.config.simulator.initialVoltage;
-        this.current = this.config.simulator.initialCurrent;
+
+        // Setpoints as last commanded, in protocol counts
+        this.voltageSetpoint = this.config.simulator.initialVoltage;
         this.currentLimit = this.config.simulator.defaultCurrentLimit;
+
+        // Output, load and temperature dynamics behind the S_V/S_A/S_T readings
+        const plantConfig = PlantModel.mergeConfig(this.config.plant || {});
+        this.plant = new PlantModel(plantConfig, {
+            voltageSetpoint: this.voltageSetpoint * plantConfig.scale.voltage,
+            currentLimit: this.currentLimit * plantConfig.scale.current,
+            temperature: this.config.simulator.initialTemperature
+        });
         this.serialPort = null;
         this.parser = null;
+
+        // Link faults applied to every response (switchable from the console)
+        this.faults = new FaultInjector(this.config.faults || {});
+
+        // Timeline of scripted events (config "scenario" or --scenario <file>)
+        this.scenario = new ScenarioRunner(this);
+
+        // Recorded transcript that replaces processCommand (config "playback" or --playback <file>)
+        this.playback = null;
+
+        // Connected clients (serial port, TCP sockets, WebSocket clients)
+        this.sessions = new Map();
+        this.nextSessionId = 1;
+        this.tcpServer = null;
+        this.wsServer = null;
     }
 
     loadConfig(configPath) {
@@ -23,6 +52,7 @@ class HVPSSimulator {
             console.error('Error loading config file:', error.message);
             console.log('Using default configuration...');
             this.config = {
+                mode: "serial",
                 serialPort: {
                     path: "COM3",
                     baudRate: 9600,
@@ -32,10 +62,13 @@ class HVPSSimulator {
                     flowControl: "none",
                     autoOpen: true
                 },
+                server: {
+                    tcp: { enabled: true, host: "127.0.0.1", port: 7070 },
+                    websocket: { enabled: true, host: "127.0.0.1", port: 8765 }
+                },
                 simulator: {
                     initialTemperature: 25,
                     initialVoltage: 0,
-                    initialCurrent: 0,
                     defaultCurrentLimit: 100,
                     debugOutput: true
                 }
@@ -55,21 +88,21 @@ class HVPSSimulator {
         
         switch (cmd) {
             case 'XTMP':
-                // Temperature poll - return current temperature
-                return `[S_T${this.formatNumber(this.temperature)}]`;
+                // Temperature poll - return measured heatsink temperature
+                return `[S_T${this.formatNumber(this.plant.measure('temperature'))}]`;
                 
             case 'XV':
-                // Voltage read - return current voltage
-                return `[S_V${this.formatNumber(this.voltage)}]`;
+                // Voltage read - return measured output voltage
+                return `[S_V${this.formatNumber(this.plant.measure('voltage'))}]`;
                 
             case 'XA':
-                // Current read - return current measurement
-                return `[S_A${this.formatNumber(this.current)}]`;
+                // Current read - return measured load current
+                return `[S_A${this.formatNumber(this.plant.measure('current'))}]`;
                 
             case 'ERST':
-                // Error reset
-                this.voltage = 0;
-                this.current = 0;
+                // Error reset - setpoint to zero, output discharges
+                this.voltageSetpoint = 0;
+                this.plant.reset();
                 return '[E_RST]';
                 
             default:
@@ -77,10 +110,9 @@ class HVPSSimulator {
                 if (cmd.startsWith('XV') && cmd.length === 5) {
                     const voltageStr = cmd.substring(2);
                     if (/^\d{3}$/.test(voltageStr)) {
-                        this.voltage = parseInt(voltageStr);
-                        // Simulate some current based on voltage (simplified)
-                        this.current = Math.min(Math.floor(this.voltage * 0.5), this.currentLimit);
-                        return `[X_V${this.formatNumber(this.voltage)}]`;
+                        this.voltageSetpoint = parseInt(voltageStr);
+                        this.plant.setVoltage(this.voltageSetpoint * this.plant.config.scale.voltage);
+                        return `[X_V${this.formatNumber(this.voltageSetpoint)}]`;
                     }
                 }
                 
@@ -89,8 +121,7 @@ class HVPSSimulator {
                     const currentStr = cmd.substring(2);
                     if (/^\d{3}$/.test(currentStr)) {
                         this.currentLimit = parseInt(currentStr);
-                        // Adjust current if it exceeds new limit
-                        this.current = Math.min(this.current, this.currentLimit);
+                        this.plant.setCurrentLimit(this.currentLimit * this.plant.config.scale.current);
                         return `[X_A${this.formatNumber(this.currentLimit)}]`;
                     }
                 }
@@ -100,34 +131,226 @@ class HVPSSimulator {
         }
     }
 
-    // Handle serial port data
-    handleSerialData(data) {
-        let buffer = data.toString();
+    // Session management - each connected client gets its own receive buffer
+    createSession(kind, remote, write, close) {
+        const session = {
+            id: this.nextSessionId++,
+            kind: kind,
+            remote: remote,
+            buffer: '',
+            write: write,
+            close: close,
+            connectedAt: Date.now(),
+            lastWriteAt: 0,
+            busyUntil: 0,
+            commandsReceived: 0,
+            responsesSent: 0
+        };
+        session.label = `${kind}#${session.id}`;
+
+        this.sessions.set(session.id, session);
+        console.log(`[${session.label}] Session opened (${remote})`);
+        this.scenario.handleSessionOpened();
+
+        // Whatever the unit sent before the first command (power-up banners)
+        if (this.playback) {
+            for (const banner of this.playback.leading) {
+                this.sendResponse(session, banner.token, banner.delay);
+            }
+        }
+        return session;
+    }
+
+    closeSession(session, reason = 'closed') {
+        if (!this.sessions.has(session.id)) {
+            return;
+        }
+
+        this.sessions.delete(session.id);
+        const duration = ((Date.now() - session.connectedAt) / 1000).toFixed(1);
+        console.log(`[${session.label}] Session ${reason} after ${duration}s ` +
+            `(${session.commandsReceived} commands, ${session.responsesSent} responses)`);
+    }
+
+    // Handle data received on a session
+    handleSessionData(session, data) {
+        session.buffer += data.toString();
         
         // Process complete commands (bracketed tokens)
-        let bracketStart = buffer.indexOf('[');
-        let bracketEnd = buffer.indexOf(']');
+        let bracketStart = session.buffer.indexOf('[');
+        let bracketEnd = session.buffer.indexOf(']', bracketStart);
         
-        while (bracketStart !== -1 && bracketEnd !== -1 && bracketEnd > bracketStart) {
-            const command = buffer.substring(bracketStart, bracketEnd + 1);
+        while (bracketStart !== -1 && bracketEnd !== -1) {
+            const command = session.buffer.substring(bracketStart, bracketEnd + 1);
+            session.commandsReceived++;
             if (this.config.simulator.debugOutput) {
-                console.log(`Received: ${command}`);
+                console.log(`[${session.label}] Received: ${command}`);
             }
             
-            const response = this.processCommand(command);
-            if (response) {
-                if (this.config.simulator.debugOutput) {
-                    console.log(`Sending: ${response}`);
-                }
-                if (this.serialPort && this.serialPort.isOpen) {
-                    this.serialPort.write(response);
-                }
-            }
+            this.answerCommand(session, command);
             
             // Remove processed command from buffer
-            buffer = buffer.substring(bracketEnd + 1);
-            bracketStart = buffer.indexOf('[');
-            bracketEnd = buffer.indexOf(']');
+            session.buffer = session.buffer.substring(bracketEnd + 1);
+            bracketStart = session.buffer.indexOf('[');
+            bracketEnd = session.buffer.indexOf(']', bracketStart);
+        }
+    }
+
+    answerCommand(session, command) {
+        if (this.playback) {
+            // Recorded replies keep their latency; unknown commands go unanswered
+            const replies = this.playback.answer(command) || [];
+            for (const reply of replies) {
+                this.sendResponse(session, reply.token, reply.delay);
+            }
+            return;
+        }
+
+        const response = this.processCommand(command);
+        if (response) {
+            this.sendResponse(session, response);
+        }
+    }
+
+    sendResponse(session, response, delay = 0) {
+        const queued = this.faults.queueDelay(session);
+        const chunks = this.faults.plan(response);
+        if (chunks.length === 0) {
+            if (this.config.simulator.debugOutput) {
+                console.log(`[${session.label}] Withheld: ${response}`);
+            }
+            return;
+        }
+
+        for (const chunk of chunks) {
+            this.writeChunk(session, chunk.text, chunk.delay + delay + queued);
+        }
+        session.responsesSent++;
+    }
+
+    // Delayed writes keep their order, as bytes on a serial line would
+    writeChunk(session, text, delay) {
+        const now = Date.now();
+        const at = Math.max(now + delay, session.lastWriteAt);
+        session.lastWriteAt = at;
+
+        const write = () => {
+            if (!this.sessions.has(session.id)) {
+                return;
+            }
+            if (this.config.simulator.debugOutput) {
+                console.log(`[${session.label}] Sending: ${text}`);
+            }
+            session.write(text);
+        };
+
+        if (at <= now) {
+            write();
+        } else {
+            setTimeout(write, at - now);
+        }
+    }
+
+    // Unsolicited tokens (LIVE flood) go to every client
+    broadcast(text) {
+        for (const session of this.sessions.values()) {
+            this.writeChunk(session, text, 0);
+        }
+    }
+
+    closeAllSessions() {
+        for (const session of Array.from(this.sessions.values())) {
+            console.log(`[${session.label}] Closing (fault injection)`);
+            session.close();
+            this.closeSession(session, 'closed by fault injection');
+        }
+    }
+
+    loadPlayback(filePath) {
+        this.playback = PlaybackDevice.loadFile(filePath);
+    }
+
+    loadScenario(filePath) {
+        this.scenario.load(ScenarioRunner.loadFile(filePath));
+    }
+
+    // Console: scenario [load <file> | start | stop]
+    handleScenarioCommand(args) {
+        const [name, filePath] = args;
+        try {
+            if (name === 'load' && filePath) {
+                this.loadScenario(filePath);
+            } else if (name === 'start') {
+                this.scenario.start();
+            } else if (name === 'stop') {
+                this.scenario.stop();
+                console.log('[scenario] Stopped');
+            } else if (name) {
+                console.log('Usage: scenario [load <file> | start | stop]');
+                return;
+            }
+        } catch (error) {
+            console.error(`Scenario: ${error.message}`);
+            return;
+        }
+
+        console.log(`Scenario: ${this.scenario.describe()}`);
+        for (const event of this.scenario.fired) {
+            console.log(`  +${event.at}s ${event.summary}`);
+        }
+    }
+
+    // Console: fault <name> [args]
+    handleFaultCommand(args) {
+        const [name, ...values] = args;
+        const numbers = values.map((value) => parseFloat(value));
+        const config = this.faults.config;
+        const percentFaults = { drop: 'drop', corrupt: 'corrupt', truncate: 'truncate', split: 'split', wrongack: 'wrongAck' };
+
+        if (!name || name === 'status') {
+            console.log(`Active faults: ${this.faults.describe()}`);
+            console.log(`Injected so far: ${JSON.stringify(this.faults.counts)}`);
+            return;
+        }
+
+        if (percentFaults[name] && !isNaN(numbers[0])) {
+            config[percentFaults[name]] = Math.max(0, Math.min(100, numbers[0]));
+        } else if (name === 'latency' && !isNaN(numbers[0])) {
+            config.latency = Math.max(0, numbers[0]);
+            config.jitter = isNaN(numbers[1]) ? 0 : Math.max(0, numbers[1]);
+        } else if (name === 'busy' && !isNaN(numbers[0])) {
+            config.busy = Math.max(0, numbers[0]);
+        } else if (name === 'live' && !isNaN(numbers[0])) {
+            config.liveFlood = Math.max(0, numbers[0]);
+            this.faults.startFlood((token) => this.broadcast(token));
+        } else if (name === 'silence' && !isNaN(numbers[0])) {
+            this.faults.silence(numbers[0]);
+        } else if (name === 'close') {
+            this.closeAllSessions();
+
+            // Serial clients can only reconnect once the port is back
+            if (this.serialPort && !isNaN(numbers[0])) {
+                console.log(`Reopening ${this.config.serialPort.path} in ${numbers[0]} s`);
+                setTimeout(() => {
+                    this.startSerial().catch(() => {});
+                }, numbers[0] * 1000);
+            }
+            return;
+        } else if (name === 'clear') {
+            this.faults.clear();
+        } else {
+            console.log('Usage:');
+            FaultInjector.USAGE.forEach((line) => console.log(`  ${line}`));
+            return;
+        }
+
+        console.log(`Active faults: ${this.faults.describe()}`);
+    }
+
+    // Handle serial port data
+    handleSerialData(data) {
+        if (this.serialSession) {
+            this.handleSessionData(this.serialSession, data);
         }
     }
 
@@ -153,6 +376,12 @@ class HVPSSimulator {
                 });
             });
 
+            this.serialSession = this.createSession('serial', this.config.serialPort.path, (response) => {
+                if (this.serialPort && this.serialPort.isOpen) {
+                    this.serialPort.write(response);
+                }
+            }, () => this.serialPort.close());
+
             console.log(`HVPS Simulator connected to ${this.config.serialPort.path}`);
             console.log('Serial port configuration:');
             console.log(`  Port: ${this.config.serialPort.path}`);
@@ -161,19 +390,8 @@ class HVPSSimulator {
             console.log(`  Parity: ${this.config.serialPort.parity}`);
             console.log(`  Stop Bits: ${this.config.serialPort.stopBits}`);
             
-            console.log('\nCommands supported:');
-            console.log('  [XTMP] - Get temperature');
-            console.log('  [XV] - Get voltage');
-            console.log('  [XVnnn] - Set voltage (nnn = decivolts)');
-            console.log('  [XA] - Get current');
-            console.log('  [XAnnn] - Set current limit (nnn = deci-amps)');
-            console.log('  [ERST] - Reset');
-            
-            console.log('\nSimulator state:');
-            console.log(`  Temperature: ${this.temperature}°C`);
-            console.log(`  Voltage: ${this.voltage / 10}V`);
-            console.log(`  Current: ${this.current / 10}A`);
-            console.log(`  Current Limit: ${this.currentLimit / 10}A`);
+            this.printBanner();
+            this.faults.startFlood((token) => this.broadcast(token));
 
             // Handle incoming data
             this.serialPort.on('data', (data) => {
@@ -186,6 +404,10 @@ class HVPSSimulator {
 
             this.serialPort.on('close', () => {
                 console.log('Serial port closed');
+                if (this.serialSession) {
+                    this.closeSession(this.serialSession);
+                    this.serialSession = null;
+                }
             });
 
         } catch (error) {
@@ -203,6 +425,116 @@ class HVPSSimulator {
         }
     }
 
+    printBanner() {
+        console.log('\nCommands supported:');
+        console.log('  [XTMP] - Get temperature');
+        console.log('  [XV] - Get voltage');
+        console.log('  [XVnnn] - Set voltage (nnn = decivolts)');
+        console.log('  [XA] - Get current');
+        console.log('  [XAnnn] - Set current limit (nnn = deci-amps)');
+        console.log('  [ERST] - Reset');
+        
+        const load = this.plant.config.load;
+        if (this.playback) {
+            console.log(`\nPlayback mode: answering from ${this.playback.name} (the plant model is bypassed)`);
+        }
+
+        console.log('\nSimulator state:');
+        console.log(`  Output: ${this.plant.describe()}`);
+        console.log(`  Load: ${load.type === 'tube' ? `tube, perveance ${load.perveance} A/V^1.5` : `${load.resistance} ohm resistive`}`);
+        console.log(`  Slew: +${this.plant.config.slewRate} / -${this.plant.config.fallRate} V/s`);
+        console.log(`  Faults: ${this.faults.describe()}`);
+    }
+
+    // Start TCP and/or WebSocket listeners serving the same bracket protocol
+    async startServer() {
+        const serverConfig = this.config.server || {};
+        const tcpConfig = serverConfig.tcp || {};
+        const wsConfig = serverConfig.websocket || {};
+
+        if (!tcpConfig.enabled && !wsConfig.enabled) {
+            throw new Error('Server mode needs server.tcp or server.websocket enabled in config');
+        }
+
+        if (tcpConfig.enabled) {
+            await this.startTcpServer(tcpConfig);
+        }
+
+        if (wsConfig.enabled) {
+            await this.startWebSocketServer(wsConfig);
+        }
+
+        this.printBanner();
+        this.faults.startFlood((token) => this.broadcast(token));
+    }
+
+    startTcpServer(tcpConfig) {
+        return new Promise((resolve, reject) => {
+            this.tcpServer = net.createServer((socket) => {
+                const remote = `${socket.remoteAddress}:${socket.remotePort}`;
+                const session = this.createSession('tcp', remote, (response) => {
+                    if (!socket.destroyed) {
+                        socket.write(response);
+                    }
+                }, () => socket.end());
+
+                socket.on('data', (data) => {
+                    this.handleSessionData(session, data);
+                });
+
+                socket.on('error', (err) => {
+                    console.error(`[${session.label}] Socket error:`, err.message);
+                });
+
+                socket.on('close', () => {
+                    this.closeSession(session);
+                });
+            });
+
+            this.tcpServer.once('error', reject);
+            this.tcpServer.listen(tcpConfig.port, tcpConfig.host || '127.0.0.1', () => {
+                console.log(`HVPS Simulator listening on tcp://${tcpConfig.host || '127.0.0.1'}:${tcpConfig.port}`);
+                resolve();
+            });
+        });
+    }
+
+    startWebSocketServer(wsConfig) {
+        return new Promise((resolve, reject) => {
+            this.wsServer = new WebSocketServer({
+                host: wsConfig.host || '127.0.0.1',
+                port: wsConfig.port
+            });
+
+            this.wsServer.on('connection', (socket, request) => {
+                const remote = `${request.socket.remoteAddress}:${request.socket.remotePort}`;
+                const session = this.createSession('ws', remote, (response) => {
+                    if (socket.readyState === socket.OPEN) {
+                        socket.send(response);
+                    }
+                }, () => socket.close());
+
+                socket.on('message', (data) => {
+                    this.handleSessionData(session, data);
+                });
+
+                socket.on('error', (err) => {
+                    console.error(`[${session.label}] WebSocket error:`, err.message);
+                });
+
+                socket.on('close', () => {
+                    this.closeSession(session);
+                });
+            });
+
+            this.wsServer.once('error', reject);
+            this.wsServer.once('listening', () => {
+                console.log(`HVPS Simulator listening on ws://${wsConfig.host || '127.0.0.1'}:${wsConfig.port}`);
+                resolve();
+            });
+        });
+    }
+
     // Interactive console for testing
     startConsole() {
         const rl = readline.createInterface({
@@ -213,6 +545,9 @@ class HVPSSimulator {
 
         console.log('\nInteractive console started. Type commands without brackets:');
         console.log('Examples: XTMP, XV, XV050, XA, XA025, ERST');
+        console.log('Fault injection: "fault" for status, "fault help" for options.');
+        console.log('Scenarios: "scenario" for status, "scenario load <file>", "scenario start", "scenario stop".');
+        console.log('Playback: "playback" shows answered and unknown commands.');
         console.log('Type "quit" to exit console mode.\n');
 
         rl.prompt();
@@ -225,16 +560,25 @@ class HVPSSimulator {
                 return;
             }
 
-            if (trimmed) {
+            const words = trimmed.split(/\s+/);
+            if (words[0].toLowerCase() === 'fault') {
+                this.handleFaultCommand(words.slice(1).map((word) => word.toLowerCase()));
+            } else if (words[0].toLowerCase() === 'scenario') {
+                this.handleScenarioCommand(words.slice(1));
+            } else if (words[0].toLowerCase() === 'playback') {
+                console.log(this.playback ? this.playback.describe() : 'No transcript loaded (start with --playback <file>)');
+            } else if (trimmed) {
                 const command = `[${trimmed}]`;
                 console.log(`Processing: ${command}`);
-                const response = this.processCommand(command);
+                const response = this.playback
+                    ? (this.playback.answer(command) || []).map((reply) => `${reply.token} (+${reply.delay} ms)`).join(' ')
+                    : this.processCommand(command);
                 if (response) {
                     console.log(`Response: ${response}`);
                 } else {
                     console.log('Unknown command or invalid format');
                 }
-                console.log(`State: T=${this.temperature}°C, V=${this.voltage/10}V, A=${this.current/10}A`);
+                console.log(`State: ${this.plant.describe()}`);
             }
             
             rl.prompt();
@@ -246,6 +590,25 @@ class HVPSSimulator {
     }
 
     stop() {
+        this.faults.stopFlood();
+        this.scenario.stop();
+
+        for (const session of this.sessions.values()) {
+            if (session.kind !== 'serial') {
+                session.close();
+            }
+        }
+
+        if (this.tcpServer) {
+            this.tcpServer.close();
+            this.tcpServer = null;
+        }
+
+        if (this.wsServer) {
+            this.wsServer.close();
+            this.wsServer = null;
+        }
+
         if (this.serialPort && this.serialPort.isOpen) {
             this.serialPort.close((err) => {
                 if (err) {
@@ -280,8 +643,20 @@ class HVPSSimulator {
 // Main execution
 if (require.main === module) {
     const args = process.argv.slice(2);
-    const mode = args[0] || 'serial';
+
+    // --scenario <file> / --playback <file> override "scenario" / "playback" in config.json
+    const takeOption = (name) => {
+        const index = args.indexOf(name);
+        if (index === -1) {
+            return null;
+        }
+        return args.splice(index, 2)[1] || null;
+    };
+    let scenarioPath = takeOption('--scenario');
+    const playbackPath = takeOption('--playback');
+
     const configPath = args[1] || './config.json';
+    let mode = args[0];
     
     if (mode === 'list') {
         // List available ports and exit
@@ -293,10 +668,25 @@ if (require.main === module) {
         const simulator = new HVPSSimulator(configPath);
         simulator.startConsole();
     } else {
-        // Serial mode (default)
+        // Serial or server mode, picked on the command line or by "mode" in config.json
         const simulator = new HVPSSimulator(configPath);
+        mode = mode || simulator.config.mode || 'serial';
+
+        scenarioPath = scenarioPath || simulator.config.scenario;
+        try {
+            if (scenarioPath) {
+                simulator.loadScenario(scenarioPath);
+            }
+            if (playbackPath || simulator.config.playback) {
+                simulator.loadPlayback(playbackPath || simulator.config.playback);
+            }
+        } catch (error) {
+            console.error(error.message);
+            process.exit(1);
+        }
+        const start = mode === 'server' ? simulator.startServer() : simulator.startSerial();
         
-        simulator.startSerial().then(() => {
+        start.then(() => {
             // Also start console for interactive testing
             setTimeout(() => {
                 simulator.startConsole();
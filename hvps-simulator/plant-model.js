@@ -0,0 +1,180 @@
+// Physical model of the supply and its load. Works in engineering units
+// (V, A, °C); the simulator converts to protocol counts via `scale`.
+//
+// - Output voltage slews towards the setpoint at slewRate / fallRate (V/s)
+// - Load is resistive (I = V/R) or tube-like (I = k·V^1.5, Child-Langmuir)
+// - When the load would draw more than the current limit the supply drops
+//   into constant-current mode and the voltage settles where I = limit
+// - Temperature follows a first-order model driven by dissipated power
+// - Readings get gaussian noise and are quantized to the protocol resolution
+const DEFAULT_PLANT = {
+    load: {
+        type: 'resistive', // 'resistive' or 'tube'
+        resistance: 20, // ohms
+        perveance: 0.005 // A/V^1.5 for the tube load
+    },
+    slewRate: 50, // V/s rising
+    fallRate: 100, // V/s falling (bleeder discharge)
+    ambientTemperature: 25, // °C
+    thermalResistance: 0.5, // °C/W heatsink to ambient
+    thermalTimeConstant: 60, // s
+    efficiency: 0.85, // output power / input power
+    idlePower: 5, // W dissipated with the output at zero
+    noise: { voltage: 0.05, current: 0.01, temperature: 0.2 }, // standard deviation
+    scale: { voltage: 0.1, current: 0.1, temperature: 1 }, // units per protocol count
+    maxCount: 999
+};
+
+class PlantModel {
+    constructor(config = {}, initial = {}) {
+        this.config = PlantModel.mergeConfig(config);
+
+        this.voltageSetpoint = initial.voltageSetpoint || 0; // V
+        this.currentLimit = initial.currentLimit !== undefined ? initial.currentLimit : 10; // A
+        this.voltage = this.voltageSetpoint; // V at the output terminals
+        this.temperature = initial.temperature !== undefined
+            ? initial.temperature
+            : this.config.ambientTemperature;
+        this.mode = 'CV'; // 'CV' or 'CC'
+
+        this.current = 0;
+        this.spikes = []; // transient arc currents: { amps, until }
+        this.regulate();
+        this.lastUpdate = Date.now();
+    }
+
+    static mergeConfig(config) {
+        return {
+            ...DEFAULT_PLANT,
+            ...config,
+            load: { ...DEFAULT_PLANT.load, ...(config.load || {}) },
+            noise: { ...DEFAULT_PLANT.noise, ...(config.noise || {}) },
+            scale: { ...DEFAULT_PLANT.scale, ...(config.scale || {}) }
+        };
+    }
+
+    // Load current drawn at a given output voltage
+    loadCurrent(voltage) {
+        const load = this.config.load;
+        if (voltage <= 0) {
+            return 0;
+        }
+        if (load.type === 'tube') {
+            return load.perveance * Math.pow(voltage, 1.5);
+        }
+        return voltage / load.resistance;
+    }
+
+    // Output voltage at which the load draws exactly `current`
+    voltageForCurrent(current) {
+        const load = this.config.load;
+        if (current <= 0) {
+            return 0;
+        }
+        if (load.type === 'tube') {
+            return Math.pow(current / load.perveance, 2 / 3);
+        }
+        return current * load.resistance;
+    }
+
+    setVoltage(volts) {
+        this.update();
+        this.voltageSetpoint = Math.max(0, volts);
+    }
+
+    setCurrentLimit(amps) {
+        this.update();
+        this.currentLimit = Math.max(0, amps);
+        this.regulate();
+    }
+
+    // Advance the model to `now` (ms); called before every read or write
+    update(now = Date.now()) {
+        const elapsed = Math.max(0, (now - this.lastUpdate) / 1000);
+        this.lastUpdate = now;
+
+        // Sub-steps keep the thermal and CC interaction stable over long gaps
+        let remaining = elapsed;
+        while (remaining > 0) {
+            const dt = Math.min(remaining, 0.05);
+            this.step(dt);
+            remaining -= dt;
+        }
+    }
+
+    step(dt) {
+        const config = this.config;
+
+        // CV target is the setpoint, capped where the load hits the current limit
+        const limitVoltage = this.voltageForCurrent(this.currentLimit);
+        const target = Math.min(this.voltageSetpoint, limitVoltage);
+
+        if (this.voltage < target) {
+            this.voltage = Math.min(target, this.voltage + config.slewRate * dt);
+        } else if (this.voltage > target) {
+            this.voltage = Math.max(target, this.voltage - config.fallRate * dt);
+        }
+
+        this.regulate();
+
+        // First-order thermal response towards ambient + Rth·P
+        const outputPower = this.voltage * this.current;
+        const dissipated = config.idlePower + outputPower * (1 - config.efficiency) / config.efficiency;
+        const steadyState = config.ambientTemperature + config.thermalResistance * dissipated;
+        this.temperature += (steadyState - this.temperature) * (1 - Math.exp(-dt / config.thermalTimeConstant));
+    }
+
+    // The current loop is fast compared to the voltage slew: clamp immediately
+    regulate() {
+        const demand = this.loadCurrent(this.voltage);
+        if (demand > this.currentLimit) {
+            this.voltage = this.voltageForCurrent(this.currentLimit);
+            this.current = this.currentLimit;
+            this.mode = 'CC';
+        } else {
+            this.current = demand;
+            this.mode = this.voltageSetpoint > this.voltageForCurrent(this.currentLimit) ? 'CC' : 'CV';
+        }
+    }
+
+    // Arc or flashover: extra current the regulator doesn't get to limit
+    addCurrentSpike(amps, seconds) {
+        this.spikes.push({ amps: amps, until: Date.now() + seconds * 1000 });
+    }
+
+    spikeCurrent(now = Date.now()) {
+        this.spikes = this.spikes.filter((spike) => spike.until > now);
+        return this.spikes.reduce((sum, spike) => sum + spike.amps, 0);
+    }
+
+    // Reset drops the setpoint; the output discharges at fallRate
+    reset() {
+        this.setVoltage(0);
+    }
+
+    // Noisy reading in protocol counts (0..maxCount)
+    measure(channel) {
+        this.update();
+        const sigma = this.config.noise[channel] || 0;
+        const spike = channel === 'current' ? this.spikeCurrent() : 0;
+        const value = this[channel] + spike + sigma * PlantModel.gaussian();
+        const count = Math.round(value / this.config.scale[channel]);
+        return Math.max(0, Math.min(this.config.maxCount, count));
+    }
+
+    // Standard normal sample (Box-Muller)
+    static gaussian() {
+        const u = 1 - Math.random();
+        const v = Math.random();
+        return Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * v);
+    }
+
+    describe() {
+        return `${this.mode} ${this.voltage.toFixed(2)} V / ${this.current.toFixed(3)} A ` +
+            `(set ${this.voltageSetpoint} V, limit ${this.currentLimit} A), ${this.temperature.toFixed(1)}°C`;
+    }
+}
+
+PlantModel.DEFAULTS = DEFAULT_PLANT;
+
+module.exports = PlantModel;
@@ -0,0 +1,162 @@
+// Record-and-playback device: answers each command with what a real unit
+// answered to the same command in a captured transcript, with the recorded
+// latency and any tokens (LIVE banners etc.) that arrived before the next
+// command. Transcripts use the controller's debug log format, e.g.
+//
+//   14:03:21.118 [TX] [XV]
+//   14:03:21.161 [RX] [S_V125]
+//
+// Timestamps may be HH:MM:SS[.mmm] [AM|PM] or ISO, as in the browser's
+// ReplayTransport (js/transports.js).
+const fs = require('fs');
+
+class PlaybackDevice {
+    constructor() {
+        this.name = null;
+        this.leading = []; // RX before the first command: [{ token, delay }]
+        this.exchanges = new Map(); // command -> list of recorded replies
+        this.positions = new Map(); // command -> next reply index
+        this.unknown = new Map(); // command -> times asked
+        this.stats = { answered: 0, unknown: 0 };
+    }
+
+    static parseTimestamp(line) {
+        const iso = line.match(/^\s*(\d{4}-\d{2}-\d{2}T[\d:.]+Z?)/);
+        if (iso) {
+            const parsed = Date.parse(iso[1]);
+            return isNaN(parsed) ? null : parsed;
+        }
+
+        const clock = line.match(/^\s*(\d{1,2}):(\d{2}):(\d{2})(?:\.(\d{1,3}))?\s*(AM|PM)?/i);
+        if (!clock) {
+            return null;
+        }
+
+        let hours = parseInt(clock[1], 10);
+        if (clock[5]) {
+            const pm = clock[5].toUpperCase() === 'PM';
+            hours = (hours % 12) + (pm ? 12 : 0);
+        }
+        const ms = clock[4] ? parseInt(clock[4].padEnd(3, '0'), 10) : 0;
+        return ((hours * 60 + parseInt(clock[2], 10)) * 60 + parseInt(clock[3], 10)) * 1000 + ms;
+    }
+
+    // Returns { leading, exchanges } where each exchange reply is a list of
+    // { token, delay } with delay in ms after the command
+    static parse(text) {
+        const leading = [];
+        const exchanges = new Map();
+        let current = null; // { t, replies } of the last command seen
+        let firstTime = null;
+        let lastTime = null;
+        let dayOffset = 0;
+        let sawCommand = false;
+
+        for (const line of text.split(/\r?\n/)) {
+            const tokens = line.match(/\[[^\[\]]*\]/g);
+            if (!tokens) {
+                continue;
+            }
+
+            let time = PlaybackDevice.parseTimestamp(line);
+            if (time !== null) {
+                // Time-of-day stamps wrap at midnight
+                if (lastTime !== null && time + dayOffset < lastTime - 12 * 60 * 60 * 1000) {
+                    dayOffset += 24 * 60 * 60 * 1000;
+                }
+                time += dayOffset;
+                lastTime = time;
+            } else {
+                time = lastTime !== null ? lastTime : 0;
+            }
+            if (firstTime === null) {
+                firstTime = time;
+            }
+
+            const direction = tokens.includes('[TX]') ? 'TX' : (tokens.includes('[RX]') ? 'RX' : null);
+            const payload = tokens.filter((token) => token !== '[TX]' && token !== '[RX]');
+            if (direction === null) {
+                continue;
+            }
+
+            for (const token of payload) {
+                if (direction === 'TX') {
+                    sawCommand = true;
+                    current = { t: time, replies: [] };
+                    if (!exchanges.has(token)) {
+                        exchanges.set(token, []);
+                    }
+                    exchanges.get(token).push(current.replies);
+                } else if (current) {
+                    current.replies.push({ token: token, delay: Math.max(0, time - current.t) });
+                } else {
+                    leading.push({ token: token, delay: time - firstTime });
+                }
+            }
+        }
+
+        if (!sawCommand) {
+            throw new Error('No [TX] commands found - the transcript needs [TX]/[RX] direction markers');
+        }
+        return { leading, exchanges };
+    }
+
+    static loadFile(filePath) {
+        let text;
+        try {
+            text = fs.readFileSync(filePath, 'utf8');
+        } catch (error) {
+            throw new Error(`Cannot read transcript ${filePath}: ${error.message}`);
+        }
+        const device = new PlaybackDevice();
+        device.load(text, filePath);
+        return device;
+    }
+
+    load(text, name = 'transcript') {
+        const parsed = PlaybackDevice.parse(text);
+        this.name = name;
+        this.leading = parsed.leading;
+        this.exchanges = parsed.exchanges;
+        this.positions = new Map();
+        this.unknown = new Map();
+        this.stats = { answered: 0, unknown: 0 };
+
+        let recorded = 0;
+        for (const replies of this.exchanges.values()) {
+            recorded += replies.length;
+        }
+        console.log(`[playback] Loaded ${name}: ${recorded} exchanges for ${this.exchanges.size} distinct commands`);
+    }
+
+    // Recorded reply for `command` ([] when the unit stayed quiet), or null
+    // when the capture never saw this command. Repeated commands walk through
+    // their recorded replies in order and wrap around.
+    answer(command) {
+        const replies = this.exchanges.get(command);
+        if (!replies) {
+            this.stats.unknown++;
+            const count = (this.unknown.get(command) || 0) + 1;
+            this.unknown.set(command, count);
+            if (count === 1) {
+                console.warn(`[playback] Unknown command ${command} - not in ${this.name}`);
+            }
+            return null;
+        }
+
+        const index = this.positions.get(command) || 0;
+        this.positions.set(command, (index + 1) % replies.length);
+        this.stats.answered++;
+        return replies[index];
+    }
+
+    describe() {
+        const lines = [`${this.name}: ${this.exchanges.size} commands, ${this.stats.answered} answered, ${this.stats.unknown} unknown`];
+        for (const [command, count] of this.unknown) {
+            lines.push(`  unknown ${command} x${count}`);
+        }
+        return lines.join('\n');
+    }
+}
+
+module.exports = PlaybackDevice;
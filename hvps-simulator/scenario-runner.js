@@ -0,0 +1,240 @@
+// Time-scripted scenarios: a JSON file of events applied to the simulator at
+// fixed offsets, for reproducible watchdog/protection regression runs.
+//
+// {
+//   "name": "overtemp-and-silence",
+//   "start": "connect",            // clock starts at the first client ("load" = immediately)
+//   "events": [
+//     { "at": 10, "action": "temperature", "value": 70 },
+//     { "at": 20, "action": "arc", "value": 8, "duration": 0.2 },
+//     { "at": 30, "action": "silence", "duration": 5 },
+//     { "at": 40, "action": "reset" }
+//   ]
+// }
+const fs = require('fs');
+const PlantModel = require('./plant-model');
+
+const ACTIONS = {
+    // Heatsink temperature jumps to `value` °C, then follows the thermal model
+    temperature: {
+        required: ['value'],
+        apply: (simulator, event) => {
+            simulator.plant.update();
+            simulator.plant.temperature = event.value;
+            return `temperature -> ${event.value}°C`;
+        }
+    },
+    // Ambient changes; the heatsink drifts there with the thermal time constant
+    ambient: {
+        required: ['value'],
+        apply: (simulator, event) => {
+            simulator.plant.update();
+            simulator.plant.config.ambientTemperature = event.value;
+            return `ambient -> ${event.value}°C`;
+        }
+    },
+    // Arc: `value` A on top of the load current for `duration` s
+    arc: {
+        required: ['value', 'duration'],
+        apply: (simulator, event) => {
+            simulator.plant.addCurrentSpike(event.value, event.duration);
+            return `arc +${event.value} A for ${event.duration} s`;
+        }
+    },
+    // No replies for `duration` s
+    silence: {
+        required: ['duration'],
+        apply: (simulator, event) => {
+            simulator.faults.silence(event.duration);
+            return `silent for ${event.duration} s`;
+        }
+    },
+    // The device resets on its own and reports it
+    reset: {
+        required: [],
+        apply: (simulator) => {
+            simulator.voltageSetpoint = 0;
+            simulator.plant.reset();
+            simulator.broadcast('[E_RST]');
+            return 'unsolicited reset, sent [E_RST]';
+        }
+    },
+    // Raw token to every client, e.g. "[LIVE]" or a malformed one
+    send: {
+        required: ['token'],
+        apply: (simulator, event) => {
+            simulator.broadcast(event.token);
+            return `sent ${event.token}`;
+        }
+    },
+    // Fault injector settings, e.g. { "set": { "drop": 20 } }
+    fault: {
+        required: ['set'],
+        apply: (simulator, event) => {
+            Object.assign(simulator.faults.config, event.set);
+            simulator.faults.startFlood((token) => simulator.broadcast(token));
+            return `faults: ${simulator.faults.describe()}`;
+        }
+    },
+    // Plant settings, e.g. { "set": { "load": { "type": "resistive", "resistance": 2 } } }
+    plant: {
+        required: ['set'],
+        apply: (simulator, event) => {
+            const current = simulator.plant.config;
+            const set = event.set;
+            simulator.plant.update();
+            simulator.plant.config = PlantModel.mergeConfig({
+                ...current,
+                ...set,
+                load: { ...current.load, ...(set.load || {}) },
+                noise: { ...current.noise, ...(set.noise || {}) },
+                scale: { ...current.scale, ...(set.scale || {}) }
+            });
+            simulator.plant.regulate();
+            return `plant: ${JSON.stringify(event.set)}`;
+        }
+    },
+    // Drop every client connection
+    close: {
+        required: [],
+        apply: (simulator) => {
+            simulator.closeAllSessions();
+            return 'closed all client connections';
+        }
+    },
+    // Marker in the log only
+    log: {
+        required: ['message'],
+        apply: (simulator, event) => event.message
+    }
+};
+
+class ScenarioRunner {
+    constructor(simulator) {
+        this.simulator = simulator;
+        this.scenario = null;
+        this.timers = [];
+        this.startedAt = null;
+        this.fired = [];
+    }
+
+    static loadFile(filePath) {
+        let definition;
+        try {
+            definition = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+        } catch (error) {
+            throw new Error(`Cannot read scenario ${filePath}: ${error.message}`);
+        }
+        return ScenarioRunner.validate(definition, filePath);
+    }
+
+    // Returns a normalized copy with events sorted by time
+    static validate(definition, source = 'scenario') {
+        if (!definition || !Array.isArray(definition.events)) {
+            throw new Error(`${source}: "events" must be an array`);
+        }
+
+        const start = definition.start || 'connect';
+        if (start !== 'connect' && start !== 'load') {
+            throw new Error(`${source}: "start" must be "connect" or "load"`);
+        }
+
+        const events = definition.events.map((event, index) => {
+            const where = `${source}: event ${index + 1}`;
+            if (typeof event.at !== 'number' || event.at < 0) {
+                throw new Error(`${where} needs a non-negative "at" (seconds)`);
+            }
+            const action = ACTIONS[event.action];
+            if (!action) {
+                throw new Error(`${where} has unknown action "${event.action}" (${Object.keys(ACTIONS).join(', ')})`);
+            }
+            const missing = action.required.filter((key) => event[key] === undefined);
+            if (missing.length > 0) {
+                throw new Error(`${where} (${event.action}) is missing ${missing.join(', ')}`);
+            }
+            return { ...event };
+        });
+
+        events.sort((a, b) => a.at - b.at);
+        return {
+            name: definition.name || source,
+            start: start,
+            events: events
+        };
+    }
+
+    load(definition) {
+        this.stop();
+        this.scenario = definition;
+        this.fired = [];
+        console.log(`[scenario] Loaded "${definition.name}" (${definition.events.length} events, ` +
+            `starts on ${definition.start === 'load' ? 'load' : 'first connection'})`);
+
+        if (definition.start === 'load') {
+            this.start();
+        }
+    }
+
+    // Called by the simulator when a client session opens
+    handleSessionOpened() {
+        if (this.scenario && this.scenario.start === 'connect' && this.startedAt === null) {
+            this.start();
+        }
+    }
+
+    start() {
+        if (!this.scenario) {
+            throw new Error('No scenario loaded');
+        }
+
+        this.stop();
+        this.fired = [];
+        this.startedAt = Date.now();
+        console.log(`[scenario] "${this.scenario.name}" started`);
+
+        for (const event of this.scenario.events) {
+            this.timers.push(setTimeout(() => this.fire(event), event.at * 1000));
+        }
+    }
+
+    stop() {
+        for (const timer of this.timers) {
+            clearTimeout(timer);
+        }
+        this.timers = [];
+        this.startedAt = null;
+    }
+
+    fire(event) {
+        const elapsed = ((Date.now() - this.startedAt) / 1000).toFixed(1);
+        let summary;
+        try {
+            summary = ACTIONS[event.action].apply(this.simulator, event);
+            console.log(`[scenario +${elapsed}s] ${summary}`);
+        } catch (error) {
+            summary = `${event.action} failed: ${error.message}`;
+            console.error(`[scenario +${elapsed}s] ${summary}`);
+        }
+        this.fired.push({ at: event.at, action: event.action, summary: summary });
+
+        if (this.fired.length === this.scenario.events.length) {
+            console.log(`[scenario] "${this.scenario.name}" complete`);
+        }
+    }
+
+    describe() {
+        if (!this.scenario) {
+            return 'no scenario loaded';
+        }
+        const total = this.scenario.events.length;
+        if (this.startedAt === null) {
+            return `"${this.scenario.name}" loaded, waiting to start (${total} events)`;
+        }
+        const elapsed = ((Date.now() - this.startedAt) / 1000).toFixed(1);
+        return `"${this.scenario.name}" at +${elapsed}s, ${this.fired.length}/${total} events fired`;
+    }
+}
+
+ScenarioRunner.ACTIONS = Object.keys(ACTIONS);
+
+module.exports = ScenarioRunner;
@@ -1,9 +1,12 @@
 const { SerialPort } = require('serialport');
+const net = require('net');
 const fs = require('fs');
 
 class TestClient {
-    constructor(configPath = './config.json') {
+    constructor(configPath = './config.json', mode = 'serial') {
         this.serialPort = null;
+        this.socket = null;
+        this.mode = mode;
         this.loadConfig(configPath);
     }
 
@@ -21,6 +24,9 @@ class TestClient {
                     dataBits: 8,
                     parity: "none",
                     stopBits: 1
+                },
+                server: {
+                    tcp: { host: "127.0.0.1", port: 7070 }
                 }
             };
         }
@@ -64,15 +70,47 @@ class TestClient {
         });
     }
 
+    // Connect to a simulator running in server mode
+    async connectTcp() {
+        const { host, port } = this.config.server.tcp;
+
+        return new Promise((resolve, reject) => {
+            this.socket = net.createConnection({ host: host, port: port }, () => {
+                console.log(`Connected to HVPS simulator on tcp://${host}:${port}`);
+                resolve();
+            });
+
+            this.socket.once('error', (err) => {
+                console.error('TCP connection error:', err.message);
+                reject(err);
+            });
+
+            this.socket.on('data', (data) => {
+                console.log(`Received: ${data.toString().trim()}`);
+            });
+
+            this.socket.on('close', () => {
+                console.log('TCP connection closed');
+            });
+        });
+    }
+
+    isOpen() {
+        if (this.mode === 'tcp') {
+            return this.socket !== null && !this.socket.destroyed;
+        }
+        return this.serialPort !== null && this.serialPort.isOpen;
+    }
+
     sendCommand(command) {
         return new Promise((resolve) => {
-            if (this.serialPort && this.serialPort.isOpen) {
+            if (this.isOpen()) {
                 console.log(`Sending: ${command}`);
-                this.serialPort.write(command);
+                (this.mode === 'tcp' ? this.socket : this.serialPort).write(command);
                 // Give some time for response
                 setTimeout(resolve, 200);
             } else {
-                console.error('Serial port not open');
+                console.error(this.mode === 'tcp' ? 'TCP connection not open' : 'Serial port not open');
                 resolve();
             }
         });
@@ -80,10 +118,14 @@ class TestClient {
 
     async runTests() {
         try {
-            console.log('=== HVPS Simulator Test Client (Serial) ===\n');
-            console.log(`Connecting to ${this.config.serialPort.path}...`);
-            
-            await this.connect();
+            if (this.mode === 'tcp') {
+                console.log('=== HVPS Simulator Test Client (TCP) ===\n');
+                await this.connectTcp();
+            } else {
+                console.log('=== HVPS Simulator Test Client (Serial) ===\n');
+                console.log(`Connecting to ${this.config.serialPort.path}...`);
+                await this.connect();
+            }
             
             console.log('\n--- Testing Temperature ---');
             await this.sendCommand('[XTMP]');
@@ -119,6 +161,11 @@ class TestClient {
     }
 
     disconnect() {
+        if (this.socket) {
+            this.socket.end();
+            this.socket = null;
+        }
+
         if (this.serialPort && this.serialPort.isOpen) {
             this.serialPort.close((err) => {
                 if (err) {
@@ -133,7 +180,8 @@ class TestClient {
 
 // Run tests if called directly
 if (require.main === module) {
-    const client = new TestClient();
+    const mode = process.argv[2] === 'tcp' ? 'tcp' : 'serial';
+    const client = new TestClient(process.argv[3] || './config.json', mode);
     client.runTests().then(() => {
         process.exit(0);
     }).catch(() => {
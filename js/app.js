@@ -1,11 +1,32 @@
 class HVPSApp {
-    constructor() {
-        this.store = new Store();
-        this.serialService = new SerialService();
-        this.rxParser = new RxParser();
+    // options.headless runs without DOM panels (Node harness); options.transport
+    // replaces the transport chosen in settings. options.member marks the
+    // pipeline of an extra device on a multi-device page: it is headless and
+    // brings its own Store (options.store), whose profile it decodes with.
+    constructor(options = {}) {
+        this.headless = options.headless || options.member || typeof document === 'undefined';
+        this.member = Boolean(options.member);
+        this.store = options.store || new Store();
+        this.serialService = new SerialService(options.transport || this.createTransport());
+        this.rxParser = new RxParser(this.store.profile);
         this.txScheduler = null;
-        this.uiController = new UIController(this.store);
+        this.linkAnalytics = new LinkAnalytics({ windowMs: this.store.settings.linkStatsWindow * 1000 });
+        this.rampEngine = new RampEngine(this.store);
+        this.protection = new ProtectionMonitor(this.store);
+        this.setpointVerifier = new SetpointVerifier(this.store);
+        this.sequenceRunner = new SequenceRunner(this);
+        this.uiController = this.headless ? null : new UIController(this.store);
+        this.trendChart = this.headless ? null : new TrendChart(this.store);
+        this.sequencePanel = this.headless ? null : new SequencePanel(this.store);
+        // Recording follows the primary device only
+        this.dataRecorder = !this.member && DataRecorder.isSupported() ? new DataRecorder(this.store) : null;
+        this.recorderPanel = this.headless ? null : new RecorderPanel(this.store);
+        this.linkPanel = this.headless ? null : new LinkPanel(this.store);
+        this.deviceManager = this.member ? null : new DeviceManager(this);
+        this.deviceGroup = this.member ? null : new DeviceGroup(this.deviceManager, this.store);
+        this.devicePanel = this.headless ? null : new DevicePanel(this.store, this.deviceManager);
         this.watchdogTimer = null;
+        this.linkStatsTimer = null;
         
         this.isInitialized = false;
         this.isConnected = false;
@@ -17,13 +38,21 @@ class HVPSApp {
         }
 
         try {
-            // Check Web Serial API support
-            if (!('serial' in navigator)) {
-                throw new Error('Web Serial API is not supported in this browser. Please use Chrome, Edge, or another Chromium-based browser.');
+            // Initialize UI controller
+            if (!this.headless) {
+                this.uiController.initialize();
+                this.trendChart.initialize();
+                this.sequencePanel.initialize();
+                this.recorderPanel.initialize();
+                this.linkPanel.initialize();
+                this.devicePanel.initialize();
             }
 
-            // Initialize UI controller
-            this.uiController.initialize();
+            // The page stays usable without Web Serial so another transport can be selected
+            this.checkTransportSupport();
+
+            // Open the run recorder (recording is optional, so failures only warn)
+            await this.initializeRecorder();
 
             // Set up serial service callbacks
             this.setupSerialServiceCallbacks();
@@ -31,14 +60,26 @@ class HVPSApp {
             // Set up RX parser callbacks
             this.setupRxParserCallbacks();
 
-            // Set up application event listeners
-            this.setupApplicationEventListeners();
+            // Set up application event listeners (headless callers use the handlers directly)
+            if (!this.headless) {
+                this.setupApplicationEventListeners();
+            }
+
+            // Protection trips issue ERST on their own
+            this.protection.onTrip = (fault) => {
+                this.handleProtectionTrip(fault);
+            };
 
             // Start watchdog timer
             this.startWatchdog();
 
+            // Bring up the other devices saved in the layout
+            if (this.deviceManager) {
+                await this.deviceManager.load();
+            }
+
             // Load debug logger if enabled
-            if (this.store.settings.debugMode) {
+            if (this.store.settings.debugMode && !this.headless) {
                 this.setupDebugLogger();
             }
 
@@ -50,14 +91,48 @@ class HVPSApp {
 
         } catch (error) {
             console.error('Failed to initialize HVPS Application:', error);
-            alert(`Initialization Error: ${error.message}`);
+            if (!this.headless) {
+                alert(`Initialization Error: ${error.message}`);
+            }
             throw error;
         }
     }
 
+    async initializeRecorder() {
+        if (this.member) {
+            return;
+        }
+        if (!this.dataRecorder) {
+            console.warn('IndexedDB not available - data recording disabled');
+            return;
+        }
+
+        try {
+            await this.dataRecorder.initialize();
+        } catch (error) {
+            console.error('Failed to open recorder database:', error);
+            this.store.setError(`Data recorder unavailable: ${error.message}`);
+            this.dataRecorder = null;
+        }
+    }
+
+    createTransport() {
+        return createTransport(this.store.settings.transport, {
+            url: this.store.settings.bridgeUrl,
+            speed: this.store.settings.replaySpeed
+        });
+    }
+
     setupSerialServiceCallbacks() {
         // Handle incoming data
         this.serialService.onDataReceived = (token) => {
+            this.linkAnalytics.recordRx();
+            if (this.txScheduler) {
+                const match = this.txScheduler.handleResponse(token);
+                if (match) {
+                    this.linkAnalytics.recordReply(match);
+                }
+            }
             this.rxParser.parseToken(token);
         };
 
@@ -66,6 +141,14 @@ class HVPSApp {
             this.handleConnectionStatusChange(status);
         };
 
+        // Bytes dropped by the token framer (noise, truncated tokens)
+        this.serialService.onFramingError = (error) => {
+            this.rxParser.recordFramingError(error);
+            if (this.store.settings.debugMode) {
+                this.addDebugEntry('ERROR', `Framing ${error.reason}: ${error.discarded} byte(s) discarded`);
+            }
+        };
+
         // Handle serial errors
         this.serialService.onError = (error) => {
             this.store.setError(`Serial communication error: ${error}`);
@@ -113,7 +196,7 @@ class HVPSApp {
         this.rxParser.onParseError = (message, token) => {
             console.warn(`Parse error: ${message}, token: "${token}"`);
             if (this.store.settings.debugMode) {
-                this.uiController.addDebugEntry('ERROR', `Parse error: ${message}`);
+                this.addDebugEntry('ERROR', `Parse error: ${message}`);
             }
         };
     }
@@ -124,6 +207,32 @@ class HVPSApp {
             await this.handleConnectionRequest();
         });
 
+        // Transport selection
+        document.addEventListener('transport-change', (e) => {
+            this.handleTransportChange(e.detail.transport);
+        });
+
+        // Device profile selection
+        document.addEventListener('profile-change', (e) => {
+            this.handleProfileChange(e.detail.profile);
+        });
+
+        document.addEventListener('profile-import', (e) => {
+            this.handleProfileImport(e.detail.name, e.detail.text);
+        });
+
+        // Replay transcripts
+        document.addEventListener('replay-file-selected', (e) => {
+            this.handleReplayFile(e.detail.name, e.detail.text);
+        });
+
+        document.addEventListener('replay-speed-change', (e) => {
+            this.store.updateSetting('replaySpeed', e.detail.speed);
+            if (this.serialService.getTransportType() === 'replay') {
+                this.serialService.transport.setSpeed(e.detail.speed);
+            }
+        });
+
         // Voltage setpoint requests
         document.addEventListener('voltage-set-request', (e) => {
             this.handleVoltageSetRequest(e.detail.voltage);
@@ -134,14 +243,125 @@ class HVPSApp {
             this.handleCurrentSetRequest(e.detail.current);
         });
 
-        // E-STOP requests
+        // E-STOP requests (an operator E-STOP also aborts a running sequence)
         document.addEventListener('estop-request', () => {
-            this.handleEstopRequest();
+            this.emergencyStop('E-STOP pressed');
+        });
+
+        // Protection fault acknowledgment
+        document.addEventListener('fault-ack-request', () => {
+            try {
+                this.protection.acknowledge();
+            } catch (error) {
+                this.store.setError(error.message);
+            }
+        });
+
+        // Sequence runner
+        document.addEventListener('sequence-run-request', (e) => {
+            this.handleSequenceRunRequest(e.detail.recipe);
+        });
+
+        document.addEventListener('sequence-pause-request', () => {
+            this.sequenceRunner.pause();
+        });
+
+        document.addEventListener('sequence-resume-request', () => {
+            this.sequenceRunner.resume();
+        });
+
+        document.addEventListener('sequence-abort-request', () => {
+            this.sequenceRunner.abort();
+        });
+
+        document.addEventListener('recipe-save-request', (e) => {
+            this.store.saveRecipe(e.detail.recipe);
+        });
+
+        document.addEventListener('recipe-delete-request', (e) => {
+            this.store.deleteRecipe(e.detail.name);
+        });
+
+        // Data recording
+        document.addEventListener('recording-start-request', (e) => {
+            this.handleRecorderRequest(() => this.dataRecorder.startSession(e.detail.name));
+        });
+
+        document.addEventListener('recording-stop-request', () => {
+            this.handleRecorderRequest(() => this.dataRecorder.stopSession());
+        });
+
+        document.addEventListener('recording-export-request', (e) => {
+            this.handleRecorderRequest(() => this.dataRecorder.exportSession(e.detail.sessionId, e.detail.format));
+        });
+
+        document.addEventListener('recording-delete-request', (e) => {
+            this.handleRecorderRequest(() => this.dataRecorder.deleteSession(e.detail.sessionId));
+        });
+
+        // Link diagnostics
+        document.addEventListener('link-window-change', (e) => {
+            this.handleLinkWindowChange(e.detail.seconds);
+        });
+
+        document.addEventListener('poll-rates-change', (e) => {
+            this.handlePollRatesChange(e.detail.rates);
+        });
+
+        document.addEventListener('diagnostics-export-request', () => {
+            this.exportDiagnostics();
+        });
+
+        // Devices on this page
+        document.addEventListener('device-add-request', (e) => {
+            this.handleDeviceRequest(() => this.deviceManager.addDevice(e.detail.config));
+        });
+
+        document.addEventListener('device-remove-request', (e) => {
+            this.handleDeviceRequest(() => this.deviceManager.removeDevice(e.detail.id));
+        });
+
+        document.addEventListener('device-update-request', (e) => {
+            this.handleDeviceRequest(() => this.deviceManager.updateDevice(e.detail.id, e.detail.changes));
+        });
+
+        document.addEventListener('device-connect-request', (e) => {
+            this.handleDeviceRequest(() => this.deviceManager.getChannel(e.detail.id).toggleConnection());
+        });
+
+        document.addEventListener('device-voltage-request', (e) => {
+            this.handleDeviceRequest(() => this.deviceManager.getChannel(e.detail.id).setVoltage(e.detail.voltage));
+        });
+
+        document.addEventListener('device-current-request', (e) => {
+            this.handleDeviceRequest(() => this.deviceManager.getChannel(e.detail.id).setCurrent(e.detail.current));
+        });
+
+        document.addEventListener('device-estop-request', (e) => {
+            this.handleDeviceRequest(() => this.deviceManager.getChannel(e.detail.id).estop());
+        });
+
+        // Group operations across devices
+        document.addEventListener('group-members-change', (e) => {
+            this.handleDeviceRequest(() => this.deviceGroup.setMembers(e.detail.members));
+        });
+
+        document.addEventListener('group-run-request', (e) => {
+            this.handleDeviceRequest(() => this.deviceGroup.run(e.detail.type, e.detail.target, e.detail.rate));
+        });
+
+        document.addEventListener('group-halt-request', () => {
+            this.deviceGroup.halt();
+        });
+
+        document.addEventListener('estop-all-request', () => {
+            this.deviceManager.estopAll();
+            this.announce('Emergency stop activated on all devices');
         });
 
         // Window/tab close handling
         window.addEventListener('beforeunload', (e) => {
-            if (this.isConnected) {
+            if (this.deviceManager.isAnyConnected()) {
                 e.preventDefault();
                 e.returnValue = 'You are connected to the power supply. Are you sure you want to close?';
                 return e.returnValue;
@@ -169,6 +389,10 @@ class HVPSApp {
     }
 
     async connect() {
+        if (!this.checkTransportSupport()) {
+            return;
+        }
+
         try {
             this.store.setConnectionState('connecting');
 
@@ -179,36 +403,33 @@ class HVPSApp {
 
             // Connect to the device
             await this.serialService.connect(this.store.settings.baudRate);
-
-            // Create TX scheduler with send callback
-            this.txScheduler = new TxScheduler(async (command) => {
-                try {
-                    await this.serialService.sendCommand(command);
-                    this.store.updateLastTx();
-                    
-                    if (this.store.settings.debugMode) {
-                        this.uiController.addDebugEntry('TX', command);
-                    }
-                } catch (error) {
-                    console.error('Failed to send command:', error);
-                    this.store.setError(`Failed to send command: ${error.message}`);
-                }
-            });
-
-            // Start TX scheduler
-            this.txScheduler.start();
+            this.protection.reset();
+            this.protection.validateLevels();
+            this.linkAnalytics.reset();
+
+            // A replayed transcript has no device behind it: nothing to poll,
+            // command or match replies against
+            if (!this.isReplaying()) {
+                this.startScheduler();
+            }
 
             this.isConnected = true;
             this.store.setConnectionState('connected');
             
             console.log('Successfully connected to HVPS');
 
+            // QA wants a data file for every run
+            if (this.store.settings.autoRecord && this.dataRecorder && !this.dataRecorder.isRecording()) {
+                await this.handleRecorderRequest(() => this.dataRecorder.startSession(null, { auto: true }));
+            }
+
         } catch (error) {
             console.error('Connection failed:', error);
             this.store.setError(`Connection failed: ${error.message}`);
             this.store.setConnectionState('error');
             
             // Clean up on failed connection
+            this.rampEngine.setScheduler(null);
             if (this.txScheduler) {
                 this.txScheduler.stop();
                 this.txScheduler = null;
@@ -218,7 +439,8 @@ class HVPSApp {
 
     async disconnect() {
         try {
-            // Stop TX scheduler
+            // Stop any ramp and the TX scheduler
+            this.rampEngine.setScheduler(null);
             if (this.txScheduler) {
                 this.txScheduler.stop();
                 this.txScheduler = null;
@@ -230,6 +452,7 @@ class HVPSApp {
             this.isConnected = false;
             this.store.setConnectionState('disconnected');
             this.store.resetReadings();
+            await this.stopAutoRecording();
 
             console.log('Disconnected from HVPS');
 
@@ -239,49 +462,259 @@ class HVPSApp {
         }
     }
 
+    checkTransportSupport() {
+        if (this.serialService.getTransportType() === 'serial' && !WebSerialTransport.isSupported()) {
+            this.store.setError('Web Serial API is not supported in this browser. Use Chrome, Edge, or another Chromium-based browser, or select the WebSocket bridge or loopback transport.');
+            return false;
+        }
+        return true;
+    }
+
+    handleTransportChange(type) {
+        if (this.isConnected) {
+            this.store.setError('Disconnect before changing the transport');
+            return;
+        }
+
+        this.store.updateSetting('transport', type);
+        this.serialService.setTransport(this.createTransport());
+        console.log(`Transport set to ${type}`);
+        this.checkTransportSupport();
+    }
+
+    // Each device has its own profile; only this device has to be disconnected
+    handleProfileChange(id) {
+        if (this.isConnected) {
+            this.store.setError('Disconnect the device before changing its profile');
+            return false;
+        }
+
+        const profile = this.store.setProfile(id);
+        this.rxParser.setProfile(profile);
+        console.log(`Device profile: ${profile.name}`);
+
+        // Setpoints from another model's scale mean nothing here
+        this.store.setState({ voltageSetpoint: 0, currentSetpoint: 0, voltageAcked: null, currentAcked: null });
+        return true;
+    }
+
+    // Further supply models come in as JSON; a profile already in use by a
+    // device is picked up the next time that device selects it
+    handleProfileImport(name, text) {
+        let profiles;
+        try {
+            profiles = DeviceProfiles.importJSON(text);
+        } catch (error) {
+            this.store.setError(`Could not import device profiles from ${name}: ${error.message}`);
+            return null;
+        }
+
+        const names = profiles.map((profile) => profile.name).join(', ');
+        console.log(`Imported device profiles from ${name}: ${names}`);
+        if (!this.headless) {
+            this.uiController.fillProfiles();
+            this.devicePanel.refreshProfiles();
+        }
+        this.announce(`Imported device profile ${names}`);
+        return profiles;
+    }
+
+    handleReplayFile(name, text) {
+        if (this.serialService.getTransportType() !== 'replay') {
+            this.store.setError('Select the replay link before loading a transcript');
+            return;
+        }
+
+        try {
+            this.serialService.transport.load(text, name);
+            this.serialService.port = null;
+        } catch (error) {
+            this.store.setError(`Replay: ${error.message}`);
+        }
+    }
+
+    startScheduler() {
+        // Create TX scheduler with send callback
+        this.txScheduler = new TxScheduler(async (command) => {
+            try {
+                await this.serialService.sendCommand(command);
+                this.store.updateLastTx();
+                
+                if (this.store.settings.debugMode) {
+                    this.addDebugEntry('TX', command);
+                }
+            } catch (error) {
+                console.error('Failed to send command:', error);
+                this.store.setError(`Failed to send command: ${error.message}`);
+            }
+        }, this.store.profile);
+
+        // Report commands the device never answered
+        this.txScheduler.setResponseTimeout(this.store.settings.responseTimeout, this.store.settings.maxRetries);
+        this.txScheduler.onTimeout = (event) => {
+            this.linkAnalytics.recordTimeout(event);
+            this.store.handleCommandTimeout(event);
+
+            // A ramp can't continue past a step the device never confirmed
+            if (event.type === 'voltage' || event.type === 'current') {
+                this.rampEngine.abort(event.type);
+            }
+
+            if (this.store.settings.debugMode) {
+                this.addDebugEntry('ERROR', `No reply to ${event.command} after ${event.attempts} attempt(s)`);
+            }
+        };
+
+        this.applyPollRates(this.store.settings.pollRates);
+
+        // Back off while the device lags; E-STOP keeps its floor rate
+        this.txScheduler.setPacing({
+            enabled: this.store.settings.adaptivePacing,
+            maxInterval: this.store.settings.pacingMaxInterval,
+            estopInterval: this.store.settings.estopMaxInterval
+        });
+
+        // Start TX scheduler
+        this.txScheduler.start();
+        this.rampEngine.setScheduler(this.txScheduler);
+    }
+
+    isReplaying() {
+        return this.serialService.getTransportType() === 'replay';
+    }
+
     handleVoltageSetRequest(voltage) {
+        if (this.isReplaying()) {
+            this.store.setError('Setpoints are disabled while replaying a transcript');
+            return;
+        }
+
         if (!this.isConnected || !this.txScheduler) {
             this.store.setError('Not connected to device');
             return;
         }
 
+        if (this.protection.isTripped() && voltage > 0) {
+            this.store.setError('Protection fault latched - acknowledge it before raising setpoints');
+            return;
+        }
+
         try {
-            this.store.setVoltageSetpoint(voltage);
-            this.txScheduler.setVoltage(voltage);
-            console.log(`Voltage setpoint: ${voltage} V`);
+            this.rampEngine.startRamp('voltage', voltage);
+            console.log(`Voltage setpoint: ${DeviceProfiles.formatValue(this.store.profile, 'voltage', voltage)}`);
         } catch (error) {
             this.store.setError(error.message);
         }
     }
 
     handleCurrentSetRequest(current) {
+        if (this.isReplaying()) {
+            this.store.setError('Setpoints are disabled while replaying a transcript');
+            return;
+        }
+
         if (!this.isConnected || !this.txScheduler) {
             this.store.setError('Not connected to device');
             return;
         }
 
+        if (this.protection.isTripped() && current > 0) {
+            this.store.setError('Protection fault latched - acknowledge it before raising setpoints');
+            return;
+        }
+
         try {
-            this.store.setCurrentSetpoint(current);
-            this.txScheduler.setCurrent(current);
-            console.log(`Current setpoint: ${current} A`);
+            this.rampEngine.startRamp('current', current);
+            console.log(`Current setpoint: ${DeviceProfiles.formatValue(this.store.profile, 'current', current)}`);
         } catch (error) {
             this.store.setError(error.message);
         }
     }
 
+    async handleRecorderRequest(action) {
+        if (!this.dataRecorder) {
+            this.store.setError('Data recording is not available in this browser');
+            return;
+        }
+
+        try {
+            await action();
+        } catch (error) {
+            console.error('Recorder error:', error);
+            this.store.setError(`Recorder: ${error.message}`);
+        }
+    }
+
+    // Sessions started by autoRecord end with the connection; manual ones keep running
+    async stopAutoRecording() {
+        if (this.dataRecorder && this.dataRecorder.autoStarted) {
+            await this.handleRecorderRequest(() => this.dataRecorder.stopSession());
+        }
+    }
+
+    async handleDeviceRequest(action) {
+        try {
+            await action();
+        } catch (error) {
+            console.error('Device error:', error);
+            this.store.setError(error.message);
+        }
+    }
+
+    async handleSequenceRunRequest(recipe) {
+        if (this.isReplaying()) {
+            this.store.setError('Sequences cannot run while replaying a transcript');
+            return;
+        }
+
+        if (this.protection.isTripped()) {
+            this.store.setError('Protection fault latched - acknowledge it before running a sequence');
+            return;
+        }
+
+        try {
+            await this.sequenceRunner.run(recipe);
+        } catch (error) {
+            this.store.setError(error.message);
+        }
+    }
+
+    handleProtectionTrip(fault) {
+        this.emergencyStop(`Protection trip: ${fault.label}`);
+        this.announce(`Protection trip: ${fault.label}`);
+
+        if (this.store.settings.debugMode) {
+            this.addDebugEntry('ERROR', `Protection trip - ${fault.message}`);
+        }
+    }
+
+    // Operator E-STOP and protection trips: a running sequence is aborted
+    // without its own reset, so this ERST is the only one
+    emergencyStop(reason) {
+        this.sequenceRunner.abort(reason, true);
+        this.handleEstopRequest();
+    }
+
     handleEstopRequest() {
+        if (this.isConnected && this.isReplaying()) {
+            this.store.setError('E-STOP is not sent while replaying a transcript');
+            return;
+        }
+
         if (!this.isConnected || !this.txScheduler) {
             this.store.setError('E-STOP failed: Not connected to device');
             return;
         }
 
         try {
+            // Stop ramps first so no further steps follow the reset
+            this.rampEngine.abort();
             this.store.requestEstop();
             this.txScheduler.requestEstop();
             console.log('E-STOP requested');
             
             // Announce to screen readers
-            this.uiController.announceToScreenReader('Emergency stop activated');
+            this.announce('Emergency stop activated');
             
         } catch (error) {
             this.store.setError(`E-STOP failed: ${error.message}`);
@@ -298,8 +731,10 @@ class HVPSApp {
                 this.isConnected = false;
                 this.store.setConnectionState('disconnected');
                 this.store.resetReadings();
+                this.stopAutoRecording();
                 
-                // Stop TX scheduler
+                // Stop ramps and TX scheduler
+                this.rampEngine.setScheduler(null);
                 if (this.txScheduler) {
                     this.txScheduler.stop();
                     this.txScheduler = null;
@@ -325,6 +760,14 @@ class HVPSApp {
         this.watchdogTimer = setInterval(() => {
             this.checkStaleness();
         }, 250); // Check every 250ms
+
+        // Link quality figures for the diagnostics panel
+        if (this.linkStatsTimer) {
+            clearInterval(this.linkStatsTimer);
+        }
+        this.linkStatsTimer = setInterval(() => {
+            this.publishLinkStats();
+        }, 1000);
     }
 
     stopWatchdog() {
@@ -332,6 +775,59 @@ class HVPSApp {
             clearInterval(this.watchdogTimer);
             this.watchdogTimer = null;
         }
+        if (this.linkStatsTimer) {
+            clearInterval(this.linkStatsTimer);
+            this.linkStatsTimer = null;
+        }
+    }
+
+    // A bad saved setting falls back to the default rates instead of failing the connect
+    applyPollRates(rates) {
+        try {
+            this.txScheduler.setPollRates(rates);
+        } catch (error) {
+            this.store.setError(`Poll rates: ${error.message}, using defaults`);
+            this.txScheduler.setPollRates(TxScheduler.DEFAULT_POLL_RATES);
+        }
+
+        const effective = this.txScheduler.getPollRates();
+        const total = Object.values(effective).reduce((sum, rate) => sum + rate.effective, 0);
+        if (total * this.store.settings.stalenessThreshold < 1000) {
+            console.warn(`Polling at ${total} Hz leaves gaps longer than the ${this.store.settings.stalenessThreshold} ms staleness threshold`);
+        }
+    }
+
+    handlePollRatesChange(rates) {
+        try {
+            const merged = TxScheduler.validatePollRates({ ...this.store.settings.pollRates, ...rates }, this.store.profile);
+            this.store.updateSetting('pollRates', merged);
+            if (this.txScheduler) {
+                this.applyPollRates(merged);
+            }
+        } catch (error) {
+            this.store.setError(error.message);
+        }
+    }
+
+    publishLinkStats() {
+        // The last snapshot stays on screen after a disconnect
+        if (this.isConnected) {
+            this.store.setLinkStats({
+                ...this.linkAnalytics.getSnapshot(),
+                pollRates: this.txScheduler ? this.txScheduler.getPollRates() : null,
+                pacing: this.txScheduler ? this.txScheduler.getPacingStatus() : null
+            });
+        }
+    }
+
+    handleLinkWindowChange(seconds) {
+        try {
+            this.linkAnalytics.setWindow(seconds * 1000);
+            this.store.updateSetting('linkStatsWindow', seconds);
+            this.publishLinkStats();
+        } catch (error) {
+            this.store.setError(error.message);
+        }
     }
 
     checkStaleness() {
@@ -346,6 +842,8 @@ class HVPSApp {
             this.store.setStale(isStale);
             
             if (isStale) {
+                // Hold ramps where they are rather than stepping blind
+                this.rampEngine.abort();
                 this.store.setConnectionState('stale');
                 console.warn('Data is stale - no recent messages from device');
             } else {
@@ -355,6 +853,19 @@ class HVPSApp {
         }
     }
 
+    // UI hooks that are no-ops when running headless
+    announce(message) {
+        if (this.uiController) {
+            this.uiController.announceToScreenReader(message);
+        }
+    }
+
+    addDebugEntry(direction, message) {
+        if (this.uiController) {
+            this.uiController.addDebugEntry(direction, message);
+        }
+    }
+
     // Debug functionality
     setupDebugLogger() {
         window.debugLogger = {
@@ -376,7 +887,7 @@ class HVPSApp {
     showWelcomeMessage() {
         console.log('HVPS Controller Ready');
         console.log('Keyboard shortcuts:');
-        console.log('  Escape: E-STOP');
+        console.log('  Escape: E-STOP all devices');
         console.log('  Ctrl+Enter: Connect/Disconnect');
         if (this.store.settings.debugMode) {
             console.log('  Ctrl+Shift+D: Toggle debug log');
@@ -393,14 +904,27 @@ class HVPSApp {
                 await this.disconnect();
             }
 
+            // Close the other devices' links
+            if (this.deviceManager) {
+                await this.deviceManager.shutdown();
+            }
+
+            // Close out any recording so its samples are on disk
+            if (this.dataRecorder) {
+                await this.dataRecorder.stopSession();
+            }
+
             // Stop watchdog
             this.stopWatchdog();
 
             // Clean up UI controller
-            this.uiController.destroy();
+            if (!this.headless) {
+                this.uiController.destroy();
+                this.trendChart.destroy();
+            }
 
             // Clean up debug logger
-            if (window.debugLogger) {
+            if (typeof window !== 'undefined' && window.debugLogger) {
                 delete window.debugLogger;
             }
 
@@ -417,17 +941,25 @@ class HVPSApp {
         return {
             app: {
                 initialized: this.isInitialized,
-                connected: this.isConnected
+                connected: this.isConnected,
+                deviceProfile: this.store.profile.id
             },
             store: this.store.getDiagnostics(),
             serial: {
+                transport: this.serialService.getTransportType(),
+                replay: this.serialService.getTransportType() === 'replay'
+                    ? this.serialService.transport.getProgress()
+                    : null,
                 connected: this.serialService.isConnected,
                 lastRx: this.serialService.getLastRxTime(),
                 lastTx: this.serialService.getLastTxTime(),
-                state: this.serialService.getConnectionState()
+                state: this.serialService.getConnectionState(),
+                framing: this.serialService.framer.getStats()
             },
             scheduler: this.txScheduler ? this.txScheduler.getStats() : null,
-            parser: this.rxParser.getStats()
+            parser: this.rxParser.getStats(),
+            link: this.linkAnalytics.getSnapshot(),
+            devices: this.deviceManager ? this.deviceManager.getSummaries() : null
         };
     }
 
@@ -448,40 +980,47 @@ class HVPSApp {
     }
 }
 
-// Application startup
-document.addEventListener('DOMContentLoaded', async () => {
-    try {
-        window.hvpsApp = new HVPSApp();
-        await window.hvpsApp.initialize();
-    } catch (error) {
-        console.error('Failed to start HVPS Application:', error);
-        document.body.innerHTML = `
-            <div style="padding: 20px; text-align: center; color: #dc2626;">
-                <h1>HVPS Controller - Initialization Error</h1>
-                <p>${error.message}</p>
-                <p>Please ensure you're using a supported browser (Chrome, Edge) with Web Serial API enabled.</p>
-            </div>
-        `;
-    }
-});
-
-// Global error handler
-window.addEventListener('error', (e) => {
-    console.error('Global error:', e.error);
-    if (window.hvpsApp && window.hvpsApp.store) {
-        window.hvpsApp.store.setError(`Application error: ${e.error.message}`);
-    }
-});
-
-// Global unhandled promise rejection handler
-window.addEventListener('unhandledrejection', (e) => {
-    console.error('Unhandled promise rejection:', e.reason);
-    if (window.hvpsApp && window.hvpsApp.store) {
-        window.hvpsApp.store.setError(`Promise rejection: ${e.reason}`);
-    }
-});
+// Application startup (browser only; the Node harness constructs HVPSApp itself)
+if (typeof document !== 'undefined') {
+    document.addEventListener('DOMContentLoaded', async () => {
+        try {
+            window.hvpsApp = new HVPSApp();
+            await window.hvpsApp.initialize();
+        } catch (error) {
+            console.error('Failed to start HVPS Application:', error);
+            document.body.innerHTML = `
+                <div style="padding: 20px; text-align: center; color: #dc2626;">
+                    <h1>HVPS Controller - Initialization Error</h1>
+                    <p>${error.message}</p>
+                    <p>Please ensure you're using a supported browser (Chrome, Edge) with Web Serial API enabled.</p>
+                </div>
+            `;
+        }
+    });
+
+    // Global error handler
+    window.addEventListener('error', (e) => {
+        console.error('Global error:', e.error);
+        if (window.hvpsApp && window.hvpsApp.store) {
+            window.hvpsApp.store.setError(`Application error: ${e.error.message}`);
+        }
+    });
+
+    // Global unhandled promise rejection handler
+    window.addEventListener('unhandledrejection', (e) => {
+        console.error('Unhandled promise rejection:', e.reason);
+        if (window.hvpsApp && window.hvpsApp.store) {
+            window.hvpsApp.store.setError(`Promise rejection: ${e.reason}`);
+        }
+    });
+}
 
 // Export app class for testing
 if (typeof window !== 'undefined') {
     window.HVPSApp = HVPSApp;
+}
+
+// CommonJS export for Node (headless harness)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = HVPSApp;
 }
\ No newline at end of file
@@ -0,0 +1,398 @@
+class DataRecorder {
+    constructor(store) {
+        this.store = store;
+        this.db = null;
+        this.session = null;
+        this.autoStarted = false;
+        this.buffer = [];
+        this.flushTimer = null;
+        this.flushInterval = 1000; // ms, samples are written in batches
+
+        this.dbName = 'hvps-recorder';
+        this.dbVersion = 1;
+
+        // Store event handlers (bound once so they can be removed)
+        this.boundReading = this.handleReadingUpdate.bind(this);
+        this.boundStateChange = this.handleStateChange.bind(this);
+        this.boundAck = this.handleAck.bind(this);
+        this.boundTimeout = this.handleTimeout.bind(this);
+        this.boundConnection = this.handleConnectionChange.bind(this);
+    }
+
+    static isSupported() {
+        return typeof indexedDB !== 'undefined';
+    }
+
+    async initialize() {
+        this.db = await this.openDatabase();
+        await this.enforceRetention();
+        await this.refreshSessions();
+    }
+
+    openDatabase() {
+        return new Promise((resolve, reject) => {
+            const request = indexedDB.open(this.dbName, this.dbVersion);
+
+            request.onupgradeneeded = () => {
+                const db = request.result;
+                if (!db.objectStoreNames.contains('sessions')) {
+                    db.createObjectStore('sessions', { keyPath: 'id', autoIncrement: true });
+                }
+                if (!db.objectStoreNames.contains('samples')) {
+                    const samples = db.createObjectStore('samples', { keyPath: 'id', autoIncrement: true });
+                    samples.createIndex('sessionId', 'sessionId', { unique: false });
+                }
+            };
+
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    // Wrap an IDBRequest in a promise
+    static promisify(request) {
+        return new Promise((resolve, reject) => {
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    // Session lifecycle
+    async startSession(name, options = {}) {
+        if (!this.db) {
+            throw new Error('Recorder database is not open');
+        }
+        if (this.session) {
+            await this.stopSession();
+        }
+
+        const session = {
+            name: name || `Run ${new Date().toLocaleString()}`,
+            startedAt: Date.now(),
+            endedAt: null,
+            sampleCount: 0,
+            profile: this.store.profile.id // values are in this profile's units
+        };
+
+        const tx = this.db.transaction('sessions', 'readwrite');
+        session.id = await DataRecorder.promisify(tx.objectStore('sessions').add(session));
+
+        this.session = session;
+        this.autoStarted = !!options.auto;
+        this.subscribe();
+
+        // Anchor the file with the state at the start of the run
+        this.record('setpoint', 'voltage', this.store.voltageSetpoint);
+        this.record('setpoint', 'current', this.store.currentSetpoint);
+        this.record('link', null, this.store.connectionState);
+
+        this.flushTimer = setInterval(() => {
+            this.flush();
+        }, this.flushInterval);
+
+        console.log(`Recording session "${session.name}" started`);
+        await this.enforceRetention();
+        await this.refreshSessions();
+        return session;
+    }
+
+    async stopSession() {
+        if (!this.session) {
+            return;
+        }
+
+        const session = this.session;
+        this.unsubscribe();
+        clearInterval(this.flushTimer);
+        this.flushTimer = null;
+
+        await this.flush();
+        if (this.buffer.length > 0) {
+            await this.flush(); // one retry, there is no later flush for this session
+        }
+        if (this.buffer.length > 0) {
+            console.warn(`Dropping ${this.buffer.length} recorded samples that could not be written`);
+            this.buffer = [];
+        }
+
+        session.endedAt = Date.now();
+        this.session = null;
+        this.autoStarted = false;
+
+        const tx = this.db.transaction('sessions', 'readwrite');
+        await DataRecorder.promisify(tx.objectStore('sessions').put(session));
+
+        console.log(`Recording session "${session.name}" stopped (${session.sampleCount} samples)`);
+        await this.refreshSessions();
+    }
+
+    isRecording() {
+        return this.session !== null;
+    }
+
+    subscribe() {
+        this.store.addEventListener('readingUpdate', this.boundReading);
+        this.store.addEventListener('stateChange', this.boundStateChange);
+        this.store.addEventListener('ack', this.boundAck);
+        this.store.addEventListener('timeout', this.boundTimeout);
+        this.store.addEventListener('connectionChange', this.boundConnection);
+    }
+
+    unsubscribe() {
+        this.store.removeEventListener('readingUpdate', this.boundReading);
+        this.store.removeEventListener('stateChange', this.boundStateChange);
+        this.store.removeEventListener('ack', this.boundAck);
+        this.store.removeEventListener('timeout', this.boundTimeout);
+        this.store.removeEventListener('connectionChange', this.boundConnection);
+    }
+
+    // Store event handlers
+    handleReadingUpdate(data) {
+        this.record('reading', data.type, data.value);
+    }
+
+    handleStateChange(data) {
+        const changes = data.changes;
+        if (changes.voltageSetpoint !== undefined && data.oldState.voltageSetpoint !== changes.voltageSetpoint) {
+            this.record('setpoint', 'voltage', changes.voltageSetpoint);
+        }
+        if (changes.currentSetpoint !== undefined && data.oldState.currentSetpoint !== changes.currentSetpoint) {
+            this.record('setpoint', 'current', changes.currentSetpoint);
+        }
+        if (changes.estopState !== undefined && data.oldState.estopState !== changes.estopState) {
+            this.record('estop', null, changes.estopState);
+        }
+    }
+
+    handleAck(data) {
+        this.record('ack', data.type, data.value);
+    }
+
+    handleTimeout(data) {
+        this.record('timeout', data.type, data.command);
+    }
+
+    handleConnectionChange(data) {
+        this.record('link', null, data.newState);
+    }
+
+    record(kind, channel, value) {
+        if (!this.session) {
+            return;
+        }
+
+        this.buffer.push({
+            sessionId: this.session.id,
+            t: Date.now(),
+            kind: kind,
+            channel: channel,
+            value: value === undefined ? null : value
+        });
+    }
+
+    async flush() {
+        if (!this.session || this.buffer.length === 0) {
+            return;
+        }
+
+        const samples = this.buffer;
+        const session = this.session;
+        this.buffer = [];
+
+        try {
+            const tx = this.db.transaction(['samples', 'sessions'], 'readwrite');
+            const sampleStore = tx.objectStore('samples');
+            for (const sample of samples) {
+                sampleStore.add(sample);
+            }
+
+            // The count is only the session's once the samples are stored
+            tx.objectStore('sessions').put({ ...session, sampleCount: session.sampleCount + samples.length });
+
+            await new Promise((resolve, reject) => {
+                tx.oncomplete = resolve;
+                tx.onerror = () => reject(tx.error);
+                tx.onabort = () => reject(tx.error);
+            });
+
+            session.sampleCount += samples.length;
+            this.publish();
+        } catch (error) {
+            // Nothing was written; keep the samples for the next flush
+            this.buffer = samples.concat(this.buffer);
+            console.error('Failed to write recorded samples:', error);
+            this.store.setError(`Data recorder write failed: ${error.message}`);
+        }
+    }
+
+    // Queries
+    async listSessions() {
+        const tx = this.db.transaction('sessions', 'readonly');
+        const sessions = await DataRecorder.promisify(tx.objectStore('sessions').getAll());
+        return sessions.sort((a, b) => b.startedAt - a.startedAt);
+    }
+
+    async getSession(id) {
+        const tx = this.db.transaction('sessions', 'readonly');
+        return DataRecorder.promisify(tx.objectStore('sessions').get(id));
+    }
+
+    async getSamples(sessionId) {
+        const tx = this.db.transaction('samples', 'readonly');
+        const index = tx.objectStore('samples').index('sessionId');
+        const samples = await DataRecorder.promisify(index.getAll(IDBKeyRange.only(sessionId)));
+        return samples.sort((a, b) => a.t - b.t || a.id - b.id);
+    }
+
+    async deleteSession(sessionId) {
+        if (this.session && this.session.id === sessionId) {
+            throw new Error('Stop the recording before deleting its session');
+        }
+
+        const tx = this.db.transaction(['samples', 'sessions'], 'readwrite');
+        const index = tx.objectStore('samples').index('sessionId');
+        const keys = await DataRecorder.promisify(index.getAllKeys(IDBKeyRange.only(sessionId)));
+        const sampleStore = tx.objectStore('samples');
+        for (const key of keys) {
+            sampleStore.delete(key);
+        }
+        tx.objectStore('sessions').delete(sessionId);
+
+        await new Promise((resolve, reject) => {
+            tx.oncomplete = resolve;
+            tx.onerror = () => reject(tx.error);
+        });
+
+        await this.refreshSessions();
+    }
+
+    // Retention: keep at most recorderMaxSessions sessions, none older than recorderRetentionDays
+    async enforceRetention() {
+        const maxSessions = this.store.settings.recorderMaxSessions;
+        const maxAgeMs = this.store.settings.recorderRetentionDays * 24 * 60 * 60 * 1000;
+        const now = Date.now();
+
+        const sessions = await this.listSessions();
+        const expired = sessions.filter((session, index) => {
+            if (this.session && session.id === this.session.id) {
+                return false;
+            }
+            return index >= maxSessions || now - session.startedAt > maxAgeMs;
+        });
+
+        for (const session of expired) {
+            console.log(`Recorder retention: removing session "${session.name}"`);
+            await this.deleteSession(session.id);
+        }
+    }
+
+    // Export
+    async exportSession(sessionId, format = 'csv') {
+        const session = await this.getSession(sessionId);
+        if (!session) {
+            throw new Error(`Unknown session ${sessionId}`);
+        }
+
+        if (this.session && this.session.id === sessionId) {
+            await this.flush();
+        }
+
+        const samples = await this.getSamples(sessionId);
+        const text = format === 'jsonl'
+            ? DataRecorder.toJsonLines(session, samples)
+            : DataRecorder.toCsv(session, samples);
+
+        const safeName = session.name.replace(/[^a-z0-9-_]+/gi, '_');
+        const blob = new Blob([text], {
+            type: format === 'jsonl' ? 'application/x-ndjson' : 'text/csv'
+        });
+
+        const url = URL.createObjectURL(blob);
+        const a = document.createElement('a');
+        a.href = url;
+        a.download = `hvps-${safeName}-${session.id}.${format === 'jsonl' ? 'jsonl' : 'csv'}`;
+        document.body.appendChild(a);
+        a.click();
+        document.body.removeChild(a);
+        URL.revokeObjectURL(url);
+    }
+
+    static toCsv(session, samples) {
+        const escape = (value) => {
+            if (value === null || value === undefined) return '';
+            const text = String(value);
+            return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+        };
+
+        const lines = ['timestamp,elapsed_s,kind,channel,value'];
+        for (const sample of samples) {
+            lines.push([
+                new Date(sample.t).toISOString(),
+                ((sample.t - session.startedAt) / 1000).toFixed(3),
+                sample.kind,
+                escape(sample.channel),
+                escape(sample.value)
+            ].join(','));
+        }
+        return lines.join('\n') + '\n';
+    }
+
+    static toJsonLines(session, samples) {
+        const lines = [JSON.stringify({
+            type: 'session',
+            id: session.id,
+            name: session.name,
+            startedAt: new Date(session.startedAt).toISOString(),
+            endedAt: session.endedAt ? new Date(session.endedAt).toISOString() : null,
+            profile: session.profile || null,
+            units: session.profile ? DeviceProfiles.getUnits(session.profile) : null,
+            sampleCount: samples.length
+        })];
+
+        for (const sample of samples) {
+            lines.push(JSON.stringify({
+                t: new Date(sample.t).toISOString(),
+                kind: sample.kind,
+                channel: sample.channel,
+                value: sample.value
+            }));
+        }
+        return lines.join('\n') + '\n';
+    }
+
+    // Publish recorder state for the UI
+    async refreshSessions() {
+        const sessions = await this.listSessions();
+        this.store.setRecorderState({
+            ...this.store.recorderState,
+            sessions: sessions.map((session) => ({
+                id: session.id,
+                name: session.name,
+                startedAt: session.startedAt,
+                endedAt: session.endedAt,
+                sampleCount: session.sampleCount
+            }))
+        });
+        this.publish();
+    }
+
+    publish() {
+        this.store.setRecorderState({
+            ...this.store.recorderState,
+            recording: this.session !== null,
+            sessionId: this.session ? this.session.id : null,
+            sessionName: this.session ? this.session.name : null,
+            sampleCount: this.session ? this.session.sampleCount : 0
+        });
+    }
+}
+
+// Export for use in other modules
+if (typeof window !== 'undefined') {
+    window.DataRecorder = DataRecorder;
+}
+
+// CommonJS export for Node (headless harness)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = DataRecorder;
+}
\ No newline at end of file
@@ -0,0 +1,168 @@
+class DeviceChannel {
+    // One supply on a multi-device page: a name and colour on top of a full
+    // HVPSApp pipeline (transport, framer, parser, scheduler, Store, watchdog,
+    // protection) with its own device profile, so models can be mixed. The
+    // primary channel wraps the page's own HVPSApp; further channels get a
+    // headless HVPSApp with settings stored under their own key.
+    constructor(config, options = {}) {
+        this.id = config.id;
+        this.primary = Boolean(options.app);
+
+        if (options.app) {
+            this.app = options.app;
+        } else {
+            const store = new Store({ storageKey: `hvps-settings-${config.id}` });
+            for (const key of ['transport', 'bridgeUrl']) {
+                if (config[key] !== undefined) {
+                    store.settings[key] = config[key];
+                }
+            }
+            if (config.deviceProfile !== undefined) {
+                store.setProfile(config.deviceProfile);
+            }
+            this.app = new HVPSApp({ headless: true, member: true, store: store, transport: options.transport });
+        }
+
+        this.store = this.app.store;
+        this.name = config.name || this.store.settings.deviceName;
+        this.color = config.color || this.store.settings.deviceColor;
+    }
+
+    async initialize() {
+        if (!this.primary) {
+            await this.app.initialize();
+        }
+    }
+
+    isConnected() {
+        return this.app.isConnected;
+    }
+
+    async toggleConnection() {
+        await this.app.handleConnectionRequest();
+    }
+
+    setVoltage(voltage) {
+        this.app.handleVoltageSetRequest(voltage);
+    }
+
+    setCurrent(current) {
+        this.app.handleCurrentSetRequest(current);
+    }
+
+    // Same path as the page's E-STOP button: abort the sequence, then ERST
+    estop(reason = 'E-STOP pressed') {
+        if (!this.isConnected()) {
+            return false;
+        }
+        this.app.emergencyStop(reason);
+        return true;
+    }
+
+    // One step of a group operation: straight to this device's scheduler,
+    // without its own ramp
+    applyGroupStep(type, value) {
+        if (!this.isConnected() || !this.app.txScheduler) {
+            throw new Error(`${this.name} is not connected`);
+        }
+        this.app.rampEngine.abort(type);
+        this.app.rampEngine.applySetpoint(type, value);
+        return this.app.txScheduler;
+    }
+
+    // Why this device can't take part in a group operation right now (null if it can)
+    getGroupHazard() {
+        const store = this.store;
+        if (!this.isConnected()) {
+            return 'disconnected';
+        }
+        if (store.isStale) {
+            return 'stale';
+        }
+        if (store.protectionState.status === 'tripped') {
+            return 'tripped';
+        }
+        if (store.estopState === 'requested') {
+            return 'estop';
+        }
+        if (this.app.sequenceRunner.isRunning) {
+            return 'sequence';
+        }
+        return null;
+    }
+
+    setProfile(id) {
+        if (this.isConnected()) {
+            throw new Error(`Disconnect ${this.name} before changing its profile`);
+        }
+        this.app.handleProfileChange(id);
+    }
+
+    rename(name, color) {
+        if (name !== undefined) {
+            const trimmed = String(name).trim();
+            if (!trimmed) {
+                throw new Error('Device name cannot be empty');
+            }
+            this.name = trimmed;
+        }
+        if (color !== undefined) {
+            if (!/^#[0-9a-f]{6}$/i.test(color)) {
+                throw new Error(`Invalid colour: ${color}`);
+            }
+            this.color = color;
+        }
+    }
+
+    // What the layout setting keeps for a non-primary channel
+    toConfig() {
+        return {
+            id: this.id,
+            name: this.name,
+            color: this.color,
+            transport: this.store.settings.transport,
+            bridgeUrl: this.store.settings.bridgeUrl,
+            deviceProfile: this.store.profile.id
+        };
+    }
+
+    getSummary() {
+        const store = this.store;
+        return {
+            id: this.id,
+            name: this.name,
+            color: this.color,
+            primary: this.primary,
+            transport: this.app.serialService.getTransportType(),
+            profile: store.profile.id,
+            connectionState: store.connectionState,
+            isStale: store.isStale,
+            actualVoltage: store.actualVoltage,
+            actualCurrent: store.actualCurrent,
+            actualTemperature: store.actualTemperature,
+            voltageSetpoint: store.voltageSetpoint,
+            currentSetpoint: store.currentSetpoint,
+            pendingVoltageSet: store.pendingVoltageSet,
+            pendingCurrentSet: store.pendingCurrentSet,
+            estopState: store.estopState,
+            protectionStatus: store.protectionState.status,
+            lastError: store.lastError
+        };
+    }
+
+    async shutdown() {
+        if (!this.primary) {
+            await this.app.shutdown();
+        }
+    }
+}
+
+// Export for use in other modules
+if (typeof window !== 'undefined') {
+    window.DeviceChannel = DeviceChannel;
+}
+
+// CommonJS export for Node (headless harness)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = DeviceChannel;
+}
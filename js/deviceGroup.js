@@ -0,0 +1,291 @@
+class DeviceGroup {
+    // Applies one setpoint, or one ramp, to a set of devices in lockstep.
+    // Each step goes to every member's TxScheduler in the same tick window and
+    // the next step waits until all members have acked. A member that misses
+    // its ack, trips, goes stale, disconnects or is E-STOPped halts the group;
+    // the others keep the last step they were sent. Members must share a device
+    // profile, since one target and rate can't mean the same on two models.
+    constructor(deviceManager, store) {
+        this.deviceManager = deviceManager;
+        this.store = store; // the page's Store: groupMembers setting and groupState
+        this.operation = null;
+        this.stepTimer = null;
+    }
+
+    static describeHazard(hazard) {
+        const descriptions = {
+            disconnected: 'is not connected',
+            stale: 'readings went stale',
+            tripped: 'protection tripped',
+            estop: 'E-STOP in progress',
+            sequence: 'is running a sequence'
+        };
+        return descriptions[hazard] || hazard;
+    }
+
+    getMembers() {
+        const ids = this.store.settings.groupMembers;
+        return this.deviceManager.channels.filter((channel) => ids.includes(channel.id));
+    }
+
+    setMembers(ids) {
+        if (this.isRunning()) {
+            throw new Error('Halt the group operation before changing its members');
+        }
+        for (const id of ids) {
+            this.deviceManager.getChannel(id);
+        }
+        this.store.updateSetting('groupMembers', [...ids]);
+    }
+
+    isRunning() {
+        return this.operation !== null;
+    }
+
+    // rate in units/s ramps every member to the target, 0 sets it in one step.
+    // Resolves true once every member acked the last step, false when halted.
+    run(type, target, rate = 0) {
+        if (type !== 'voltage' && type !== 'current') {
+            throw new Error(`Unknown group channel: ${type}`);
+        }
+        if (this.isRunning()) {
+            throw new Error('A group operation is already running');
+        }
+
+        const members = this.getMembers();
+        if (members.length < 2) {
+            throw new Error('Select at least two devices for the group');
+        }
+
+        const profile = members[0].store.profile;
+        const mixed = members.find((channel) => channel.store.profile.id !== profile.id);
+        if (mixed) {
+            throw new Error(`${mixed.name} uses ${mixed.store.profile.name}, the others ${profile.name}; group members must share a device profile`);
+        }
+
+        const validation = type === 'voltage' ? RxParser.validateVoltage(target, profile) : RxParser.validateCurrent(target, profile);
+        if (!validation.valid) {
+            throw new Error(validation.error);
+        }
+        if (typeof rate !== 'number' || isNaN(rate) || rate < 0) {
+            throw new Error(`Invalid group ramp rate: ${rate}`);
+        }
+        for (const channel of members) {
+            const capped = channel.store.validateSetpoint(type, target);
+            if (!capped.valid) {
+                throw new Error(`${channel.name}: ${capped.error}`);
+            }
+            const hazard = channel.getGroupHazard();
+            if (hazard) {
+                throw new Error(`${channel.name} ${DeviceGroup.describeHazard(hazard)}`);
+            }
+        }
+
+        // Members cover their own distance in the same number of steps, so they arrive
+        // together; each starts where its own ramps would (see RampEngine.getStartValue)
+        const from = members.map((channel) => channel.app.rampEngine.getStartValue(type));
+        const span = Math.max(...from.map((value) => Math.abs(target - value)));
+        const stepSize = rate * this.store.settings.rampStepInterval / 1000;
+        const steps = stepSize > 0 ? Math.max(1, Math.ceil(span / stepSize)) : 1;
+
+        return new Promise((resolve) => {
+            this.operation = {
+                type: type,
+                profile: profile,
+                target: target,
+                rate: rate,
+                steps: steps,
+                step: 0,
+                startedAt: Date.now(),
+                lastStepAt: null,
+                resolve: resolve,
+                listeners: [],
+                members: members.map((channel, index) => ({
+                    channel: channel,
+                    from: from[index],
+                    value: from[index],
+                    ack: 'idle', // 'pending', 'acked', 'failed', 'mismatch'
+                    fault: null
+                }))
+            };
+
+            console.log(`Group ${type} → ${target} in ${steps} step(s) on ${members.map((channel) => channel.name).join(', ')}`);
+            this.subscribe(this.operation);
+            this.sendStep();
+        });
+    }
+
+    sendStep() {
+        const operation = this.operation;
+        const profile = operation.profile;
+        operation.step++;
+        operation.lastStepAt = Date.now();
+
+        const schedulers = [];
+        for (const member of operation.members) {
+            const fraction = operation.step / operation.steps;
+            member.value = operation.step === operation.steps
+                ? operation.target
+                : DeviceProfiles.quantize(profile, operation.type, member.from + (operation.target - member.from) * fraction);
+            member.ack = 'pending';
+
+            try {
+                schedulers.push(member.channel.applyGroupStep(operation.type, member.value));
+            } catch (error) {
+                member.ack = 'failed';
+                this.halt(error.message);
+            }
+
+            // A listener may have halted the group while this step was going out
+            if (this.operation !== operation) {
+                return;
+            }
+        }
+
+        // Every member sends on the same tick rather than on its own cadence
+        const at = Date.now();
+        for (const scheduler of schedulers) {
+            scheduler.tickAt(at);
+        }
+        this.publish('running');
+    }
+
+    subscribe(operation) {
+        for (const member of operation.members) {
+            const listeners = {
+                ack: (data) => this.handleAck(member, data),
+                timeout: (event) => this.handleTimeout(member, event),
+                stateChange: () => this.checkMember(member)
+            };
+            for (const [type, callback] of Object.entries(listeners)) {
+                member.channel.store.addEventListener(type, callback);
+                operation.listeners.push({ store: member.channel.store, type: type, callback: callback });
+            }
+        }
+    }
+
+    unsubscribe(operation) {
+        for (const entry of operation.listeners) {
+            entry.store.removeEventListener(entry.type, entry.callback);
+        }
+        operation.listeners = [];
+    }
+
+    handleAck(member, data) {
+        const operation = this.operation;
+        if (!operation || data.type !== operation.type || member.ack !== 'pending') {
+            return;
+        }
+
+        const profile = operation.profile;
+        const scale = DeviceProfiles.getChannel(profile, operation.type).scale;
+        if (Math.abs(data.value - member.value) > scale / 2 + 1e-9) {
+            member.ack = 'mismatch';
+            this.halt(`${member.channel.name} acknowledged ${DeviceProfiles.formatValue(profile, operation.type, data.value)} ` +
+                `instead of ${DeviceProfiles.formatValue(profile, operation.type, member.value)}`);
+            return;
+        }
+
+        member.ack = 'acked';
+        if (operation.members.every((entry) => entry.ack === 'acked')) {
+            this.advance();
+        } else {
+            this.publish('running');
+        }
+    }
+
+    handleTimeout(member, event) {
+        if (this.operation && event.type === this.operation.type && member.ack === 'pending') {
+            member.ack = 'failed';
+            this.halt(`${member.channel.name} did not acknowledge ${event.command}`);
+        }
+    }
+
+    checkMember(member) {
+        if (!this.operation) {
+            return;
+        }
+        const hazard = member.channel.getGroupHazard();
+        if (hazard) {
+            member.fault = hazard;
+            this.halt(`${member.channel.name} ${DeviceGroup.describeHazard(hazard)}`);
+        }
+    }
+
+    // All members acked: finish, or send the next step once a step interval has passed
+    advance() {
+        const operation = this.operation;
+        if (operation.step >= operation.steps) {
+            this.finish('completed', null);
+            return;
+        }
+
+        this.publish('running');
+        const delay = Math.max(0, operation.lastStepAt + this.store.settings.rampStepInterval - Date.now());
+        this.stepTimer = setTimeout(() => {
+            this.stepTimer = null;
+            if (this.operation === operation) {
+                this.sendStep();
+            }
+        }, delay);
+    }
+
+    halt(reason = 'Halted by operator') {
+        if (!this.operation) {
+            return false;
+        }
+        this.finish('halted', reason);
+        return true;
+    }
+
+    finish(status, reason) {
+        const operation = this.operation;
+        if (this.stepTimer) {
+            clearTimeout(this.stepTimer);
+            this.stepTimer = null;
+        }
+
+        this.unsubscribe(operation);
+        this.publish(status, reason);
+        this.operation = null;
+
+        if (status === 'halted') {
+            console.warn(`Group halted: ${reason}`);
+            this.store.setError(`Group halted: ${reason}`);
+        }
+        operation.resolve(status === 'completed');
+    }
+
+    publish(status, reason = null) {
+        const operation = this.operation;
+        this.store.setGroupState({
+            status: status, // 'running', 'completed', 'halted'
+            type: operation.type,
+            profile: operation.profile.id,
+            target: operation.target,
+            rate: operation.rate,
+            step: operation.step,
+            steps: operation.steps,
+            startedAt: operation.startedAt,
+            reason: reason,
+            members: operation.members.map((member) => ({
+                id: member.channel.id,
+                name: member.channel.name,
+                color: member.channel.color,
+                value: member.value,
+                ack: member.ack,
+                fault: member.fault
+            }))
+        });
+    }
+}
+
+// Export for use in other modules
+if (typeof window !== 'undefined') {
+    window.DeviceGroup = DeviceGroup;
+}
+
+// CommonJS export for Node (headless harness)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = DeviceGroup;
+}
@@ -0,0 +1,162 @@
+class DeviceManager {
+    // The devices on this page. The page's own HVPSApp is always the first
+    // channel; the others are listed in its 'devices' setting and each run a
+    // complete pipeline of their own, so a stale or tripped unit never holds
+    // up the rest. E-STOP all is the one operation that spans every channel.
+    constructor(app) {
+        this.app = app;
+        this.channels = [new DeviceChannel({ id: 'primary' }, { app: app })];
+        this.onChange = null; // called after a device is added, removed or renamed
+    }
+
+    static get MAX_DEVICES() {
+        return 8;
+    }
+
+    static get COLORS() {
+        return ['#2563eb', '#dc2626', '#16a34a', '#d97706', '#7c3aed', '#0891b2', '#db2777', '#4b5563'];
+    }
+
+    get primary() {
+        return this.channels[0];
+    }
+
+    // Recreate the devices saved in the layout (their links stay closed)
+    async load() {
+        for (const config of this.app.store.settings.devices) {
+            try {
+                await this.addChannel(config);
+            } catch (error) {
+                console.error(`Failed to restore device ${config.name}:`, error);
+                this.app.store.setError(`Failed to restore device ${config.name}: ${error.message}`);
+            }
+        }
+        this.notifyChange();
+    }
+
+    getChannel(id) {
+        const channel = this.channels.find((entry) => entry.id === id);
+        if (!channel) {
+            throw new Error(`Unknown device: ${id}`);
+        }
+        return channel;
+    }
+
+    nextId() {
+        let index = this.channels.length + 1;
+        while (this.channels.some((channel) => channel.id === `device-${index}`)) {
+            index++;
+        }
+        return `device-${index}`;
+    }
+
+    // options.transport replaces the link chosen in config (harness simulators)
+    async addDevice(config = {}, options = {}) {
+        if (this.channels.length >= DeviceManager.MAX_DEVICES) {
+            throw new Error(`No more than ${DeviceManager.MAX_DEVICES} devices per page`);
+        }
+
+        const id = this.nextId();
+        const channel = await this.addChannel({
+            ...config,
+            id: id,
+            name: config.name || `HVPS ${this.channels.length + 1}`,
+            color: config.color || DeviceManager.COLORS[this.channels.length % DeviceManager.COLORS.length]
+        }, options);
+
+        this.saveLayout();
+        return channel;
+    }
+
+    async addChannel(config, options = {}) {
+        if (this.channels.some((channel) => channel.id === config.id)) {
+            throw new Error(`Duplicate device id: ${config.id}`);
+        }
+
+        const channel = new DeviceChannel(config, { transport: options.transport });
+        channel.rename(channel.name, channel.color);
+        await channel.initialize();
+        this.channels.push(channel);
+        return channel;
+    }
+
+    async removeDevice(id) {
+        const channel = this.getChannel(id);
+        if (channel.primary) {
+            throw new Error('The first device cannot be removed');
+        }
+
+        await channel.shutdown();
+        this.channels = this.channels.filter((entry) => entry !== channel);
+        if (Store.hasStorage()) {
+            localStorage.removeItem(channel.store.storageKey);
+        }
+        this.saveLayout();
+    }
+
+    updateDevice(id, changes) {
+        const channel = this.getChannel(id);
+        if (changes.profile !== undefined) {
+            channel.setProfile(changes.profile);
+        }
+        channel.rename(changes.name, changes.color);
+        this.saveLayout();
+    }
+
+    // Every connected device gets ERST, whatever state the others are in
+    estopAll(reason = 'E-STOP all pressed') {
+        const stopped = [];
+        for (const channel of this.channels) {
+            try {
+                if (channel.estop(reason)) {
+                    stopped.push(channel.name);
+                }
+            } catch (error) {
+                channel.store.setError(`E-STOP failed: ${error.message}`);
+            }
+        }
+        console.log(`E-STOP all: ${stopped.length > 0 ? stopped.join(', ') : 'no devices connected'}`);
+        return stopped;
+    }
+
+    isAnyConnected() {
+        return this.channels.some((channel) => channel.isConnected());
+    }
+
+    saveLayout() {
+        const primary = this.primary;
+        this.app.store.updateSettings({
+            deviceName: primary.name,
+            deviceColor: primary.color,
+            devices: this.channels.filter((channel) => !channel.primary).map((channel) => channel.toConfig()),
+            groupMembers: this.app.store.settings.groupMembers.filter((id) => this.channels.some((channel) => channel.id === id))
+        });
+        this.notifyChange();
+    }
+
+    notifyChange() {
+        if (this.onChange) {
+            this.onChange(this.channels);
+        }
+    }
+
+    getSummaries() {
+        return this.channels.map((channel) => channel.getSummary());
+    }
+
+    async shutdown() {
+        for (const channel of this.channels) {
+            await channel.shutdown();
+        }
+    }
+}
+
+// Export for use in other modules
+if (typeof window !== 'undefined') {
+    window.DeviceManager = DeviceManager;
+}
+
+// CommonJS export for Node (headless harness)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = DeviceManager;
+}
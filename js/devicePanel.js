@@ -0,0 +1,391 @@
+class DevicePanel {
+    // One card per device: name and colour, link state, live readings,
+    // setpoints and its own E-STOP. Each card listens to its device's Store;
+    // the page's other panels keep showing the first device in full. Below the
+    // cards, the group controls drive DeviceGroup and list each member's ack.
+    constructor(store, deviceManager) {
+        this.store = store;
+        this.deviceManager = deviceManager;
+        this.elements = {};
+        this.cards = new Map(); // device id -> { channel, root, fields, listeners }
+        this.isInitialized = false;
+
+        this.store.addEventListener('stateChange', this.handleStateChange.bind(this));
+    }
+
+    initialize() {
+        if (this.isInitialized) {
+            return;
+        }
+
+        this.elements = {
+            inDeviceName: document.getElementById('inDeviceName'),
+            inDeviceColor: document.getElementById('inDeviceColor'),
+            selDeviceTransport: document.getElementById('selDeviceTransport'),
+            selDeviceProfile: document.getElementById('selDeviceProfile'),
+            inDeviceBridge: document.getElementById('inDeviceBridge'),
+            btnAddDevice: document.getElementById('btnAddDevice'),
+            deviceCards: document.getElementById('deviceCards'),
+            btnEstopAll: document.getElementById('btnEstopAll'),
+            selGroupChannel: document.getElementById('selGroupChannel'),
+            inGroupTarget: document.getElementById('inGroupTarget'),
+            inGroupRate: document.getElementById('inGroupRate'),
+            btnGroupRun: document.getElementById('btnGroupRun'),
+            btnGroupHalt: document.getElementById('btnGroupHalt'),
+            groupStatus: document.getElementById('groupStatus'),
+            groupMembers: document.getElementById('groupMembers')
+        };
+
+        const missingElements = Object.keys(this.elements).filter((key) => !this.elements[key]);
+        if (missingElements.length > 0) {
+            throw new Error(`Missing DOM elements: ${missingElements.join(', ')}`);
+        }
+
+        DevicePanel.fillProfiles(this.elements.selDeviceProfile);
+        this.elements.selDeviceProfile.value = this.store.profile.id;
+        this.setupEventListeners();
+        this.deviceManager.onChange = () => this.renderCards();
+        this.elements.inDeviceBridge.value = this.store.settings.bridgeUrl;
+        this.updateAddControls();
+        this.renderCards();
+        this.renderGroup();
+        this.isInitialized = true;
+    }
+
+    setupEventListeners() {
+        this.elements.btnAddDevice.addEventListener('click', () => {
+            this.dispatch('device-add-request', {
+                config: {
+                    name: this.elements.inDeviceName.value.trim() || undefined,
+                    color: this.elements.inDeviceColor.value,
+                    transport: this.elements.selDeviceTransport.value,
+                    bridgeUrl: this.elements.inDeviceBridge.value.trim(),
+                    deviceProfile: this.elements.selDeviceProfile.value
+                }
+            });
+            this.elements.inDeviceName.value = '';
+        });
+
+        this.elements.selDeviceTransport.addEventListener('change', () => {
+            this.updateAddControls();
+        });
+
+        this.elements.btnEstopAll.addEventListener('click', () => {
+            this.dispatch('estop-all-request');
+        });
+
+        this.elements.btnGroupRun.addEventListener('click', () => {
+            const target = parseFloat(this.elements.inGroupTarget.value);
+            if (isNaN(target)) {
+                this.store.setError('Enter a group target value');
+                return;
+            }
+            const rate = this.elements.inGroupRate.value === '' ? 0 : parseFloat(this.elements.inGroupRate.value);
+            this.dispatch('group-run-request', {
+                type: this.elements.selGroupChannel.value,
+                target: target,
+                rate: rate
+            });
+        });
+
+        this.elements.btnGroupHalt.addEventListener('click', () => {
+            this.dispatch('group-halt-request');
+        });
+    }
+
+    handleStateChange(data) {
+        if (!this.isInitialized) {
+            return;
+        }
+
+        if (data.changes.groupState !== undefined) {
+            this.renderGroup();
+        }
+        if (data.changes.settings !== undefined && data.oldState.settings.groupMembers !== this.store.settings.groupMembers) {
+            for (const card of this.cards.values()) {
+                card.fields.group.checked = this.store.settings.groupMembers.includes(card.channel.id);
+            }
+        }
+    }
+
+    // Imported profiles show up in the add form and on every card
+    refreshProfiles() {
+        const select = this.elements.selDeviceProfile;
+        const selected = select.value;
+        DevicePanel.fillProfiles(select);
+        select.value = DeviceProfiles.list().some((profile) => profile.id === selected) ? selected : this.store.profile.id;
+        this.renderCards();
+    }
+
+    static fillProfiles(select) {
+        select.innerHTML = '';
+        for (const profile of DeviceProfiles.list()) {
+            const option = document.createElement('option');
+            option.value = profile.id;
+            option.textContent = profile.name;
+            select.appendChild(option);
+        }
+    }
+
+    dispatch(type, detail = {}) {
+        document.dispatchEvent(new CustomEvent(type, { detail: detail }));
+    }
+
+    updateAddControls() {
+        this.elements.inDeviceBridge.hidden = this.elements.selDeviceTransport.value !== 'websocket';
+        this.elements.inDeviceColor.value = DeviceManager.COLORS[this.deviceManager.channels.length % DeviceManager.COLORS.length];
+        this.elements.btnAddDevice.disabled = this.deviceManager.channels.length >= DeviceManager.MAX_DEVICES;
+    }
+
+    // Rebuild the card list after a device is added, removed or renamed
+    renderCards() {
+        for (const card of this.cards.values()) {
+            this.unsubscribe(card);
+        }
+        this.cards.clear();
+        this.elements.deviceCards.innerHTML = '';
+
+        for (const channel of this.deviceManager.channels) {
+            const card = this.createCard(channel);
+            this.cards.set(channel.id, card);
+            this.elements.deviceCards.appendChild(card.root);
+            this.updateCard(card);
+        }
+        this.updateAddControls();
+    }
+
+    createCard(channel) {
+        const root = document.createElement('div');
+        root.className = 'device-card';
+        root.style.borderLeftColor = channel.color;
+
+        const header = document.createElement('div');
+        header.className = 'device-card-header';
+
+        const color = document.createElement('input');
+        color.type = 'color';
+        color.value = channel.color;
+        color.setAttribute('aria-label', `${channel.name} colour`);
+        color.addEventListener('change', () => {
+            this.dispatch('device-update-request', { id: channel.id, changes: { color: color.value } });
+        });
+
+        const name = document.createElement('input');
+        name.type = 'text';
+        name.className = 'device-name';
+        name.value = channel.name;
+        name.setAttribute('aria-label', 'Device name');
+        name.addEventListener('change', () => {
+            this.dispatch('device-update-request', { id: channel.id, changes: { name: name.value } });
+        });
+
+        const status = document.createElement('span');
+        status.className = 'device-status';
+
+        const groupLabel = document.createElement('label');
+        groupLabel.className = 'device-group-toggle';
+        const group = document.createElement('input');
+        group.type = 'checkbox';
+        group.checked = this.store.settings.groupMembers.includes(channel.id);
+        group.addEventListener('change', () => {
+            const members = this.deviceManager.channels
+                .filter((entry) => entry === channel ? group.checked : this.store.settings.groupMembers.includes(entry.id))
+                .map((entry) => entry.id);
+            this.dispatch('group-members-change', { members: members });
+        });
+        groupLabel.append(group, ' Group');
+
+        // Each device has its own model; it can only change while disconnected
+        const profile = document.createElement('select');
+        profile.className = 'device-profile';
+        profile.setAttribute('aria-label', `${channel.name} device profile`);
+        DevicePanel.fillProfiles(profile);
+        profile.value = channel.store.profile.id;
+        profile.addEventListener('change', () => {
+            this.dispatch('device-update-request', { id: channel.id, changes: { profile: profile.value } });
+        });
+        header.append(color, name, profile, status, groupLabel);
+
+        const readings = document.createElement('div');
+        readings.className = 'device-readings';
+        readings.setAttribute('aria-live', 'polite');
+
+        const setpoints = document.createElement('div');
+        setpoints.className = 'device-setpoints';
+        const voltage = this.createSetpointInput(channel, 'voltage', setpoints);
+        const current = this.createSetpointInput(channel, 'current', setpoints);
+
+        const actions = document.createElement('div');
+        actions.className = 'device-actions';
+
+        const connect = document.createElement('button');
+        connect.className = 'btn btn-secondary';
+        connect.addEventListener('click', () => {
+            this.dispatch('device-connect-request', { id: channel.id });
+        });
+
+        const estop = document.createElement('button');
+        estop.className = 'btn btn-emergency btn-small';
+        estop.textContent = 'E-STOP';
+        estop.addEventListener('click', () => {
+            this.dispatch('device-estop-request', { id: channel.id });
+        });
+        actions.append(connect, estop);
+
+        if (!channel.primary) {
+            const remove = document.createElement('button');
+            remove.className = 'btn btn-secondary';
+            remove.textContent = 'Remove';
+            remove.addEventListener('click', () => {
+                if (confirm(`Remove ${channel.name} from this page?`)) {
+                    this.dispatch('device-remove-request', { id: channel.id });
+                }
+            });
+            actions.appendChild(remove);
+        }
+
+        const message = document.createElement('div');
+        message.className = 'device-message';
+        message.setAttribute('aria-live', 'assertive');
+
+        root.append(header, readings, setpoints, actions, message);
+
+        const card = {
+            channel: channel,
+            root: root,
+            fields: { status, readings, voltage, current, connect, estop, message, group, profile },
+            listeners: {}
+        };
+        this.subscribe(card);
+        return card;
+    }
+
+    createSetpointInput(channel, type, container) {
+        const definition = DeviceProfiles.getChannel(channel.store.profile, type);
+
+        const input = document.createElement('input');
+        input.type = 'number';
+        input.min = 0;
+        input.step = 'any';
+        input.setAttribute('aria-label', `${channel.name} ${definition.label.toLowerCase()} setpoint`);
+
+        const button = document.createElement('button');
+        button.className = 'btn btn-secondary';
+        button.textContent = `Set ${definition.unit}`;
+        button.addEventListener('click', () => {
+            const value = parseFloat(input.value);
+            if (isNaN(value)) {
+                channel.store.setError(`Enter a ${definition.label.toLowerCase()} value`);
+                return;
+            }
+            this.dispatch(`device-${type}-request`, { id: channel.id, [type]: value });
+        });
+
+        container.append(input, button);
+        return input;
+    }
+
+    subscribe(card) {
+        const update = () => this.updateCard(card);
+        card.listeners = { stateChange: update, readingUpdate: update, error: update };
+        for (const [type, callback] of Object.entries(card.listeners)) {
+            card.channel.store.addEventListener(type, callback);
+        }
+    }
+
+    unsubscribe(card) {
+        for (const [type, callback] of Object.entries(card.listeners)) {
+            card.channel.store.removeEventListener(type, callback);
+        }
+    }
+
+    static describeStatus(summary) {
+        if (summary.protectionStatus === 'tripped') {
+            return 'Tripped';
+        }
+        if (summary.estopState === 'requested') {
+            return 'E-STOP sent';
+        }
+        if (summary.isStale) {
+            return 'Stale';
+        }
+        const states = { connected: 'Connected', connecting: 'Connecting...', disconnected: 'Disconnected', error: 'Error' };
+        return states[summary.connectionState] || summary.connectionState;
+    }
+
+    static describeAck(member) {
+        if (member.fault) {
+            return DeviceGroup.describeHazard(member.fault);
+        }
+        const acks = { idle: '', pending: 'waiting for ack', acked: 'acknowledged', failed: 'no ack', mismatch: 'wrong ack' };
+        return acks[member.ack];
+    }
+
+    renderGroup() {
+        const group = this.store.groupState;
+        const running = group !== null && group.status === 'running';
+        this.elements.btnGroupRun.disabled = running;
+        this.elements.btnGroupHalt.disabled = !running;
+        this.elements.groupMembers.innerHTML = '';
+
+        if (!group) {
+            this.elements.groupStatus.className = 'group-status';
+            this.elements.groupStatus.textContent = 'Tick Group on two or more devices to change them together';
+            return;
+        }
+
+        const profile = DeviceProfiles.get(group.profile);
+        const target = DeviceProfiles.formatValue(profile, group.type, group.target);
+        const label = DeviceProfiles.getChannel(profile, group.type).label;
+        const progress = `step ${group.step}/${group.steps}`;
+        const summaries = {
+            running: `${label} to ${target}: ${progress}`,
+            completed: `${label} at ${target} on all members`,
+            halted: `${label} to ${target} halted at ${progress}: ${group.reason}`
+        };
+        this.elements.groupStatus.textContent = summaries[group.status];
+        this.elements.groupStatus.className = `group-status ${group.status}`;
+
+        for (const member of group.members) {
+            const item = document.createElement('li');
+            item.className = `group-member ${member.fault ? 'failed' : member.ack}`;
+            item.style.borderLeftColor = member.color;
+            item.textContent = `${member.name}: ${DeviceProfiles.formatValue(profile, group.type, member.value)} - ${DevicePanel.describeAck(member)}`;
+            this.elements.groupMembers.appendChild(item);
+        }
+    }
+
+    updateCard(card) {
+        const summary = card.channel.getSummary();
+        const profile = card.channel.store.profile;
+        const format = (channel, value) => DeviceProfiles.formatValue(profile, channel, value);
+        const fields = card.fields;
+        const connected = card.channel.isConnected();
+
+        fields.status.textContent = DevicePanel.describeStatus(summary);
+        fields.status.className = `device-status ${summary.isStale ? 'stale' : summary.connectionState}`;
+        fields.readings.textContent = `${format('voltage', summary.actualVoltage)} | ` +
+            `${format('current', summary.actualCurrent)} | ${format('temperature', summary.actualTemperature)}`;
+
+        fields.voltage.placeholder = summary.voltageSetpoint;
+        fields.current.placeholder = summary.currentSetpoint;
+
+        fields.profile.value = summary.profile;
+        fields.profile.disabled = summary.connectionState !== 'disconnected' && summary.connectionState !== 'error';
+
+        fields.connect.textContent = connected ? 'Disconnect' : 'Connect';
+        fields.connect.disabled = summary.connectionState === 'connecting';
+        fields.estop.disabled = !connected;
+        fields.message.textContent = summary.lastError || '';
+    }
+}
+
+// Export for use in other modules
+if (typeof window !== 'undefined') {
+    window.DevicePanel = DevicePanel;
+}
+
+// CommonJS export for Node (headless harness)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = DevicePanel;
+}
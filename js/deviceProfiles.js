@@ -0,0 +1,455 @@
+// Device profiles describe one supply model: token templates, field width,
+// scale factor (engineering units per count), unit and range per channel.
+// The two shipped models are below; further models are imported as JSON
+// (DeviceProfiles.importJSON), validated, and kept in localStorage.
+// Templates use {n} for the zero-padded numeric field.
+const DEVICE_PROFILES = {
+    'remedi-psu': {
+        id: 'remedi-psu',
+        name: 'Remedi PC PSU (V / A)',
+        channels: {
+            voltage: {
+                label: 'Voltage',
+                unit: 'V',
+                width: 3,
+                scale: 0.1,
+                decimals: 1,
+                min: 0,
+                max: 99.9,
+                poll: 'XV',
+                reading: 'S_V{n}',
+                set: 'XV{n}',
+                ack: 'X_V{n}'
+            },
+            current: {
+                label: 'Current',
+                unit: 'A',
+                width: 3,
+                scale: 0.1,
+                decimals: 1,
+                min: 0,
+                max: 10,
+                poll: 'XA',
+                reading: 'S_A{n}',
+                set: 'XA{n}',
+                ack: 'X_A{n}'
+            },
+            temperature: {
+                label: 'Temperature',
+                unit: '°C',
+                width: 3,
+                scale: 1,
+                decimals: 0,
+                min: 0,
+                max: 999,
+                poll: 'XTMP',
+                reading: 'S_T{n}'
+            }
+        },
+        commands: {
+            reset: 'ERST',
+            resetAck: 'E_RST',
+            heartbeat: 'LIVE'
+        }
+    },
+    'remedi-hv120': {
+        id: 'remedi-hv120',
+        name: 'Remedi HV 120 kV (kV / mA)',
+        channels: {
+            voltage: {
+                label: 'Voltage',
+                unit: 'kV',
+                width: 3,
+                scale: 1,
+                decimals: 0,
+                min: 0,
+                max: 120,
+                poll: 'XV',
+                reading: 'S_V{n}',
+                set: 'XV{n}',
+                ack: 'X_V{n}'
+            },
+            current: {
+                label: 'Current',
+                unit: 'mA',
+                width: 3,
+                scale: 0.1,
+                decimals: 1,
+                min: 0,
+                max: 10,
+                poll: 'XA',
+                reading: 'S_A{n}',
+                set: 'XA{n}',
+                ack: 'X_A{n}'
+            },
+            temperature: {
+                label: 'Temperature',
+                unit: '°C',
+                width: 3,
+                scale: 1,
+                decimals: 0,
+                min: 0,
+                max: 999,
+                poll: 'XTMP',
+                reading: 'S_T{n}'
+            }
+        },
+        commands: {
+            reset: 'ERST',
+            resetAck: 'E_RST',
+            heartbeat: 'LIVE'
+        }
+    }
+};
+
+const BUILT_IN_PROFILE_IDS = Object.keys(DEVICE_PROFILES);
+
+class DeviceProfiles {
+    static list() {
+        return Object.values(DEVICE_PROFILES);
+    }
+
+    static get(id) {
+        const profile = DEVICE_PROFILES[id];
+        if (!profile) {
+            throw new Error(`Unknown device profile: ${id}`);
+        }
+        return profile;
+    }
+
+    // Each device's Store holds its own profile; this is only the fallback for
+    // static helpers called without one (self-tests, standalone tools)
+    static getDefault() {
+        return DEVICE_PROFILES[DeviceProfiles.DEFAULT_ID];
+    }
+
+    static get DEFAULT_ID() {
+        return 'remedi-psu';
+    }
+
+    // Imported profiles are saved under this key and registered on page load
+    static get STORAGE_KEY() {
+        return 'hvps-device-profiles';
+    }
+
+    static get CHANNELS() {
+        return ['voltage', 'current', 'temperature'];
+    }
+
+    static isBuiltIn(id) {
+        return BUILT_IN_PROFILE_IDS.includes(id);
+    }
+
+    // Problems with a profile as a list of messages (empty when it is usable)
+    static validate(profile) {
+        if (!profile || typeof profile !== 'object' || Array.isArray(profile)) {
+            return ['a profile must be a JSON object'];
+        }
+
+        const errors = [];
+        if (typeof profile.id !== 'string' || !/^[a-z0-9][a-z0-9-]*$/.test(profile.id)) {
+            errors.push('id must be lower-case letters, digits and dashes');
+        }
+        if (typeof profile.name !== 'string' || profile.name.trim() === '') {
+            errors.push('name is required');
+        }
+
+        const channels = profile.channels;
+        if (!channels || typeof channels !== 'object' || Array.isArray(channels)) {
+            errors.push('channels must be an object');
+        } else {
+            for (const channel of Object.keys(channels)) {
+                if (!DeviceProfiles.CHANNELS.includes(channel)) {
+                    errors.push(`unknown channel "${channel}"`);
+                }
+            }
+            for (const channel of DeviceProfiles.CHANNELS) {
+                errors.push(...DeviceProfiles.validateChannel(channel, channels[channel]));
+            }
+        }
+
+        const commands = profile.commands;
+        if (!commands || typeof commands !== 'object' || Array.isArray(commands)) {
+            errors.push('commands must be an object');
+        } else {
+            for (const key of ['reset', 'resetAck']) {
+                if (typeof commands[key] !== 'string' || commands[key] === '') {
+                    errors.push(`commands.${key} is required`);
+                }
+            }
+            if (commands.heartbeat !== undefined && (typeof commands.heartbeat !== 'string' || commands.heartbeat === '')) {
+                errors.push('commands.heartbeat must be a token');
+            }
+        }
+        return errors;
+    }
+
+    static validateChannel(channel, definition) {
+        if (!definition || typeof definition !== 'object' || Array.isArray(definition)) {
+            return [`channels.${channel} is missing`];
+        }
+
+        const errors = [];
+        const at = `channels.${channel}`;
+        const isNumber = (value) => typeof value === 'number' && isFinite(value);
+
+        for (const key of ['label', 'unit', 'poll']) {
+            if (typeof definition[key] !== 'string' || definition[key] === '') {
+                errors.push(`${at}.${key} is required`);
+            }
+        }
+        if (!Number.isInteger(definition.width) || definition.width < 1 || definition.width > 6) {
+            errors.push(`${at}.width must be a whole number from 1 to 6`);
+        }
+        if (!isNumber(definition.scale) || definition.scale <= 0) {
+            errors.push(`${at}.scale must be a number above 0`);
+        }
+        if (!Number.isInteger(definition.decimals) || definition.decimals < 0 || definition.decimals > 6) {
+            errors.push(`${at}.decimals must be a whole number from 0 to 6`);
+        }
+
+        if (!isNumber(definition.min) || !isNumber(definition.max)) {
+            errors.push(`${at}.min and max must be numbers`);
+        } else if (definition.min < 0 || definition.min >= definition.max) {
+            errors.push(`${at}.min must be at least 0 and below max`);
+        } else if (Number.isInteger(definition.width) && isNumber(definition.scale)) {
+            const fullScale = (Math.pow(10, definition.width) - 1) * definition.scale;
+            if (definition.max > fullScale + 1e-9) {
+                errors.push(`${at}.max ${definition.max} does not fit ${definition.width} digits at scale ${definition.scale}`);
+            }
+        }
+
+        // Voltage and current are set and acknowledged; every channel is read
+        const templates = channel === 'temperature' ? ['reading'] : ['reading', 'set', 'ack'];
+        for (const key of templates) {
+            const template = definition[key];
+            if (typeof template !== 'string' || template.split('{n}').length !== 2) {
+                errors.push(`${at}.${key} must be a token template with one {n}`);
+            }
+        }
+        return errors;
+    }
+
+    // Add (or replace) an imported profile; shipped profiles cannot be replaced
+    static register(profile) {
+        const errors = DeviceProfiles.validate(profile);
+        if (errors.length > 0) {
+            const id = profile && typeof profile.id === 'string' ? profile.id : 'profile';
+            throw new Error(`${id}: ${errors.join('; ')}`);
+        }
+        if (DeviceProfiles.isBuiltIn(profile.id)) {
+            throw new Error(`${profile.id} is a built-in profile and cannot be replaced`);
+        }
+
+        // A plain copy, so no compiled regexes of an earlier version are kept
+        const copy = JSON.parse(JSON.stringify(profile));
+        DEVICE_PROFILES[copy.id] = copy;
+        return copy;
+    }
+
+    // Import one profile or an array of them from JSON text. Nothing is added
+    // unless every profile is valid; returns the registered profiles.
+    static importJSON(text) {
+        let data;
+        try {
+            data = JSON.parse(text);
+        } catch (error) {
+            throw new Error(`Not valid JSON: ${error.message}`);
+        }
+
+        const profiles = Array.isArray(data) ? data : [data];
+        if (profiles.length === 0) {
+            throw new Error('No profiles in the file');
+        }
+
+        const problems = [];
+        for (const profile of profiles) {
+            const errors = DeviceProfiles.validate(profile);
+            if (errors.length === 0 && DeviceProfiles.isBuiltIn(profile.id)) {
+                errors.push('is a built-in profile and cannot be replaced');
+            }
+            if (errors.length > 0) {
+                const id = profile && typeof profile.id === 'string' ? profile.id : `profile ${profiles.indexOf(profile) + 1}`;
+                problems.push(`${id}: ${errors.join('; ')}`);
+            }
+        }
+        if (problems.length > 0) {
+            throw new Error(problems.join(' | '));
+        }
+
+        const registered = profiles.map((profile) => DeviceProfiles.register(profile));
+        DeviceProfiles.saveImported();
+        return registered;
+    }
+
+    static hasStorage() {
+        return typeof localStorage !== 'undefined';
+    }
+
+    static saveImported() {
+        if (!DeviceProfiles.hasStorage()) {
+            return;
+        }
+
+        const imported = DeviceProfiles.list().filter((profile) => !DeviceProfiles.isBuiltIn(profile.id));
+        try {
+            localStorage.setItem(DeviceProfiles.STORAGE_KEY, JSON.stringify(imported));
+        } catch (error) {
+            console.warn('Failed to save device profiles to localStorage:', error);
+        }
+    }
+
+    // Register the profiles imported on earlier visits; bad entries are skipped
+    static loadSaved() {
+        if (!DeviceProfiles.hasStorage()) {
+            return;
+        }
+
+        let saved;
+        try {
+            saved = JSON.parse(localStorage.getItem(DeviceProfiles.STORAGE_KEY) || '[]');
+        } catch (error) {
+            console.warn('Failed to load device profiles from localStorage:', error);
+            return;
+        }
+
+        for (const profile of Array.isArray(saved) ? saved : []) {
+            try {
+                DeviceProfiles.register(profile);
+            } catch (error) {
+                console.warn(`Skipping saved device profile ${error.message}`);
+            }
+        }
+    }
+
+    // { voltage: 'V', current: 'A', ... } for a profile id (null if unknown)
+    static getUnits(id) {
+        const profile = DEVICE_PROFILES[id];
+        if (!profile) {
+            return null;
+        }
+
+        const units = {};
+        for (const [channel, definition] of Object.entries(profile.channels)) {
+            units[channel] = definition.unit;
+        }
+        return units;
+    }
+
+    static getChannel(profile, channel) {
+        const definition = profile.channels[channel];
+        if (!definition) {
+            throw new Error(`Profile ${profile.id} has no ${channel} channel`);
+        }
+        return definition;
+    }
+
+    // Turn a template into an anchored regex capturing the numeric field
+    static templateToRegex(template, width) {
+        const escaped = template.replace(/[.*+?^$()|[\]\\]/g, '\\$&');
+        return new RegExp(`^${escaped.replace('{n}', `(\\d{${width}})`)}$`);
+    }
+
+    // Regexes are built once per profile
+    static compile(profile) {
+        if (profile.compiled) {
+            return profile.compiled;
+        }
+
+        const compiled = { readings: [], acks: [], sets: [] };
+        for (const [channel, definition] of Object.entries(profile.channels)) {
+            if (definition.reading) {
+                compiled.readings.push({ channel, regex: DeviceProfiles.templateToRegex(definition.reading, definition.width) });
+            }
+            if (definition.ack) {
+                compiled.acks.push({ channel, regex: DeviceProfiles.templateToRegex(definition.ack, definition.width) });
+            }
+            if (definition.set) {
+                compiled.sets.push({ channel, regex: DeviceProfiles.templateToRegex(definition.set, definition.width) });
+            }
+        }
+
+        Object.defineProperty(profile, 'compiled', { value: compiled, enumerable: false });
+        return compiled;
+    }
+
+    // Counts on the wire to engineering units, rounded to the channel's decimals
+    static decode(profile, channel, raw) {
+        const definition = DeviceProfiles.getChannel(profile, channel);
+        const factor = Math.pow(10, definition.decimals);
+        return Math.round(parseInt(raw, 10) * definition.scale * factor) / factor;
+    }
+
+    // Engineering units to a zero-padded field, clamped to what the field can hold
+    static encode(profile, channel, value) {
+        const definition = DeviceProfiles.getChannel(profile, channel);
+        const maxCount = Math.pow(10, definition.width) - 1;
+        const count = Math.max(0, Math.min(maxCount, Math.round(value / definition.scale)));
+        return count.toString().padStart(definition.width, '0');
+    }
+
+    static formatCommand(profile, channel, value) {
+        const definition = DeviceProfiles.getChannel(profile, channel);
+        return definition.set.replace('{n}', DeviceProfiles.encode(profile, channel, value));
+    }
+
+    // Classify an incoming token: { type: 'reading'|'ack'|'resetAck'|'heartbeat', channel, value }
+    static matchToken(profile, token) {
+        const compiled = DeviceProfiles.compile(profile);
+
+        for (const entry of compiled.readings) {
+            const match = token.match(entry.regex);
+            if (match) {
+                return { type: 'reading', channel: entry.channel, value: DeviceProfiles.decode(profile, entry.channel, match[1]) };
+            }
+        }
+
+        for (const entry of compiled.acks) {
+            const match = token.match(entry.regex);
+            if (match) {
+                return { type: 'ack', channel: entry.channel, value: DeviceProfiles.decode(profile, entry.channel, match[1]) };
+            }
+        }
+
+        if (token === profile.commands.resetAck) {
+            return { type: 'resetAck', channel: null, value: null };
+        }
+        if (token === profile.commands.heartbeat) {
+            return { type: 'heartbeat', channel: null, value: null };
+        }
+        return null;
+    }
+
+    // Round to the nearest value the field can represent
+    static quantize(profile, channel, value) {
+        const definition = DeviceProfiles.getChannel(profile, channel);
+        const factor = Math.pow(10, definition.decimals);
+        return Math.round(Math.round(value / definition.scale) * definition.scale * factor) / factor;
+    }
+
+    // Display helper, e.g. "12.5 V"
+    static formatValue(profile, channel, value) {
+        const definition = DeviceProfiles.getChannel(profile, channel);
+        if (value === null || value === undefined) {
+            const placeholder = definition.decimals > 0 ? `--.${'-'.repeat(definition.decimals)}` : '--';
+            return `${placeholder} ${definition.unit}`;
+        }
+        return `${value.toFixed(definition.decimals)} ${definition.unit}`;
+    }
+}
+
+DeviceProfiles.loadSaved();
+
+// Export for use in other modules
+if (typeof window !== 'undefined') {
+    window.DEVICE_PROFILES = DEVICE_PROFILES;
+    window.DeviceProfiles = DeviceProfiles;
+}
+
+// CommonJS export for Node (headless harness)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        DEVICE_PROFILES,
+        DeviceProfiles
+    };
+}
\ No newline at end of file
@@ -0,0 +1,192 @@
+class LinkAnalytics {
+    // Link quality over a rolling window: round-trip time per command type
+    // (from TxScheduler's reply matching), the share of polls answered before
+    // their timeout and the longest stretch without any RX. High RTT with
+    // every poll answered points at a slow device; missed polls and framing
+    // errors at normal RTT point at the cable.
+    constructor(options = {}) {
+        this.windowMs = options.windowMs || 60000;
+        this.buckets = options.buckets || [10, 20, 50, 100, 200, 500, 1000]; // ms upper bounds, last bucket is open
+
+        this.reset();
+    }
+
+    reset(now = Date.now()) {
+        this.samples = []; // { t, type, command, rtt }
+        this.polls = []; // { t, answered }
+        this.gaps = []; // { t, gap } closed RX gaps, t = when the gap ended
+        this.startedAt = now;
+        this.lastRxAt = null;
+        this.totals = { replies: 0, timeouts: 0, rxTokens: 0 };
+    }
+
+    setWindow(windowMs) {
+        if (windowMs < 1000) {
+            throw new Error('Link statistics window cannot be shorter than 1 s');
+        }
+        this.windowMs = windowMs;
+    }
+
+    // Polls are reported per channel, everything else by its kind
+    static commandType(kind, channel) {
+        return kind === 'poll' ? `poll ${channel}` : kind;
+    }
+
+    // Any token from the device, matched or not
+    recordRx(now = Date.now()) {
+        const since = this.lastRxAt !== null ? this.lastRxAt : this.startedAt;
+        this.gaps.push({ t: now, gap: now - since });
+        this.lastRxAt = now;
+        this.totals.rxTokens++;
+        this.prune(now);
+    }
+
+    // A reply matched by TxScheduler.handleResponse()
+    recordReply(match, now = Date.now()) {
+        this.samples.push({
+            t: now,
+            type: LinkAnalytics.commandType(match.kind, match.channel),
+            command: match.command,
+            rtt: match.roundTripMs
+        });
+        if (match.kind === 'poll') {
+            this.polls.push({ t: now, answered: true });
+        }
+        this.totals.replies++;
+        this.prune(now);
+    }
+
+    // A command TxScheduler gave up waiting for
+    recordTimeout(event, now = Date.now()) {
+        if (event.type === 'poll') {
+            this.polls.push({ t: now, answered: false });
+        }
+        this.totals.timeouts++;
+        this.prune(now);
+    }
+
+    prune(now) {
+        const cutoff = now - this.windowMs;
+        this.samples = this.samples.filter((sample) => sample.t >= cutoff);
+        this.polls = this.polls.filter((poll) => poll.t >= cutoff);
+        this.gaps = this.gaps.filter((gap) => gap.t >= cutoff);
+    }
+
+    // min/avg/p95/max of a list of round-trip times
+    static summarize(values) {
+        if (values.length === 0) {
+            return { count: 0, min: null, avg: null, p95: null, max: null };
+        }
+
+        const sorted = [...values].sort((a, b) => a - b);
+        const sum = sorted.reduce((total, value) => total + value, 0);
+        const p95Index = Math.min(sorted.length - 1, Math.ceil(sorted.length * 0.95) - 1);
+        return {
+            count: sorted.length,
+            min: sorted[0],
+            avg: Math.round(sum / sorted.length),
+            p95: sorted[p95Index],
+            max: sorted[sorted.length - 1]
+        };
+    }
+
+    histogram(values) {
+        const counts = new Array(this.buckets.length + 1).fill(0);
+        for (const value of values) {
+            const index = this.buckets.findIndex((limit) => value < limit);
+            counts[index === -1 ? this.buckets.length : index]++;
+        }
+
+        return counts.map((count, index) => ({
+            label: index < this.buckets.length
+                ? `<${this.buckets[index]} ms`
+                : `>=${this.buckets[this.buckets.length - 1]} ms`,
+            count: count
+        }));
+    }
+
+    getSnapshot(now = Date.now()) {
+        this.prune(now);
+
+        const byType = {};
+        for (const sample of this.samples) {
+            if (!byType[sample.type]) {
+                byType[sample.type] = { command: sample.command, values: [] };
+            }
+            byType[sample.type].values.push(sample.rtt);
+        }
+
+        const types = {};
+        for (const [type, entry] of Object.entries(byType)) {
+            types[type] = { command: entry.command, ...LinkAnalytics.summarize(entry.values) };
+        }
+
+        const answered = this.polls.filter((poll) => poll.answered).length;
+        const missed = this.polls.length - answered;
+
+        // The gap still open counts too - a dead link has no closed gaps at all
+        const currentGap = now - (this.lastRxAt !== null ? this.lastRxAt : this.startedAt);
+        const longestGap = this.gaps.reduce((longest, gap) => Math.max(longest, gap.gap), currentGap);
+
+        const all = this.samples.map((sample) => sample.rtt);
+        return {
+            windowMs: this.windowMs,
+            coveredMs: Math.min(this.windowMs, now - this.startedAt),
+            rtt: LinkAnalytics.summarize(all),
+            rttByType: types,
+            histogram: this.histogram(all),
+            polls: {
+                answered: answered,
+                missed: missed,
+                answeredPercent: this.polls.length > 0 ? Math.round(answered / this.polls.length * 1000) / 10 : null
+            },
+            rx: {
+                longestGapMs: longestGap,
+                currentGapMs: currentGap,
+                lastRxAt: this.lastRxAt
+            },
+            totals: { ...this.totals }
+        };
+    }
+
+    // Test methods for validation
+    static runSelfTest() {
+        const analytics = new LinkAnalytics({ windowMs: 10000 });
+        analytics.reset(0);
+
+        const rtts = [12, 15, 18, 40, 250];
+        rtts.forEach((rtt, index) => {
+            analytics.recordRx(100 * (index + 1));
+            analytics.recordReply({ kind: 'poll', channel: 'voltage', command: 'XV', roundTripMs: rtt }, 100 * (index + 1));
+        });
+        analytics.recordReply({ kind: 'voltage', channel: 'voltage', command: 'XV050', roundTripMs: 30 }, 600);
+        analytics.recordTimeout({ type: 'poll', channel: 'current', command: 'XA' }, 700);
+        analytics.recordRx(2000);
+
+        const snapshot = analytics.getSnapshot(2100);
+        const poll = snapshot.rttByType['poll voltage'];
+        const results = [
+            { name: 'poll rtt min/max', passed: poll.min === 12 && poll.max === 250 && poll.count === 5 },
+            { name: 'poll rtt p95', passed: poll.p95 === 250 },
+            { name: 'setpoint type', passed: snapshot.rttByType.voltage.count === 1 },
+            { name: 'histogram', passed: snapshot.histogram[1].count === 3 && snapshot.histogram[5].count === 1 },
+            { name: 'polls answered', passed: snapshot.polls.answeredPercent === 83.3 },
+            { name: 'longest gap', passed: snapshot.rx.longestGapMs === 1500 && snapshot.rx.currentGapMs === 100 }
+        ];
+
+        // Everything older than the window drops out
+        const later = analytics.getSnapshot(20000);
+        results.push({ name: 'window', passed: later.rtt.count === 0 && later.polls.answeredPercent === null });
+        return results;
+    }
+}
+
+// Export for use in other modules
+if (typeof window !== 'undefined') {
+    window.LinkAnalytics = LinkAnalytics;
+}
+
+// CommonJS export for Node (headless harness)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = LinkAnalytics;
+}
@@ -0,0 +1,208 @@
+class LinkPanel {
+    constructor(store) {
+        this.store = store;
+        this.elements = {};
+        this.isInitialized = false;
+
+        this.store.addEventListener('stateChange', this.handleStateChange.bind(this));
+    }
+
+    initialize() {
+        if (this.isInitialized) {
+            return;
+        }
+
+        this.elements = {
+            selLinkWindow: document.getElementById('selLinkWindow'),
+            btnExportDiagnostics: document.getElementById('btnExportDiagnostics'),
+            inPollVoltage: document.getElementById('inPollVoltage'),
+            inPollCurrent: document.getElementById('inPollCurrent'),
+            inPollTemperature: document.getElementById('inPollTemperature'),
+            btnPollRates: document.getElementById('btnPollRates'),
+            linkSummary: document.getElementById('linkSummary'),
+            linkRttTable: document.getElementById('linkRttTable'),
+            linkHistogram: document.getElementById('linkHistogram')
+        };
+
+        const missingElements = Object.keys(this.elements).filter((key) => !this.elements[key]);
+        if (missingElements.length > 0) {
+            throw new Error(`Missing DOM elements: ${missingElements.join(', ')}`);
+        }
+
+        this.setupEventListeners();
+        this.elements.selLinkWindow.value = String(this.store.settings.linkStatsWindow);
+        this.updatePollRateInputs();
+        this.render();
+        this.isInitialized = true;
+    }
+
+    setupEventListeners() {
+        this.elements.selLinkWindow.addEventListener('change', () => {
+            this.dispatch('link-window-change', {
+                seconds: parseInt(this.elements.selLinkWindow.value, 10)
+            });
+        });
+
+        this.elements.btnPollRates.addEventListener('click', () => {
+            const rates = {};
+            for (const [channel, input] of Object.entries(this.getPollRateInputs())) {
+                rates[channel] = input.value === '' ? 0 : parseFloat(input.value);
+            }
+            this.dispatch('poll-rates-change', { rates: rates });
+        });
+
+        this.elements.btnExportDiagnostics.addEventListener('click', () => {
+            this.dispatch('diagnostics-export-request');
+        });
+    }
+
+    dispatch(type, detail = {}) {
+        document.dispatchEvent(new CustomEvent(type, { detail: detail }));
+    }
+
+    getPollRateInputs() {
+        return {
+            voltage: this.elements.inPollVoltage,
+            current: this.elements.inPollCurrent,
+            temperature: this.elements.inPollTemperature
+        };
+    }
+
+    updatePollRateInputs() {
+        const rates = this.store.settings.pollRates;
+        for (const [channel, input] of Object.entries(this.getPollRateInputs())) {
+            input.value = rates[channel] || 0;
+        }
+    }
+
+    handleStateChange(data) {
+        if (!this.isInitialized) {
+            return;
+        }
+
+        if (data.changes.settings !== undefined && data.oldState.settings.pollRates !== this.store.settings.pollRates) {
+            this.updatePollRateInputs();
+        }
+        if (data.changes.linkStats !== undefined) {
+            this.render();
+        }
+    }
+
+    static formatPollRates(pollRates) {
+        const parts = Object.entries(pollRates).map(([channel, rate]) => {
+            const label = DeviceProfiles.getChannel(this.store.profile, channel).label;
+            if (rate.effective === 0) {
+                return `${label} off`;
+            }
+            return rate.effective === rate.requested
+                ? `${label} ${rate.effective} Hz`
+                : `${label} ${rate.effective} Hz (of ${rate.requested})`;
+        });
+        return parts.join(', ');
+    }
+
+    static formatPacing(pacing) {
+        if (!pacing.enabled) {
+            return `TX every ${pacing.intervalMs} ms (fixed)`;
+        }
+        if (pacing.state === 'nominal') {
+            return `TX every ${pacing.intervalMs} ms`;
+        }
+        const why = pacing.reason === 'in-flight' ? 'replies queued' : `round trip ${pacing.smoothedRttMs} ms`;
+        return pacing.state === 'backing-off'
+            ? `Device lagging (${why}): TX slowed to every ${pacing.intervalMs} ms`
+            : `TX recovering, every ${pacing.intervalMs} ms`;
+    }
+
+    static formatMs(value) {
+        return value === null ? '--' : `${value} ms`;
+    }
+
+    render() {
+        const stats = this.store.linkStats;
+        if (!stats) {
+            this.elements.linkSummary.textContent = 'No link statistics yet - connect to a device';
+            this.elements.linkRttTable.innerHTML = '';
+            this.elements.linkHistogram.innerHTML = '';
+            return;
+        }
+
+        const answered = stats.polls.answeredPercent === null ? '--' : `${stats.polls.answeredPercent}%`;
+        this.elements.linkSummary.textContent =
+            `Last ${Math.round(stats.coveredMs / 1000)} s: polls answered ${answered} ` +
+            `(${stats.polls.missed} missed), longest RX gap ${LinkPanel.formatMs(stats.rx.longestGapMs)}, ` +
+            `RTT avg ${LinkPanel.formatMs(stats.rtt.avg)} / p95 ${LinkPanel.formatMs(stats.rtt.p95)}` +
+            (stats.pollRates ? `. Polling ${LinkPanel.formatPollRates(stats.pollRates)}` : '') +
+            (stats.pacing ? `. ${LinkPanel.formatPacing(stats.pacing)}` : '');
+
+        this.renderRttTable(stats);
+        this.renderHistogram(stats);
+    }
+
+    renderRttTable(stats) {
+        const table = this.elements.linkRttTable;
+        table.innerHTML = '';
+
+        const header = document.createElement('tr');
+        for (const title of ['Command', 'Replies', 'Min', 'Avg', 'P95', 'Max']) {
+            const cell = document.createElement('th');
+            cell.textContent = title;
+            header.appendChild(cell);
+        }
+        table.appendChild(header);
+
+        for (const [type, entry] of Object.entries(stats.rttByType).sort()) {
+            const row = document.createElement('tr');
+            const values = [
+                `${type} (${entry.command})`,
+                entry.count,
+                LinkPanel.formatMs(entry.min),
+                LinkPanel.formatMs(entry.avg),
+                LinkPanel.formatMs(entry.p95),
+                LinkPanel.formatMs(entry.max)
+            ];
+            for (const value of values) {
+                const cell = document.createElement('td');
+                cell.textContent = value;
+                row.appendChild(cell);
+            }
+            table.appendChild(row);
+        }
+    }
+
+    renderHistogram(stats) {
+        const container = this.elements.linkHistogram;
+        container.innerHTML = '';
+
+        const largest = Math.max(1, ...stats.histogram.map((bucket) => bucket.count));
+        for (const bucket of stats.histogram) {
+            const row = document.createElement('div');
+            row.className = 'link-histogram-row';
+
+            const label = document.createElement('span');
+            label.className = 'link-histogram-label';
+            label.textContent = bucket.label;
+
+            const bar = document.createElement('span');
+            bar.className = 'link-histogram-bar';
+            bar.style.width = `${(bucket.count / largest) * 100}%`;
+
+            const count = document.createElement('span');
+            count.className = 'link-histogram-count';
+            count.textContent = bucket.count;
+
+            row.append(label, bar, count);
+            container.appendChild(row);
+        }
+    }
+}
+
+// Export for use in other modules
+if (typeof window !== 'undefined') {
+    window.LinkPanel = LinkPanel;
+}
+
+// CommonJS export for Node (headless harness)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = LinkPanel;
+}
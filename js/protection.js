@@ -0,0 +1,273 @@
+class ProtectionMonitor {
+    constructor(store) {
+        this.store = store;
+
+        // Called once when a trip latches (HVPSApp issues the ERST)
+        this.onTrip = null;
+
+        // Per-rule tracking: { since, level }
+        this.ruleState = {};
+        this.lastValues = {};
+
+        // Fires when the earliest pending trip is due, so a reading that stops
+        // arriving (stale link) still trips once its persistence time is up
+        this.pendingTimer = null;
+
+        this.store.addEventListener('readingUpdate', this.handleReadingUpdate.bind(this));
+    }
+
+    // Rules are rebuilt from settings on every reading so edits apply immediately.
+    // A rule trips when its reading stays above `trip` for `delay` ms and warns
+    // (without delay) above `warn`; a null threshold disables that level.
+    getRules() {
+        const s = this.store.settings;
+        const profile = this.store.profile;
+        const channels = profile.channels;
+        return [
+            {
+                id: 'over-temperature',
+                reading: 'temperature',
+                label: 'Over-temperature',
+                unit: channels.temperature.unit,
+                warn: s.tempWarn,
+                trip: s.tempTrip,
+                delay: s.tempTripDelay
+            },
+            {
+                id: 'overvoltage',
+                reading: 'voltage',
+                label: 'Overvoltage',
+                unit: channels.voltage.unit,
+                warn: ProtectionMonitor.resolveLevel(s.voltageWarn, profile, 'voltage', 'warn'),
+                trip: ProtectionMonitor.resolveLevel(s.voltageTrip, profile, 'voltage', 'trip'),
+                delay: s.voltageTripDelay
+            },
+            {
+                id: 'over-current',
+                reading: 'current',
+                label: 'Over-current',
+                unit: channels.current.unit,
+                warn: ProtectionMonitor.resolveLevel(s.currentWarn, profile, 'current', 'warn'),
+                trip: ProtectionMonitor.resolveLevel(s.currentTrip, profile, 'current', 'trip'),
+                delay: s.currentTripDelay
+            },
+            {
+                // Current above the limit the device acknowledged. Unarmed until
+                // an X_A ack arrives: before that the device's own limit is unknown
+                id: 'current-limit',
+                reading: 'current',
+                label: 'Current above limit',
+                unit: channels.current.unit,
+                warn: null,
+                trip: s.currentLimitMargin === null || this.store.currentAcked === null
+                    ? null
+                    : this.store.currentAcked + s.currentLimitMargin,
+                delay: s.currentLimitDelay
+            }
+        ];
+    }
+
+    // 'auto' levels follow the profile range: warn at 95 % of the channel
+    // maximum, trip 5 % above it. Either is kept below the field's full scale,
+    // since a reading can never exceed what the field can hold.
+    static resolveLevel(setting, profile, channel, level) {
+        if (setting !== 'auto') {
+            return setting;
+        }
+
+        const definition = DeviceProfiles.getChannel(profile, channel);
+        const fullScale = (Math.pow(10, definition.width) - 1) * definition.scale;
+        const value = level === 'trip' ? definition.max * 1.05 : definition.max * 0.95;
+        return DeviceProfiles.quantize(profile, channel, Math.min(value, fullScale - definition.scale));
+    }
+
+    // Explicit levels a reading can never exceed (e.g. 125 V on a 99.9 V field)
+    // would never fire; report them instead of arming a rule that cannot trip
+    validateLevels() {
+        const profile = this.store.profile;
+        const problems = [];
+        for (const rule of this.getRules()) {
+            const definition = DeviceProfiles.getChannel(profile, rule.reading);
+            const fullScale = DeviceProfiles.quantize(profile, rule.reading, (Math.pow(10, definition.width) - 1) * definition.scale);
+            for (const level of ['warn', 'trip']) {
+                if (rule[level] !== null && rule[level] >= fullScale) {
+                    problems.push(`${rule.label} ${level} level ${rule[level]} ${rule.unit} is not below the ${fullScale} ${rule.unit} the device can report`);
+                }
+            }
+        }
+
+        if (problems.length > 0) {
+            console.warn(`Protection levels out of range: ${problems.join('; ')}`);
+            this.store.setError(`Protection levels out of range - ${problems.join('; ')}`);
+        }
+        return problems;
+    }
+
+    handleReadingUpdate(data) {
+        if (!this.store.settings.protectionEnabled) {
+            return;
+        }
+
+        this.lastValues[data.type] = data.value;
+        this.evaluate(data.type, data.value, Date.now());
+    }
+
+    evaluate(reading, value, now) {
+        const warnings = [];
+
+        for (const rule of this.getRules()) {
+            const state = this.ruleState[rule.id] || (this.ruleState[rule.id] = { since: null, level: 'ok' });
+
+            if (rule.reading === reading) {
+                if (rule.trip !== null && value > rule.trip) {
+                    if (state.since === null) {
+                        state.since = now;
+                    }
+                    state.level = now - state.since >= rule.delay ? 'trip' : 'warning';
+                } else {
+                    state.since = null;
+                    state.level = rule.warn !== null && value > rule.warn ? 'warning' : 'ok';
+                }
+
+                if (state.level === 'trip') {
+                    this.trip(rule, value, now);
+                }
+            }
+
+            if (state.level === 'warning') {
+                const last = this.lastValues[rule.reading];
+                warnings.push({
+                    id: rule.id,
+                    label: rule.label,
+                    reading: rule.reading,
+                    value: last,
+                    threshold: rule.trip !== null && last > rule.trip ? rule.trip : rule.warn,
+                    unit: rule.unit
+                });
+            }
+        }
+
+        this.publish({ warnings: warnings });
+        this.schedulePending(now);
+    }
+
+    // Re-check each pending trip when its persistence time runs out, using the
+    // last value seen; a fresh reading below the level clears it before then
+    schedulePending(now) {
+        clearTimeout(this.pendingTimer);
+        this.pendingTimer = null;
+
+        let due = null;
+        for (const rule of this.getRules()) {
+            const state = this.ruleState[rule.id];
+            if (state && state.since !== null && state.level !== 'trip') {
+                const at = state.since + rule.delay;
+                due = due === null ? at : Math.min(due, at);
+            }
+        }
+        if (due === null) {
+            return;
+        }
+
+        this.pendingTimer = setTimeout(() => {
+            this.pendingTimer = null;
+            this.checkPending();
+        }, Math.max(0, due - now));
+    }
+
+    checkPending() {
+        const state = this.store.connectionState;
+        if (!this.store.settings.protectionEnabled || (state !== 'connected' && state !== 'stale')) {
+            return;
+        }
+
+        const now = Date.now();
+        const readings = new Set(this.getRules()
+            .filter((rule) => this.ruleState[rule.id] && this.ruleState[rule.id].since !== null)
+            .map((rule) => rule.reading));
+        for (const reading of readings) {
+            if (this.lastValues[reading] !== undefined) {
+                this.evaluate(reading, this.lastValues[reading], now);
+            }
+        }
+    }
+
+    trip(rule, value, now) {
+        // A latched fault stays the first cause until acknowledged
+        if (this.store.protectionState.fault) {
+            return;
+        }
+
+        const fault = {
+            id: rule.id,
+            label: rule.label,
+            reading: rule.reading,
+            value: value,
+            threshold: rule.trip,
+            unit: rule.unit,
+            at: now,
+            message: `${rule.label}: ${value} ${rule.unit} above ${rule.trip} ${rule.unit} for ${rule.delay} ms`
+        };
+
+        console.error(`Protection trip - ${fault.message}`);
+        this.publish({ fault: fault });
+        this.store.setError(`Protection trip - ${fault.message}`);
+
+        if (this.onTrip) {
+            this.onTrip(fault);
+        }
+    }
+
+    isTripped() {
+        return this.store.protectionState.fault !== null;
+    }
+
+    // Clearing the latch requires the tripping condition to be gone
+    acknowledge() {
+        const fault = this.store.protectionState.fault;
+        if (!fault) {
+            return;
+        }
+
+        const rule = this.getRules().find((candidate) => candidate.id === fault.id);
+        const value = this.lastValues[fault.reading];
+        if (rule && rule.trip !== null && value !== undefined && value > rule.trip) {
+            throw new Error(`${fault.label} still active (${value} ${fault.unit}), cannot acknowledge`);
+        }
+
+        console.log(`Protection fault acknowledged: ${fault.message}`);
+        clearTimeout(this.pendingTimer);
+        this.pendingTimer = null;
+        this.ruleState = {};
+        this.publish({ fault: null });
+    }
+
+    // Forget readings from a previous connection; a latched fault survives a reconnect
+    reset() {
+        clearTimeout(this.pendingTimer);
+        this.pendingTimer = null;
+        this.ruleState = {};
+        this.lastValues = {};
+        this.publish({ warnings: [] });
+    }
+
+    publish(changes) {
+        const state = { ...this.store.protectionState, ...changes };
+        state.status = state.fault ? 'tripped' : (state.warnings.length > 0 ? 'warning' : 'ok');
+
+        // Most readings change nothing; avoid a stateChange for those
+        if (JSON.stringify(state) !== JSON.stringify(this.store.protectionState)) {
+            this.store.setProtectionState(state);
+        }
+    }
+}
+
+// Export for use in other modules
+if (typeof window !== 'undefined') {
+    window.ProtectionMonitor = ProtectionMonitor;
+}
+
+// CommonJS export for Node (headless harness)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ProtectionMonitor;
+}
\ No newline at end of file
@@ -0,0 +1,227 @@
+class RampEngine {
+    constructor(store, txScheduler = null) {
+        this.store = store;
+        this.txScheduler = txScheduler;
+        this.timerId = null;
+
+        // Active ramps per channel, null when idle
+        this.ramps = {
+            voltage: null,
+            current: null
+        };
+    }
+
+    setScheduler(txScheduler) {
+        this.txScheduler = txScheduler;
+        if (!txScheduler) {
+            this.abort();
+        }
+    }
+
+    // Rates come from settings (units per second); 0 disables ramping for that direction
+    getRate(type, rising) {
+        const settings = this.store.settings;
+        if (type === 'voltage') {
+            return rising ? settings.voltageRampUp : settings.voltageRampDown;
+        }
+        return rising ? settings.currentRampUp : settings.currentRampDown;
+    }
+
+    // Start (or retarget) a ramp. Returns a promise resolving to true when the
+    // target is reached and false when the ramp is aborted or superseded.
+    // rateOverride replaces the configured rate (0 sends the setpoint directly).
+    startRamp(type, target, rateOverride = null) {
+        if (type !== 'voltage' && type !== 'current') {
+            throw new Error(`Unknown ramp channel: ${type}`);
+        }
+
+        // Profile range and the operator's maxVoltage / maxCurrent cap
+        const validation = this.store.validateSetpoint(type, target);
+        if (!validation.valid) {
+            throw new Error(validation.error);
+        }
+
+        if (!this.txScheduler) {
+            throw new Error('Not connected to device');
+        }
+
+        // A new request for the same channel replaces the running ramp
+        this.finishRamp(type, false);
+
+        const from = this.getStartValue(type);
+        const rising = target > from;
+        const rate = rateOverride !== null ? rateOverride : this.getRate(type, rising);
+
+        // No ramp configured, or nothing to do: send the setpoint directly
+        if (!rate || rate <= 0 || from === target) {
+            this.applySetpoint(type, target);
+            return Promise.resolve(true);
+        }
+
+        return new Promise((resolve) => {
+            this.ramps[type] = {
+                from: from,
+                target: target,
+                rate: rate,
+                direction: rising ? 1 : -1,
+                position: from,
+                lastSent: from,
+                lastStepAt: Date.now(),
+                startedAt: Date.now(),
+                resolve: resolve
+            };
+
+            console.log(`Ramping ${type} ${from} → ${target} at ${rate}/s`);
+            this.publish(type);
+            this.ensureTimer();
+        });
+    }
+
+    // Where the output is now: the last acknowledged value, else (voltage only;
+    // the current reading is the load, not the limit) the latest reading, else 0.
+    // Never the stored setpoint, which can outlive a reset the device has done.
+    getStartValue(type) {
+        const acked = type === 'voltage' ? this.store.voltageAcked : this.store.currentAcked;
+        if (acked !== null) {
+            return acked;
+        }
+        if (type === 'voltage' && this.store.actualVoltage !== null) {
+            return DeviceProfiles.quantize(this.store.profile, 'voltage', this.store.actualVoltage);
+        }
+        return 0;
+    }
+
+    ensureTimer() {
+        if (this.timerId) {
+            return;
+        }
+
+        this.timerId = setInterval(() => {
+            this.step();
+        }, this.store.settings.rampStepInterval);
+    }
+
+    stopTimer() {
+        if (this.timerId) {
+            clearInterval(this.timerId);
+            this.timerId = null;
+        }
+    }
+
+    step() {
+        const now = Date.now();
+
+        for (const type of Object.keys(this.ramps)) {
+            const ramp = this.ramps[type];
+            if (!ramp) {
+                continue;
+            }
+
+            // Hold the ramp until the previous step has been acknowledged, so the
+            // device never sees more than one step at a time
+            const pending = type === 'voltage' ? this.store.pendingVoltageSet : this.store.pendingCurrentSet;
+            if (pending) {
+                ramp.lastStepAt = now;
+                continue;
+            }
+
+            const elapsed = Math.min(now - ramp.lastStepAt, this.store.settings.rampStepInterval * 2);
+            ramp.lastStepAt = now;
+            ramp.position += ramp.direction * ramp.rate * elapsed / 1000;
+
+            const reached = ramp.direction > 0 ? ramp.position >= ramp.target : ramp.position <= ramp.target;
+            const value = reached
+                ? ramp.target
+                : DeviceProfiles.quantize(this.store.profile, type, ramp.position);
+
+            if (value !== ramp.lastSent) {
+                try {
+                    this.applySetpoint(type, value);
+                    ramp.lastSent = value;
+                } catch (error) {
+                    console.error(`Ramp step failed for ${type}:`, error);
+                    this.store.setError(`Ramp aborted: ${error.message}`);
+                    this.finishRamp(type, false);
+                    continue;
+                }
+            }
+
+            if (reached) {
+                this.finishRamp(type, true);
+            } else {
+                this.publish(type);
+            }
+        }
+
+        if (!this.ramps.voltage && !this.ramps.current) {
+            this.stopTimer();
+        }
+    }
+
+    applySetpoint(type, value) {
+        if (type === 'voltage') {
+            this.store.setVoltageSetpoint(value);
+            this.txScheduler.setVoltage(value);
+        } else {
+            this.store.setCurrentSetpoint(value);
+            this.txScheduler.setCurrent(value);
+        }
+    }
+
+    finishRamp(type, completed) {
+        const ramp = this.ramps[type];
+        if (!ramp) {
+            return;
+        }
+
+        this.ramps[type] = null;
+        this.store.setRampState(type, null);
+        ramp.resolve(completed);
+
+        if (!completed) {
+            console.log(`Ramp ${type} stopped at ${ramp.lastSent}`);
+        }
+    }
+
+    // Stop ramps immediately, leaving the last sent setpoint in place (used by E-STOP)
+    abort(type = null) {
+        const types = type ? [type] : Object.keys(this.ramps);
+        for (const rampType of types) {
+            this.finishRamp(rampType, false);
+        }
+
+        if (!this.ramps.voltage && !this.ramps.current) {
+            this.stopTimer();
+        }
+    }
+
+    isRamping(type = null) {
+        if (type) {
+            return this.ramps[type] !== null;
+        }
+        return this.ramps.voltage !== null || this.ramps.current !== null;
+    }
+
+    publish(type) {
+        const ramp = this.ramps[type];
+        const span = Math.abs(ramp.target - ramp.from);
+
+        this.store.setRampState(type, {
+            from: ramp.from,
+            target: ramp.target,
+            value: ramp.lastSent,
+            rate: ramp.rate,
+            progress: span > 0 ? Math.min(1, Math.abs(ramp.lastSent - ramp.from) / span) : 1
+        });
+    }
+}
+
+// Export for use in other modules
+if (typeof window !== 'undefined') {
+    window.RampEngine = RampEngine;
+}
+
+// CommonJS export for Node (headless harness)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = RampEngine;
+}
\ No newline at end of file
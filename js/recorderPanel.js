@@ -0,0 +1,146 @@
+class RecorderPanel {
+    constructor(store) {
+        this.store = store;
+        this.elements = {};
+        this.isInitialized = false;
+
+        this.store.addEventListener('stateChange', this.handleStateChange.bind(this));
+    }
+
+    initialize() {
+        if (this.isInitialized) {
+            return;
+        }
+
+        this.elements = {
+            recordName: document.getElementById('recordName'),
+            btnRecord: document.getElementById('btnRecord'),
+            chkAutoRecord: document.getElementById('chkAutoRecord'),
+            selSession: document.getElementById('selSession'),
+            btnExportCsv: document.getElementById('btnExportCsv'),
+            btnExportJsonl: document.getElementById('btnExportJsonl'),
+            btnSessionDelete: document.getElementById('btnSessionDelete'),
+            recorderStatus: document.getElementById('recorderStatus')
+        };
+
+        const missingElements = Object.keys(this.elements).filter((key) => !this.elements[key]);
+        if (missingElements.length > 0) {
+            throw new Error(`Missing DOM elements: ${missingElements.join(', ')}`);
+        }
+
+        this.setupEventListeners();
+        this.elements.chkAutoRecord.checked = this.store.settings.autoRecord;
+        this.updateSessionList();
+        this.updateControls();
+        this.isInitialized = true;
+    }
+
+    setupEventListeners() {
+        this.elements.btnRecord.addEventListener('click', () => {
+            if (this.store.recorderState.recording) {
+                this.dispatch('recording-stop-request');
+            } else {
+                this.dispatch('recording-start-request', {
+                    name: this.elements.recordName.value.trim()
+                });
+            }
+        });
+
+        this.elements.chkAutoRecord.addEventListener('change', () => {
+            this.store.updateSetting('autoRecord', this.elements.chkAutoRecord.checked);
+        });
+
+        this.elements.selSession.addEventListener('change', () => {
+            this.updateControls();
+        });
+
+        this.elements.btnExportCsv.addEventListener('click', () => {
+            this.requestExport('csv');
+        });
+
+        this.elements.btnExportJsonl.addEventListener('click', () => {
+            this.requestExport('jsonl');
+        });
+
+        this.elements.btnSessionDelete.addEventListener('click', () => {
+            const session = this.getSelectedSession();
+            if (session && confirm(`Delete recording "${session.name}"?`)) {
+                this.dispatch('recording-delete-request', { sessionId: session.id });
+            }
+        });
+    }
+
+    dispatch(type, detail = {}) {
+        document.dispatchEvent(new CustomEvent(type, { detail: detail }));
+    }
+
+    requestExport(format) {
+        const session = this.getSelectedSession();
+        if (session) {
+            this.dispatch('recording-export-request', { sessionId: session.id, format: format });
+        }
+    }
+
+    getSelectedSession() {
+        const id = parseInt(this.elements.selSession.value, 10);
+        return this.store.recorderState.sessions.find((session) => session.id === id) || null;
+    }
+
+    handleStateChange(data) {
+        if (!this.isInitialized) {
+            return;
+        }
+
+        if (data.changes.recorderState !== undefined) {
+            const oldSessions = data.oldState.recorderState.sessions;
+            if (oldSessions !== this.store.recorderState.sessions) {
+                this.updateSessionList();
+            }
+            this.updateControls();
+        }
+    }
+
+    updateSessionList() {
+        const select = this.elements.selSession;
+        const selected = select.value;
+        select.innerHTML = '';
+
+        for (const session of this.store.recorderState.sessions) {
+            const option = document.createElement('option');
+            option.value = session.id;
+            const started = new Date(session.startedAt).toLocaleString();
+            option.textContent = `${session.name} (${started}, ${session.sampleCount} samples)`;
+            select.appendChild(option);
+        }
+
+        if (selected && this.getSelectedSession()) {
+            select.value = selected;
+        }
+    }
+
+    updateControls() {
+        const state = this.store.recorderState;
+        const session = this.getSelectedSession();
+
+        this.elements.btnRecord.textContent = state.recording ? 'Stop Recording' : 'Start Recording';
+        this.elements.btnRecord.classList.toggle('recording', state.recording);
+        this.elements.recordName.disabled = state.recording;
+        this.elements.btnExportCsv.disabled = !session;
+        this.elements.btnExportJsonl.disabled = !session;
+        this.elements.btnSessionDelete.disabled = !session || session.id === state.sessionId;
+
+        this.elements.recorderStatus.textContent = state.recording
+            ? `Recording "${state.sessionName}" - ${state.sampleCount} samples written`
+            : 'Not recording';
+    }
+}
+
+// Export for use in other modules
+if (typeof window !== 'undefined') {
+    window.RecorderPanel = RecorderPanel;
+}
+
+// CommonJS export for Node (headless harness)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = RecorderPanel;
+}
\ No newline at end of file
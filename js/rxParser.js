@@ -1,5 +1,7 @@
 class RxParser {
-    constructor() {
+    // profile: the device's profile to parse with; null uses the default profile
+    constructor(profile = null) {
+        this.profile = profile;
         this.onTemperatureUpdate = null;
         this.onVoltageUpdate = null;
         this.onCurrentUpdate = null;
@@ -15,10 +17,23 @@ class RxParser {
             validMessages: 0,
             parseErrors: 0,
             lastErrorTime: null,
-            lastErrorToken: null
+            lastErrorToken: null,
+            framingErrors: 0, // reported by SerialService's TokenFramer
+            bytesDiscarded: 0,
+            framingReasons: {},
+            lastFramingError: null
         };
     }
 
+    // Set again when the device's profile changes (only while disconnected)
+    setProfile(profile) {
+        this.profile = profile;
+    }
+
+    getProfile() {
+        return this.profile || DeviceProfiles.getDefault();
+    }
+
     parseToken(token) {
         if (!token || typeof token !== 'string') {
             this.handleParseError('Invalid token format', token);
@@ -28,72 +43,43 @@ class RxParser {
         this.stats.totalMessages++;
 
         try {
-            // Temperature reading: S_Tnnn
-            const tempMatch = token.match(/^S_T(\d{3})$/);
-            if (tempMatch) {
-                const temperature = parseInt(tempMatch[1], 10);
-                this.stats.validMessages++;
-                this.notifyTemperatureUpdate(temperature);
-                return true;
+            // Token grammar and scaling come from the device profile
+            const match = DeviceProfiles.matchToken(this.getProfile(), token);
+            if (!match) {
+                this.handleParseError('Unknown token format', token);
+                return false;
             }
 
-            // Voltage reading: S_Vnnn
-            const voltageMatch = token.match(/^S_V(\d{3})$/);
-            if (voltageMatch) {
-                const voltageRaw = parseInt(voltageMatch[1], 10);
-                const voltage = voltageRaw / 10.0; // Convert from decivolts to volts
-                this.stats.validMessages++;
-                this.notifyVoltageUpdate(voltage);
-                return true;
+            this.stats.validMessages++;
+
+            switch (match.type) {
+                case 'reading':
+                    if (match.channel === 'temperature') {
+                        this.notifyTemperatureUpdate(match.value);
+                    } else if (match.channel === 'voltage') {
+                        this.notifyVoltageUpdate(match.value);
+                    } else if (match.channel === 'current') {
+                        this.notifyCurrentUpdate(match.value);
+                    }
+                    break;
+
+                case 'ack':
+                    if (match.channel === 'voltage') {
+                        this.notifyVoltageAck(match.value);
+                    } else if (match.channel === 'current') {
+                        this.notifyCurrentAck(match.value);
+                    }
+                    break;
+
+                case 'resetAck':
+                    this.notifyResetAck();
+                    break;
+
+                case 'heartbeat':
+                    this.notifyHeartbeat();
+                    break;
             }
-
-            // Current reading: S_Annn
-            const currentMatch = token.match(/^S_A(\d{3})$/);
-            if (currentMatch) {
-                const currentRaw = parseInt(currentMatch[1], 10);
-                const current = currentRaw / 10.0; // Convert from deciamps to amps
-                this.stats.validMessages++;
-                this.notifyCurrentUpdate(current);
-                return true;
-            }
-
-            // Voltage setpoint acknowledgment: X_Vnnn
-            const voltageAckMatch = token.match(/^X_V(\d{3})$/);
-            if (voltageAckMatch) {
-                const voltageRaw = parseInt(voltageAckMatch[1], 10);
-                const voltage = voltageRaw / 10.0;
-                this.stats.validMessages++;
-                this.notifyVoltageAck(voltage);
-                return true;
-            }
-
-            // Current setpoint acknowledgment: X_Annn
-            const currentAckMatch = token.match(/^X_A(\d{3})$/);
-            if (currentAckMatch) {
-                const currentRaw = parseInt(currentAckMatch[1], 10);
-                const current = currentRaw / 10.0;
-                this.stats.validMessages++;
-                this.notifyCurrentAck(current);
-                return true;
-            }
-
-            // Reset acknowledgment: E_RST
-            if (token === 'E_RST') {
-                this.stats.validMessages++;
-                this.notifyResetAck();
-                return true;
-            }
-
-            // Heartbeat/banner: LIVE
-            if (token === 'LIVE') {
-                this.stats.validMessages++;
-                this.notifyHeartbeat();
-                return true;
-            }
-
-            // Unknown token
-            this.handleParseError('Unknown token format', token);
-            return false;
+            return true;
 
         } catch (error) {
             this.handleParseError(`Parse exception: ${error.message}`, token);
@@ -113,6 +99,15 @@ class RxParser {
         }
     }
 
+    // Bytes the framer threw away never reach parseToken; count them here so
+    // a noisy line shows up next to the parse errors
+    recordFramingError(error) {
+        this.stats.framingErrors++;
+        this.stats.bytesDiscarded += error.discarded;
+        this.stats.framingReasons[error.reason] = (this.stats.framingReasons[error.reason] || 0) + 1;
+        this.stats.lastFramingError = { ...error, at: Date.now() };
+    }
+
     // Notification methods
     notifyTemperatureUpdate(temperature) {
         if (this.onTemperatureUpdate) {
@@ -156,54 +151,50 @@ class RxParser {
         }
     }
 
-    // Utility methods for formatting outgoing commands
-    static formatVoltageCommand(voltage) {
-        // Convert voltage to decivolts and format as 3-digit zero-padded string
-        const decivolts = Math.round(voltage * 10);
-        const clampedDecivolts = Math.max(0, Math.min(999, decivolts));
-        return `XV${clampedDecivolts.toString().padStart(3, '0')}`;
+    // Utility methods for formatting outgoing commands (default: active device profile)
+    static formatVoltageCommand(voltage, profile = DeviceProfiles.getDefault()) {
+        return DeviceProfiles.formatCommand(profile, 'voltage', voltage);
     }
 
-    static formatCurrentCommand(current) {
-        // Convert current to deciamps and format as 3-digit zero-padded string
-        const deciamps = Math.round(current * 10);
-        const clampedDeciamps = Math.max(0, Math.min(999, deciamps));
-        return `XA${clampedDeciamps.toString().padStart(3, '0')}`;
+    static formatCurrentCommand(current, profile = DeviceProfiles.getDefault()) {
+        return DeviceProfiles.formatCommand(profile, 'current', current);
     }
 
-    static formatTemperaturePoll() {
-        return 'XTMP';
+    static formatTemperaturePoll(profile = DeviceProfiles.getDefault()) {
+        return profile.channels.temperature.poll;
     }
 
-    static formatVoltagePoll() {
-        return 'XV';
+    static formatVoltagePoll(profile = DeviceProfiles.getDefault()) {
+        return profile.channels.voltage.poll;
     }
 
-    static formatCurrentPoll() {
-        return 'XA';
+    static formatCurrentPoll(profile = DeviceProfiles.getDefault()) {
+        return profile.channels.current.poll;
     }
 
-    static formatResetCommand() {
-        return 'ERST';
+    static formatResetCommand(profile = DeviceProfiles.getDefault()) {
+        return profile.commands.reset;
     }
 
     // Validation methods
-    static validateVoltage(voltage) {
-        if (typeof voltage !== 'number' || isNaN(voltage)) {
-            return { valid: false, error: 'Voltage must be a number' };
-        }
-        if (voltage < 0 || voltage > 120) {
-            return { valid: false, error: 'Voltage must be between 0 and 120 kV' };
-        }
-        return { valid: true };
+    static validateVoltage(voltage, profile = DeviceProfiles.getDefault()) {
+        return RxParser.validateChannel('voltage', voltage, profile);
+    }
+
+    static validateCurrent(current, profile = DeviceProfiles.getDefault()) {
+        return RxParser.validateChannel('current', current, profile);
     }
 
-    static validateCurrent(current) {
-        if (typeof current !== 'number' || isNaN(current)) {
-            return { valid: false, error: 'Current must be a number' };
+    static validateChannel(channel, value, profile = DeviceProfiles.getDefault()) {
+        const definition = DeviceProfiles.getChannel(profile, channel);
+        if (typeof value !== 'number' || isNaN(value)) {
+            return { valid: false, error: `${definition.label} must be a number` };
         }
-        if (current < 0 || current > 10) {
-            return { valid: false, error: 'Current must be between 0 and 10 mA' };
+        if (value < definition.min || value > definition.max) {
+            return {
+                valid: false,
+                error: `${definition.label} must be between ${definition.min} and ${definition.max} ${definition.unit}`
+            };
         }
         return { valid: true };
     }
@@ -212,6 +203,7 @@ class RxParser {
     getStats() {
         return {
             ...this.stats,
+            framingReasons: { ...this.stats.framingReasons },
             successRate: this.stats.totalMessages > 0 
                 ? (this.stats.validMessages / this.stats.totalMessages * 100).toFixed(1) + '%' 
                 : '0%'
@@ -224,13 +216,17 @@ class RxParser {
             validMessages: 0,
             parseErrors: 0,
             lastErrorTime: null,
-            lastErrorToken: null
+            lastErrorToken: null,
+            framingErrors: 0, // reported by SerialService's TokenFramer
+            bytesDiscarded: 0,
+            framingReasons: {},
+            lastFramingError: null
         };
     }
 
     // Test methods for validation
     static runSelfTest() {
-        const parser = new RxParser();
+        const parser = new RxParser(DeviceProfiles.get(DeviceProfiles.DEFAULT_ID));
         const results = [];
 
         // Test cases
@@ -286,4 +282,9 @@ class RxParser {
 // Export for use in other modules
 if (typeof window !== 'undefined') {
     window.RxParser = RxParser;
+}
+
+// CommonJS export for Node (headless harness)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = RxParser;
 }
\ No newline at end of file
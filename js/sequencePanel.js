@@ -0,0 +1,248 @@
+class SequencePanel {
+    constructor(store) {
+        this.store = store;
+        this.elements = {};
+        this.isInitialized = false;
+        this.renderedPath = null;
+
+        this.store.addEventListener('stateChange', this.handleStateChange.bind(this));
+    }
+
+    static get EXAMPLE_RECIPE() {
+        return {
+            name: 'Daily conditioning',
+            steps: [
+                { type: 'reset' },
+                { type: 'set', current: 1.0 },
+                { type: 'ramp', voltage: 20.0 },
+                { type: 'wait', seconds: 30 },
+                { type: 'waitUntil', reading: 'current', op: 'settled', tolerance: 0.1, holdSeconds: 5, timeoutSeconds: 120 },
+                { type: 'ramp', voltage: 40.0, rate: 2 },
+                { type: 'wait', seconds: 30 }
+            ],
+            safeExit: [
+                { type: 'ramp', voltage: 0 }
+            ]
+        };
+    }
+
+    initialize() {
+        if (this.isInitialized) {
+            return;
+        }
+
+        this.elements = {
+            selRecipe: document.getElementById('selRecipe'),
+            btnRecipeSave: document.getElementById('btnRecipeSave'),
+            btnRecipeDelete: document.getElementById('btnRecipeDelete'),
+            recipeEditor: document.getElementById('recipeEditor'),
+            btnSeqRun: document.getElementById('btnSeqRun'),
+            btnSeqPause: document.getElementById('btnSeqPause'),
+            btnSeqAbort: document.getElementById('btnSeqAbort'),
+            sequenceStatus: document.getElementById('sequenceStatus'),
+            sequenceSteps: document.getElementById('sequenceSteps')
+        };
+
+        const missingElements = Object.keys(this.elements).filter((key) => !this.elements[key]);
+        if (missingElements.length > 0) {
+            throw new Error(`Missing DOM elements: ${missingElements.join(', ')}`);
+        }
+
+        this.setupEventListeners();
+        this.updateRecipeList();
+
+        // Start from the first saved recipe, or an example to edit
+        const names = Object.keys(this.store.recipes);
+        this.showRecipe(names.length > 0 ? this.store.recipes[names[0]] : SequencePanel.EXAMPLE_RECIPE);
+
+        this.updateControls();
+        this.isInitialized = true;
+    }
+
+    setupEventListeners() {
+        this.elements.selRecipe.addEventListener('change', () => {
+            const recipe = this.store.recipes[this.elements.selRecipe.value];
+            if (recipe) {
+                this.showRecipe(recipe);
+            }
+        });
+
+        this.elements.recipeEditor.addEventListener('input', () => {
+            this.renderSteps();
+        });
+
+        this.elements.btnRecipeSave.addEventListener('click', () => {
+            const recipe = this.parseEditor();
+            if (recipe) {
+                this.dispatch('recipe-save-request', { recipe: recipe });
+            }
+        });
+
+        this.elements.btnRecipeDelete.addEventListener('click', () => {
+            const name = this.elements.selRecipe.value;
+            if (name && confirm(`Delete recipe "${name}"?`)) {
+                this.dispatch('recipe-delete-request', { name: name });
+            }
+        });
+
+        this.elements.btnSeqRun.addEventListener('click', () => {
+            const recipe = this.parseEditor();
+            if (recipe) {
+                this.dispatch('sequence-run-request', { recipe: recipe });
+            }
+        });
+
+        this.elements.btnSeqPause.addEventListener('click', () => {
+            const paused = this.store.sequenceState.status === 'paused';
+            this.dispatch(paused ? 'sequence-resume-request' : 'sequence-pause-request');
+        });
+
+        this.elements.btnSeqAbort.addEventListener('click', () => {
+            this.dispatch('sequence-abort-request');
+        });
+    }
+
+    dispatch(type, detail = {}) {
+        document.dispatchEvent(new CustomEvent(type, { detail: detail }));
+    }
+
+    handleStateChange(data) {
+        if (!this.isInitialized) {
+            return;
+        }
+
+        if (data.changes.recipes !== undefined) {
+            this.updateRecipeList();
+        }
+        if (data.changes.sequenceState !== undefined || data.changes.connectionState !== undefined) {
+            this.updateControls();
+            this.highlightStep();
+        }
+    }
+
+    parseEditor() {
+        let recipe;
+        try {
+            recipe = JSON.parse(this.elements.recipeEditor.value);
+        } catch (error) {
+            this.showStatus(`Recipe is not valid JSON: ${error.message}`, true);
+            return null;
+        }
+
+        const errors = SequenceRunner.validateRecipe(recipe);
+        if (errors.length > 0) {
+            this.showStatus(errors.join('; '), true);
+            return null;
+        }
+        return recipe;
+    }
+
+    showRecipe(recipe) {
+        this.elements.recipeEditor.value = JSON.stringify(recipe, null, 2);
+        this.renderSteps();
+    }
+
+    updateRecipeList() {
+        const select = this.elements.selRecipe;
+        const selected = select.value;
+        select.innerHTML = '';
+
+        for (const name of Object.keys(this.store.recipes)) {
+            const option = document.createElement('option');
+            option.value = name;
+            option.textContent = name;
+            select.appendChild(option);
+        }
+
+        if (selected && this.store.recipes[selected]) {
+            select.value = selected;
+        }
+        this.elements.btnRecipeDelete.disabled = select.options.length === 0;
+    }
+
+    // Step list mirrors the recipe tree; each item carries the path the runner reports
+    renderSteps() {
+        const list = this.elements.sequenceSteps;
+        list.innerHTML = '';
+
+        let recipe;
+        try {
+            recipe = JSON.parse(this.elements.recipeEditor.value);
+        } catch (error) {
+            return;
+        }
+
+        if (Array.isArray(recipe.steps)) {
+            this.appendSteps(list, recipe.steps, 'steps');
+        }
+        if (Array.isArray(recipe.safeExit)) {
+            const heading = document.createElement('li');
+            heading.className = 'sequence-heading';
+            heading.textContent = 'Safe exit';
+            list.appendChild(heading);
+            this.appendSteps(list, recipe.safeExit, 'safeExit');
+        }
+
+        this.highlightStep();
+    }
+
+    appendSteps(list, steps, path) {
+        steps.forEach((step, index) => {
+            const stepPath = `${path}.${index}`;
+            const item = document.createElement('li');
+            item.dataset.path = stepPath;
+            item.textContent = step && step.type ? SequenceRunner.describeStep(step) : '(invalid step)';
+            list.appendChild(item);
+
+            if (step && step.type === 'loop' && Array.isArray(step.steps)) {
+                const nested = document.createElement('ol');
+                this.appendSteps(nested, step.steps, `${stepPath}.steps`);
+                item.appendChild(nested);
+            }
+        });
+    }
+
+    highlightStep() {
+        const stepPath = this.store.sequenceState.stepPath;
+        const items = this.elements.sequenceSteps.querySelectorAll('li[data-path]');
+        items.forEach((item) => {
+            item.classList.toggle('active', item.dataset.path === stepPath);
+        });
+    }
+
+    updateControls() {
+        const state = this.store.sequenceState;
+        const active = ['running', 'paused', 'aborting', 'safe-exit'].includes(state.status);
+        const connected = this.store.connectionState === 'connected';
+
+        this.elements.btnSeqRun.disabled = active || !connected;
+        this.elements.btnSeqPause.disabled = !(state.status === 'running' || state.status === 'paused');
+        this.elements.btnSeqPause.textContent = state.status === 'paused' ? 'Resume' : 'Pause';
+        this.elements.btnSeqAbort.disabled = !active;
+        this.elements.recipeEditor.readOnly = active;
+        this.elements.selRecipe.disabled = active;
+
+        if (state.status === 'idle') {
+            this.showStatus('');
+        } else {
+            const label = state.name ? `${state.name}: ` : '';
+            this.showStatus(`${label}${state.status}${state.message ? ` - ${state.message}` : ''}`,
+                state.status === 'failed' || state.status === 'aborted');
+        }
+    }
+
+    showStatus(message, isError = false) {
+        this.elements.sequenceStatus.textContent = message;
+        this.elements.sequenceStatus.classList.toggle('error', isError);
+    }
+}
+
+// Export for use in other modules
+if (typeof window !== 'undefined') {
+    window.SequencePanel = SequencePanel;
+}
+
+// CommonJS export for Node (headless harness)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = SequencePanel;
+}
\ No newline at end of file
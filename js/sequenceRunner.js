@@ -0,0 +1,500 @@
+// Thrown inside the runner to unwind the step stack on abort or link loss
+class SequenceAbort extends Error {
+    constructor(reason) {
+        super(reason);
+        this.name = 'SequenceAbort';
+    }
+}
+
+class SequenceRunner {
+    constructor(app) {
+        this.app = app;
+        this.store = app.store;
+
+        this.recipe = null;
+        this.isRunning = false;
+        this.isPaused = false;
+        this.abortReason = null;
+        this.inSafeExit = false;
+        this.resetIssued = false; // an ERST went out for this abort; safe-exit must not raise the output
+        this.staleSince = 0;
+
+        this.store.addEventListener('connectionChange', this.handleConnectionChange.bind(this));
+    }
+
+    static get STEP_TYPES() {
+        return ['reset', 'set', 'ramp', 'wait', 'waitUntil', 'loop'];
+    }
+
+    // Returns a list of problems; an empty list means the recipe can run
+    static validateRecipe(recipe) {
+        const errors = [];
+
+        if (!recipe || typeof recipe !== 'object') {
+            return ['Recipe must be a JSON object'];
+        }
+        if (!recipe.name || typeof recipe.name !== 'string') {
+            errors.push('Recipe needs a "name"');
+        }
+        if (!Array.isArray(recipe.steps) || recipe.steps.length === 0) {
+            errors.push('Recipe needs a non-empty "steps" array');
+        } else {
+            SequenceRunner.validateSteps(recipe.steps, 'steps', errors);
+        }
+        if (!Array.isArray(recipe.safeExit) || recipe.safeExit.length === 0) {
+            errors.push('Recipe needs a non-empty "safeExit" block');
+        } else {
+            SequenceRunner.validateSteps(recipe.safeExit, 'safeExit', errors);
+        }
+
+        return errors;
+    }
+
+    static validateSteps(steps, path, errors) {
+        steps.forEach((step, index) => {
+            const where = `${path}[${index}]`;
+
+            if (!step || !SequenceRunner.STEP_TYPES.includes(step.type)) {
+                errors.push(`${where}: unknown step type "${step && step.type}"`);
+                return;
+            }
+
+            switch (step.type) {
+                case 'set':
+                case 'ramp':
+                    if (typeof step.voltage !== 'number' && typeof step.current !== 'number') {
+                        errors.push(`${where}: ${step.type} needs "voltage" and/or "current"`);
+                    }
+                    if (step.rate !== undefined && (typeof step.rate !== 'number' || step.rate < 0)) {
+                        errors.push(`${where}: "rate" must be a positive number`);
+                    }
+                    break;
+
+                case 'wait':
+                    if (typeof step.seconds !== 'number' || step.seconds < 0) {
+                        errors.push(`${where}: wait needs "seconds"`);
+                    }
+                    break;
+
+                case 'waitUntil':
+                    if (!['voltage', 'current', 'temperature'].includes(step.reading)) {
+                        errors.push(`${where}: waitUntil "reading" must be voltage, current or temperature`);
+                    }
+                    if (!['<', '<=', '>', '>=', 'within', 'settled'].includes(step.op)) {
+                        errors.push(`${where}: waitUntil "op" must be <, <=, >, >=, within or settled`);
+                    }
+                    if (step.op !== 'settled' && typeof step.value !== 'number') {
+                        errors.push(`${where}: waitUntil needs a numeric "value"`);
+                    }
+                    if ((step.op === 'within' || step.op === 'settled') && typeof step.tolerance !== 'number') {
+                        errors.push(`${where}: "${step.op}" needs a "tolerance"`);
+                    }
+                    if (typeof step.timeoutSeconds !== 'number' || step.timeoutSeconds <= 0) {
+                        errors.push(`${where}: waitUntil needs "timeoutSeconds"`);
+                    }
+                    break;
+
+                case 'loop':
+                    if (!Number.isInteger(step.count) || step.count < 1) {
+                        errors.push(`${where}: loop needs an integer "count" >= 1`);
+                    }
+                    if (!Array.isArray(step.steps) || step.steps.length === 0) {
+                        errors.push(`${where}: loop needs nested "steps"`);
+                    } else {
+                        SequenceRunner.validateSteps(step.steps, `${where}.steps`, errors);
+                    }
+                    break;
+            }
+        });
+    }
+
+    // Human readable one-liner for the step list
+    static describeStep(step) {
+        switch (step.type) {
+            case 'reset':
+                return 'Reset (ERST)';
+            case 'set':
+            case 'ramp': {
+                const parts = [];
+                if (typeof step.voltage === 'number') parts.push(`V=${step.voltage}`);
+                if (typeof step.current === 'number') parts.push(`I=${step.current}`);
+                const rate = step.rate !== undefined ? ` @ ${step.rate}/s` : '';
+                return `${step.type === 'set' ? 'Set' : 'Ramp'} ${parts.join(', ')}${rate}`;
+            }
+            case 'wait':
+                return `Wait ${step.seconds} s`;
+            case 'waitUntil': {
+                const target = step.op === 'settled'
+                    ? `settled ±${step.tolerance}`
+                    : step.op === 'within'
+                        ? `within ${step.value} ±${step.tolerance}`
+                        : `${step.op} ${step.value}`;
+                const hold = step.holdSeconds ? ` for ${step.holdSeconds} s` : '';
+                return `Wait until ${step.reading} ${target}${hold} (timeout ${step.timeoutSeconds} s)`;
+            }
+            case 'loop':
+                return `Loop ×${step.count}`;
+            default:
+                return step.type;
+        }
+    }
+
+    async run(recipe) {
+        if (this.isRunning) {
+            throw new Error('A sequence is already running');
+        }
+
+        const errors = SequenceRunner.validateRecipe(recipe);
+        if (errors.length > 0) {
+            throw new Error(`Invalid recipe: ${errors.join('; ')}`);
+        }
+
+        if (!this.app.isConnected) {
+            throw new Error('Not connected to device');
+        }
+
+        this.recipe = recipe;
+        this.isRunning = true;
+        this.isPaused = false;
+        this.abortReason = null;
+        this.inSafeExit = false;
+        this.resetIssued = false;
+        this.publish({ status: 'running', name: recipe.name, stepPath: null, message: '' });
+
+        let outcome = 'completed';
+        let message = '';
+
+        try {
+            await this.runSteps(recipe.steps, 'steps');
+        } catch (error) {
+            if (error instanceof SequenceAbort) {
+                outcome = 'aborted';
+                message = error.message;
+            } else {
+                outcome = 'failed';
+                message = error.message;
+                this.store.setError(`Sequence "${recipe.name}" failed: ${error.message}`);
+            }
+        }
+
+        // An abort resets the supply before anything else; an E-STOP or protection
+        // trip that aborted the run has already sent that reset (HVPSApp.emergencyStop)
+        if (outcome === 'aborted' && this.app.isConnected && !this.resetIssued) {
+            this.app.handleEstopRequest();
+            this.resetIssued = true;
+        }
+
+        await this.runSafeExit();
+
+        this.isRunning = false;
+        this.isPaused = false;
+        this.publish({ status: outcome, stepPath: null, message: message });
+        console.log(`Sequence "${recipe.name}" ${outcome}${message ? `: ${message}` : ''}`);
+        return outcome;
+    }
+
+    async runSafeExit() {
+        if (!this.app.isConnected) {
+            console.warn('Sequence safe-exit skipped: link is down');
+            return;
+        }
+
+        this.inSafeExit = true;
+        this.isPaused = false;
+        this.abortReason = null;
+        this.publish({ status: 'safe-exit' });
+
+        try {
+            await this.runSteps(this.recipe.safeExit, 'safeExit');
+        } catch (error) {
+            console.error('Sequence safe-exit did not complete:', error);
+            this.store.setError(`Sequence safe-exit did not complete: ${error.message}`);
+        } finally {
+            this.inSafeExit = false;
+        }
+    }
+
+    async runSteps(steps, path) {
+        for (let index = 0; index < steps.length; index++) {
+            const step = steps[index];
+            const stepPath = `${path}.${index}`;
+
+            await this.checkpoint();
+            this.publish({ stepPath: stepPath, message: SequenceRunner.describeStep(step) });
+
+            switch (step.type) {
+                case 'reset':
+                    await this.runReset();
+                    break;
+                case 'set':
+                    await this.runSetpoints(step, 0);
+                    break;
+                case 'ramp':
+                    await this.runSetpoints(step, step.rate !== undefined ? step.rate : null);
+                    break;
+                case 'wait':
+                    await this.delay(step.seconds * 1000);
+                    break;
+                case 'waitUntil':
+                    await this.runWaitUntil(step);
+                    break;
+                case 'loop':
+                    for (let pass = 0; pass < step.count; pass++) {
+                        this.publish({ stepPath: stepPath, message: `Loop pass ${pass + 1}/${step.count}` });
+                        await this.runSteps(step.steps, `${stepPath}.steps`);
+                    }
+                    break;
+            }
+        }
+    }
+
+    async runReset() {
+        this.app.handleEstopRequest();
+        if (this.inSafeExit) {
+            this.resetIssued = true;
+        }
+        await this.waitFor(() => this.store.estopState !== 'requested', 5000, 'Reset was not acknowledged');
+
+        if (this.store.estopState === 'failed') {
+            throw new Error('Reset was not acknowledged');
+        }
+    }
+
+    // rate: 0 jumps directly, null uses the configured ramp rates
+    async runSetpoints(step, rate) {
+        for (const type of ['current', 'voltage']) {
+            if (typeof step[type] !== 'number') {
+                continue;
+            }
+
+            // Same latch as the setpoint controls: nothing above 0 while a fault is latched
+            if (step[type] > 0 && this.app.protection.isTripped()) {
+                if (!this.inSafeExit) {
+                    throw new SequenceAbort('Protection fault latched');
+                }
+                console.warn(`Safe-exit ${type} ${step[type]} skipped: protection fault latched`);
+                continue;
+            }
+
+            // After a reset the output is off. Safe-exit may hold it at 0, never raise it
+            // again, and 0 goes out directly: a ramp would step down from the old setpoint.
+            if (this.inSafeExit && this.resetIssued) {
+                if (step[type] > 0) {
+                    console.warn(`Safe-exit ${type} ${step[type]} skipped: the supply was reset`);
+                    continue;
+                }
+                rate = 0;
+            }
+
+            // A paused ramp is stopped and restarted towards the same target on resume
+            let reached = false;
+            while (!reached) {
+                if (!this.app.txScheduler) {
+                    throw new SequenceAbort('Link lost');
+                }
+
+                reached = await this.app.rampEngine.startRamp(type, step[type], rate);
+                if (!reached) {
+                    if (this.abortReason) {
+                        throw new SequenceAbort(this.abortReason);
+                    }
+                    this.checkLink();
+
+                    // Stale data holds the ramp; carry on once readings return
+                    if (this.store.isStale) {
+                        await this.waitFor(() => !this.store.isStale, Infinity, 'Link did not recover');
+                        continue;
+                    }
+                    if (!this.isPaused) {
+                        throw new Error(`${type} ramp was interrupted`);
+                    }
+                    await this.checkpoint();
+                }
+            }
+
+            const pendingKey = type === 'voltage' ? 'pendingVoltageSet' : 'pendingCurrentSet';
+            await this.waitFor(() => !this.store[pendingKey], 5000, `${type} setpoint was not acknowledged`);
+        }
+    }
+
+    async runWaitUntil(step) {
+        const readingKey = {
+            voltage: 'actualVoltage',
+            current: 'actualCurrent',
+            temperature: 'actualTemperature'
+        }[step.reading];
+        const holdMs = (step.holdSeconds || 0) * 1000;
+        const history = [];
+        let satisfiedSince = null;
+
+        const test = () => {
+            const value = this.store[readingKey];
+            if (value === null) {
+                return false;
+            }
+
+            switch (step.op) {
+                case '<': return value < step.value;
+                case '<=': return value <= step.value;
+                case '>': return value > step.value;
+                case '>=': return value >= step.value;
+                case 'within': return Math.abs(value - step.value) <= step.tolerance;
+                case 'settled': {
+                    // Spread of the readings over the hold window stays inside the tolerance
+                    const now = Date.now();
+                    history.push({ t: now, value: value });
+                    while (history.length > 0 && now - history[0].t > Math.max(holdMs, 1000)) {
+                        history.shift();
+                    }
+                    const values = history.map((entry) => entry.value);
+                    return now - history[0].t >= Math.max(holdMs, 1000) * 0.9 &&
+                        Math.max(...values) - Math.min(...values) <= step.tolerance;
+                }
+            }
+            return false;
+        };
+
+        await this.waitFor(() => {
+            if (!test()) {
+                satisfiedSince = null;
+                return false;
+            }
+            if (satisfiedSince === null) {
+                satisfiedSince = Date.now();
+            }
+            return step.op === 'settled' || Date.now() - satisfiedSince >= holdMs;
+        }, step.timeoutSeconds * 1000, `Timed out waiting for ${SequenceRunner.describeStep(step)}`);
+    }
+
+    // Poll a condition while honouring pause/abort; paused time does not count towards the timeout
+    async waitFor(condition, timeoutMs, timeoutMessage) {
+        let remaining = timeoutMs;
+
+        while (!condition()) {
+            if (remaining <= 0) {
+                throw new Error(timeoutMessage);
+            }
+            const started = Date.now();
+            await this.sleep(100);
+            const wasPaused = this.isPaused;
+            await this.checkpoint();
+            if (!wasPaused) {
+                remaining -= Date.now() - started;
+            }
+        }
+    }
+
+    async delay(ms) {
+        let remaining = ms;
+
+        while (remaining > 0) {
+            const started = Date.now();
+            await this.sleep(Math.min(100, remaining));
+            const wasPaused = this.isPaused;
+            await this.checkpoint();
+            if (!wasPaused) {
+                remaining -= Date.now() - started;
+            }
+        }
+    }
+
+    sleep(ms) {
+        return new Promise((resolve) => setTimeout(resolve, ms));
+    }
+
+    // Throws on abort / link loss, blocks while paused
+    async checkpoint() {
+        this.checkLink();
+        if (this.abortReason && !this.inSafeExit) {
+            throw new SequenceAbort(this.abortReason);
+        }
+
+        while (this.isPaused && !this.abortReason) {
+            await this.sleep(100);
+            this.checkLink();
+        }
+
+        if (this.abortReason && !this.inSafeExit) {
+            throw new SequenceAbort(this.abortReason);
+        }
+    }
+
+    checkLink() {
+        if (!this.app.isConnected) {
+            throw new SequenceAbort('Link lost');
+        }
+
+        const staleLimit = this.store.settings.sequenceStaleAbort;
+        if (this.store.isStale && this.staleSince && Date.now() - this.staleSince > staleLimit) {
+            throw new SequenceAbort(`No data from device for ${staleLimit} ms`);
+        }
+    }
+
+    handleConnectionChange(data) {
+        if (data.newState === 'stale') {
+            this.staleSince = Date.now();
+        } else if (data.newState === 'connected') {
+            this.staleSince = 0;
+        }
+    }
+
+    pause() {
+        if (!this.isRunning || this.inSafeExit || this.isPaused) {
+            return;
+        }
+
+        this.isPaused = true;
+        this.app.rampEngine.abort();
+        this.publish({ status: 'paused' });
+        console.log('Sequence paused');
+    }
+
+    resume() {
+        if (!this.isRunning || !this.isPaused) {
+            return;
+        }
+
+        this.isPaused = false;
+        this.publish({ status: 'running' });
+        console.log('Sequence resumed');
+    }
+
+    // resetIssued: the caller sends the ERST itself (E-STOP, protection trip),
+    // so the run must not send a second one
+    abort(reason = 'Aborted by operator', resetIssued = false) {
+        if (!this.isRunning) {
+            return;
+        }
+
+        if (resetIssued) {
+            this.resetIssued = true;
+        }
+
+        // A second abort during safe-exit stops that too
+        if (this.inSafeExit) {
+            this.inSafeExit = false;
+        }
+
+        this.abortReason = reason;
+        this.isPaused = false;
+        this.app.rampEngine.abort();
+        this.publish({ status: 'aborting', message: reason });
+    }
+
+    publish(updates) {
+        this.store.setSequenceState({
+            ...this.store.sequenceState,
+            ...updates
+        });
+    }
+}
+
+// Export for use in other modules
+if (typeof window !== 'undefined') {
+    window.SequenceRunner = SequenceRunner;
+}
+
+// CommonJS export for Node (headless harness)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = SequenceRunner;
+}
\ No newline at end of file
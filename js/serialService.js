@@ -1,63 +1,78 @@
 class SerialService {
-    constructor() {
+    constructor(transport = null) {
+        this.transport = null;
         this.port = null;
-        this.reader = null;
-        this.writer = null;
         this.isConnected = false;
-        this.readLoopActive = false;
         this.onDataReceived = null;
         this.onStatusChanged = null;
         this.onError = null;
+        this.onFramingError = null; // ({ reason, discarded, sample })
+        
+        // Incremental token framing of the RX stream
+        this.framer = new TokenFramer();
+        this.framer.onToken = (token) => {
+            this.handleToken(token);
+        };
+        this.framer.onFramingError = (error) => {
+            this.debugLog('ERROR', `Framing ${error.reason}: discarded ${error.discarded} byte(s) "${error.sample}"`);
+            if (this.onFramingError) {
+                this.onFramingError(error);
+            }
+        };
+        this.baudRate = 9600;
         
         this.lastRxAt = 0;
         this.lastTxAt = 0;
         
         this.reconnectAttempts = 0;
         this.maxReconnectAttempts = 3;
+
+        this.setTransport(transport || new WebSerialTransport());
     }
 
-    async requestPort() {
-        if (!('serial' in navigator)) {
-            throw new Error('Web Serial API not supported in this browser');
+    setTransport(transport) {
+        if (this.isConnected) {
+            throw new Error('Cannot change transport while connected');
         }
 
-        try {
-            this.port = await navigator.serial.requestPort();
-            return this.port;
-        } catch (error) {
-            if (error.name === 'NotFoundError') {
-                throw new Error('No port selected');
-            }
-            throw error;
-        }
+        this.transport = transport;
+        this.port = null;
+
+        this.transport.onData = (data) => {
+            this.handleIncomingData(data);
+        };
+
+        this.transport.onDisconnect = () => {
+            this.handleDisconnect();
+        };
+
+        this.transport.onError = (error) => {
+            this.notifyError(`Read error: ${error.message}`);
+            this.handleConnectionError(error);
+        };
+    }
+
+    getTransportType() {
+        return this.transport.type;
+    }
+
+    async requestPort() {
+        this.port = await this.transport.requestPort();
+        return this.port;
     }
 
-    async connect(baudRate = 9600) {
+    async connect(baudRate = this.baudRate) {
         if (!this.port) {
             throw new Error('No port selected. Call requestPort() first.');
         }
 
         try {
-            await this.port.open({
-                baudRate: baudRate,
-                dataBits: 8,
-                stopBits: 1,
-                parity: 'none',
-                flowControl: 'none'
-            });
+            this.baudRate = baudRate;
+            this.framer.reset();
+            await this.transport.open({ baudRate: baudRate });
 
             this.isConnected = true;
             this.reconnectAttempts = 0;
-            
-            // Get reader and writer
-            this.reader = this.port.readable.getReader();
-            this.writer = this.port.writable.getWriter();
-
-            // Start read loop
-            this.startReadLoop();
-
-            // Listen for disconnect events
-            this.port.addEventListener('disconnect', this.handleDisconnect.bind(this));
 
             this.notifyStatusChange('connected');
             return true;
@@ -74,26 +89,8 @@ class SerialService {
             return;
         }
 
-        this.readLoopActive = false;
-        
         try {
-            // Release reader/writer
-            if (this.reader) {
-                await this.reader.cancel();
-                this.reader.releaseLock();
-                this.reader = null;
-            }
-            
-            if (this.writer) {
-                this.writer.releaseLock();
-                this.writer = null;
-            }
-
-            // Close port
-            if (this.port) {
-                await this.port.close();
-            }
-
+            await this.transport.close();
         } catch (error) {
             console.error('Error during disconnect:', error);
         } finally {
@@ -104,7 +101,7 @@ class SerialService {
     }
 
     async sendCommand(command) {
-        if (!this.isConnected || !this.writer) {
+        if (!this.isConnected) {
             throw new Error('Not connected to device');
         }
 
@@ -112,7 +109,7 @@ class SerialService {
             const commandWithBrackets = `[${command}]`;
             const data = new TextEncoder().encode(commandWithBrackets);
             
-            await this.writer.write(data);
+            await this.transport.write(data);
             this.lastTxAt = Date.now();
             
             // Debug logging
@@ -125,100 +122,21 @@ class SerialService {
         }
     }
 
-    startReadLoop() {
-        if (this.readLoopActive) {
-            return;
-        }
-
-        this.readLoopActive = true;
-        this.readLoop();
-    }
-
-    async readLoop() {
-        let buffer = '';
-        
-        try {
-            while (this.readLoopActive && this.reader) {
-                const { value, done } = await this.reader.read();
-                
-                if (done) {
-                    break;
-                }
-
-                // Decode received bytes
-                const text = new TextDecoder().decode(value);
-                buffer += text;
-
-                // Extract complete tokens
-                const tokens = this.extractTokens(buffer);
-                
-                // Update buffer to remove processed tokens
-                buffer = this.updateBuffer(buffer, tokens);
-
-                // Process each token
-                for (const token of tokens) {
-                    this.lastRxAt = Date.now();
-                    this.debugLog('RX', `[${token}]`);
-                    
-                    if (this.onDataReceived) {
-                        this.onDataReceived(token);
-                    }
-                }
-            }
-        } catch (error) {
-            if (this.readLoopActive) {
-                this.notifyError(`Read error: ${error.message}`);
-                this.handleConnectionError(error);
-            }
-        }
+    handleIncomingData(value) {
+        this.framer.push(value);
     }
 
-    extractTokens(buffer) {
-        const tokens = [];
-        let startIndex = 0;
-        
-        while (true) {
-            const openBracket = buffer.indexOf('[', startIndex);
-            if (openBracket === -1) break;
-            
-            const closeBracket = buffer.indexOf(']', openBracket);
-            if (closeBracket === -1) break;
-            
-            // Extract token content (without brackets)
-            const token = buffer.substring(openBracket + 1, closeBracket);
-            tokens.push(token);
-            
-            startIndex = closeBracket + 1;
-        }
-        
-        return tokens;
-    }
+    handleToken(token) {
+        this.lastRxAt = Date.now();
+        this.debugLog('RX', `[${token}]`);
 
-    updateBuffer(buffer, tokens) {
-        if (tokens.length === 0) {
-            return buffer;
-        }
-        
-        // Find the position after the last complete token
-        let lastTokenEnd = -1;
-        let searchStart = 0;
-        
-        for (const token of tokens) {
-            const tokenWithBrackets = `[${token}]`;
-            const tokenIndex = buffer.indexOf(tokenWithBrackets, searchStart);
-            if (tokenIndex !== -1) {
-                lastTokenEnd = tokenIndex + tokenWithBrackets.length;
-                searchStart = lastTokenEnd;
-            }
+        if (this.onDataReceived) {
+            this.onDataReceived(token);
         }
-        
-        // Return remaining buffer after last complete token
-        return lastTokenEnd !== -1 ? buffer.substring(lastTokenEnd) : buffer;
     }
 
     handleDisconnect() {
         this.isConnected = false;
-        this.readLoopActive = false;
         this.notifyStatusChange('disconnected');
         
         // Attempt reconnection if configured
@@ -238,7 +156,7 @@ class SerialService {
         this.notifyStatusChange('reconnecting');
 
         try {
-            await this.connect();
+            await this.connect(this.baudRate);
         } catch (error) {
             if (this.reconnectAttempts >= this.maxReconnectAttempts) {
                 this.notifyError('Reconnection failed after maximum attempts');
@@ -248,7 +166,6 @@ class SerialService {
 
     handleConnectionError(error) {
         this.isConnected = false;
-        this.readLoopActive = false;
         
         if (error.name === 'NetworkError' || error.name === 'NotFoundError') {
             this.notifyStatusChange('disconnected');
@@ -269,12 +186,18 @@ class SerialService {
         }
     }
 
+    // Millisecond timestamps keep captured logs usable for replay
+    static formatTimestamp(date = new Date()) {
+        const pad = (value, length = 2) => String(value).padStart(length, '0');
+        return `${pad(date.getHours())}:${pad(date.getMinutes())}:${pad(date.getSeconds())}.${pad(date.getMilliseconds(), 3)}`;
+    }
+
     debugLog(direction, message) {
-        const timestamp = new Date().toLocaleTimeString();
+        const timestamp = SerialService.formatTimestamp();
         console.log(`${timestamp} [${direction}] ${message}`);
         
         // Could emit debug events here for UI display
-        if (window.debugLogger) {
+        if (typeof window !== 'undefined' && window.debugLogger) {
             window.debugLogger.log(direction, message, timestamp);
         }
     }
@@ -311,4 +234,9 @@ class SerialService {
 // Export for use in other modules
 if (typeof window !== 'undefined') {
     window.SerialService = SerialService;
+}
+
+// CommonJS export for Node (headless harness)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = SerialService;
 }
\ No newline at end of file
@@ -0,0 +1,186 @@
+class SetpointVerifier {
+    // An ack only says the device accepted a setpoint. After each X_V / X_A
+    // ack this watches the readings until they settle: the voltage within
+    // tolerance of its setpoint, the current at or below its limit. If they
+    // haven't settled by the end of the window the Store gets a
+    // 'not-converged' check with the likely reason.
+    constructor(store) {
+        this.store = store;
+        this.timers = {}; // channel -> deadline timer
+
+        this.store.addEventListener('ack', this.handleAck.bind(this));
+        this.store.addEventListener('readingUpdate', this.handleReadingUpdate.bind(this));
+        this.store.addEventListener('connectionChange', this.handleConnectionChange.bind(this));
+    }
+
+    // Percentage of the setpoint, but never tighter than two counts of reading noise
+    tolerance(channel, target) {
+        const definition = DeviceProfiles.getChannel(this.store.profile, channel);
+        return Math.max(Math.abs(target) * this.store.settings.convergenceTolerance / 100, definition.scale * 2);
+    }
+
+    withinTolerance(check, value) {
+        if (check.channel === 'current') {
+            return value <= check.target + check.tolerance;
+        }
+        return Math.abs(value - check.target) <= check.tolerance;
+    }
+
+    handleAck(data) {
+        if (data.type === 'estop') {
+            // The reset drops the output; there is nothing left to converge to
+            this.cancel();
+            return;
+        }
+
+        if ((data.type === 'voltage' || data.type === 'current') && this.store.settings.convergenceCheck) {
+            this.start(data.type, data.value, Date.now());
+        }
+    }
+
+    handleReadingUpdate(data) {
+        const check = this.store.convergenceState[data.type];
+        if (check && check.status === 'settling') {
+            this.evaluate(check, data.value, Date.now());
+        }
+    }
+
+    handleConnectionChange(data) {
+        if (data.newState === 'disconnected') {
+            this.cancel();
+        }
+    }
+
+    start(channel, target, now) {
+        this.clearTimer(channel);
+
+        const check = {
+            channel: channel,
+            target: target,
+            tolerance: this.tolerance(channel, target),
+            status: 'settling', // 'settling', 'converged', 'not-converged'
+            reading: null,
+            withinSince: null,
+            startedAt: now,
+            settledAt: null,
+            reason: null,
+            message: ''
+        };
+        this.publish(check);
+
+        this.timers[channel] = setTimeout(() => {
+            this.timers[channel] = null;
+            this.expire(channel);
+        }, this.store.settings.convergenceTimeout);
+    }
+
+    // Readings must stay within tolerance for convergenceHold ms in a row
+    evaluate(check, value, now) {
+        const next = { ...check, reading: value };
+
+        if (this.withinTolerance(check, value)) {
+            next.withinSince = check.withinSince !== null ? check.withinSince : now;
+            if (now - next.withinSince >= this.store.settings.convergenceHold) {
+                this.clearTimer(check.channel);
+                next.status = 'converged';
+                next.settledAt = now;
+                next.message = this.describe(next);
+            }
+        } else {
+            next.withinSince = null;
+        }
+
+        this.publish(next);
+    }
+
+    expire(channel) {
+        const check = this.store.convergenceState[channel];
+        if (!check || check.status !== 'settling') {
+            return;
+        }
+
+        const failed = { ...check, status: 'not-converged', reason: this.diagnose(check) };
+        failed.message = this.describe(failed);
+        console.warn(failed.message);
+        this.store.reportConvergenceFailure(failed);
+    }
+
+    // Most likely cause, from the last readings of both channels
+    diagnose(check) {
+        const reading = check.reading;
+        if (reading === null) {
+            return 'no-readings';
+        }
+
+        if (check.channel === 'current') {
+            return 'above-limit';
+        }
+
+        if (reading > check.target) {
+            return 'above-target';
+        }
+
+        const current = this.store.actualCurrent;
+        const limit = this.store.currentSetpoint;
+        if (current !== null && limit > 0 && current >= limit - this.tolerance('current', limit)) {
+            return 'current-limited';
+        }
+        if (reading <= check.tolerance) {
+            return 'output-off';
+        }
+        return 'below-target';
+    }
+
+    describe(check) {
+        const profile = this.store.profile;
+        const format = (channel, value) => DeviceProfiles.formatValue(profile, channel, value);
+        const label = DeviceProfiles.getChannel(profile, check.channel).label;
+        const target = format(check.channel, check.target);
+
+        if (check.status === 'converged') {
+            return check.channel === 'current'
+                ? `${label} within its ${target} limit`
+                : `${label} settled at ${format(check.channel, check.reading)}`;
+        }
+
+        const seconds = (this.store.settings.convergenceTimeout / 1000).toFixed(1);
+        const reading = check.reading === null ? 'no reading' : `reading ${format(check.channel, check.reading)}`;
+        const reasons = {
+            'no-readings': `no ${label.toLowerCase()} readings arrived`,
+            'above-limit': 'the current limit is not holding',
+            'above-target': 'output is above the setpoint',
+            'current-limited': `current-limited at ${format('current', this.store.actualCurrent)}`,
+            'output-off': 'output appears to be off',
+            'below-target': 'output is below the setpoint'
+        };
+        return `${label} did not converge to ${target} within ${seconds} s (${reading}): ${reasons[check.reason]}`;
+    }
+
+    clearTimer(channel) {
+        if (this.timers[channel]) {
+            clearTimeout(this.timers[channel]);
+            this.timers[channel] = null;
+        }
+    }
+
+    cancel() {
+        for (const channel of Object.keys(this.timers)) {
+            this.clearTimer(channel);
+        }
+        this.store.setConvergenceState({ voltage: null, current: null });
+    }
+
+    publish(check) {
+        this.store.setConvergenceState({ ...this.store.convergenceState, [check.channel]: check });
+    }
+}
+
+// Export for use in other modules
+if (typeof window !== 'undefined') {
+    window.SetpointVerifier = SetpointVerifier;
+}
+
+// CommonJS export for Node (headless harness)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = SetpointVerifier;
+}
@@ -1,9 +1,16 @@
 class Store {
-    constructor() {
+    // options.storageKey keeps each device's settings apart on a multi-device page
+    constructor(options = {}) {
+        this.storageKey = options.storageKey || 'hvps-settings';
+        
         // Connection state
         this.connectionState = 'disconnected'; // 'disconnected', 'connected', 'stale', 'error'
         this.isStale = false;
         
+        // Device profile this Store's readings, setpoints and ranges are in
+        // (each device on a multi-device page has its own; see setProfile)
+        this.profile = DeviceProfiles.getDefault();
+        
         // Actual readings from device
         this.actualVoltage = null;
         this.actualCurrent = null;
@@ -15,8 +22,54 @@ class Store {
         this.pendingVoltageSet = false;
         this.pendingCurrentSet = false;
         
+        // Last values the device acknowledged (null until the first ack on this link);
+        // ramps start from these rather than from a setpoint the device may not hold
+        this.voltageAcked = null;
+        this.currentAcked = null;
+        
+        // Setpoint ramps in progress (null when idle)
+        this.voltageRamp = null;
+        this.currentRamp = null;
+        
+        // Sequence runner progress
+        this.sequenceState = {
+            status: 'idle', // 'idle', 'running', 'paused', 'aborting', 'safe-exit', 'completed', 'aborted', 'failed'
+            name: null,
+            stepPath: null,
+            message: ''
+        };
+        
+        // Saved sequence recipes, keyed by name
+        this.recipes = {};
+        
+        // Data recorder status and stored sessions (kept in IndexedDB)
+        this.recorderState = {
+            recording: false,
+            sessionId: null,
+            sessionName: null,
+            sampleCount: 0,
+            sessions: []
+        };
+        
+        // Protection layer: active warnings and the latched trip (null when clear)
+        this.protectionState = {
+            status: 'ok', // 'ok', 'warning', 'tripped'
+            warnings: [],
+            fault: null
+        };
+        
+        // Readings settling after a setpoint ack, per channel (null when not checked; see SetpointVerifier)
+        this.convergenceState = { voltage: null, current: null };
+        this.convergenceFailureCount = 0;
+        
+        // Link quality snapshot from LinkAnalytics (refreshed once a second while connected)
+        this.linkStats = null;
+        
+        // Synchronized setpoint change across grouped devices (null when none has run; see DeviceGroup)
+        this.groupState = null;
+        
         // E-STOP state
-        this.estopState = 'idle'; // 'idle', 'requested', 'acknowledged'
+        this.estopState = 'idle'; // 'idle', 'requested', 'acknowledged', 'failed'
         this.estopMessage = '';
         
         // Timestamps
@@ -28,12 +81,56 @@ class Store {
         this.lastError = null;
         this.errorCount = 0;
         
+        // Unanswered commands reported by the TX scheduler
+        this.lastTimeout = null;
+        this.timeoutCount = 0;
+        
         // Settings
         this.settings = {
             baudRate: 9600,
+            transport: 'serial', // 'serial', 'websocket', 'loopback', 'replay'
+            bridgeUrl: 'ws://localhost:8765',
+            deviceProfile: 'remedi-psu', // see js/deviceProfiles.js
+            replaySpeed: 1, // 1, 10 or 'max'
             stalenessThreshold: 500, // ms
-            maxVoltage: 120,
+            responseTimeout: 500, // ms before a command counts as unanswered
+            maxRetries: 3, // retransmits for setpoints and ERST
+            pollRates: TxScheduler.DEFAULT_POLL_RATES, // Hz per channel, 0 = not polled
+            adaptivePacing: true, // stretch the TX cadence while the device lags
+            pacingMaxInterval: 1000, // ms, slowest TX cadence when backed off
+            estopMaxInterval: 250, // ms, longest wait for an E-STOP (or its retransmit) when backed off
+            convergenceCheck: true, // verify readings settle after each setpoint ack
+            convergenceTolerance: 2, // % of the setpoint (at least two counts)
+            convergenceTimeout: 5000, // ms for readings to settle after the ack
+            convergenceHold: 500, // ms readings must stay within tolerance
+            maxVoltage: 120, // operator caps on top of the profile range (profile units)
             maxCurrent: 10,
+            voltageRampUp: 5, // V/s, 0 = jump directly
+            voltageRampDown: 10, // V/s
+            currentRampUp: 1, // A/s
+            currentRampDown: 2, // A/s
+            rampStepInterval: 250, // ms between ramp steps
+            sequenceStaleAbort: 2000, // ms of stale data before a running sequence aborts
+            protectionEnabled: true,
+            tempWarn: 50, // °C, null disables the level
+            tempTrip: 60, // °C
+            tempTripDelay: 2000, // ms above the trip level before ERST
+            voltageWarn: 'auto', // 'auto' follows the profile range (95 % of max)
+            voltageTrip: 'auto', // 'auto': 5 % above max, below the field's full scale
+            voltageTripDelay: 500,
+            currentWarn: 'auto',
+            currentTrip: 'auto',
+            currentTripDelay: 500,
+            currentLimitMargin: 0.5, // trip when current exceeds the acknowledged current limit by this much
+            currentLimitDelay: 1000,
+            autoRecord: false, // start a recording session on every connect
+            recorderMaxSessions: 50, // oldest sessions are dropped beyond this
+            recorderRetentionDays: 30,
+            linkStatsWindow: 60, // s of history behind the link quality figures
+            deviceName: 'HVPS 1', // shown on the device card and in multi-device messages
+            deviceColor: '#2563eb',
+            devices: [], // further units on this page: { id, name, color, transport, bridgeUrl }
+            groupMembers: [], // device ids ('primary', 'device-2', ...) that take group setpoints together
             debugMode: false
         };
         
@@ -42,11 +139,16 @@ class Store {
             stateChange: [],
             readingUpdate: [],
             connectionChange: [],
-            error: []
+            error: [],
+            timeout: [],
+            ack: [],
+            convergence: []
         };
         
-        // Load settings from localStorage if available
+        // Load settings and recipes from localStorage if available
         this.loadSettings();
+        this.loadRecipes();
+        this.setProfile(this.settings.deviceProfile);
     }
 
     // State management methods
@@ -80,8 +182,20 @@ class Store {
             actualTemperature: this.actualTemperature,
             voltageSetpoint: this.voltageSetpoint,
             currentSetpoint: this.currentSetpoint,
+            profile: this.profile,
             pendingVoltageSet: this.pendingVoltageSet,
             pendingCurrentSet: this.pendingCurrentSet,
+            voltageAcked: this.voltageAcked,
+            currentAcked: this.currentAcked,
+            voltageRamp: this.voltageRamp,
+            currentRamp: this.currentRamp,
+            sequenceState: { ...this.sequenceState },
+            recorderState: { ...this.recorderState },
+            protectionState: { ...this.protectionState },
+            convergenceState: { ...this.convergenceState },
+            convergenceFailureCount: this.convergenceFailureCount,
+            linkStats: this.linkStats,
+            groupState: this.groupState,
             estopState: this.estopState,
             estopMessage: this.estopMessage,
             lastRxAt: this.lastRxAt,
@@ -89,6 +203,8 @@ class Store {
             lastUpdateAt: this.lastUpdateAt,
             lastError: this.lastError,
             errorCount: this.errorCount,
+            lastTimeout: this.lastTimeout,
+            timeoutCount: this.timeoutCount,
             settings: { ...this.settings }
         };
     }
@@ -126,7 +242,7 @@ class Store {
 
     // Setpoint methods
     setVoltageSetpoint(voltage) {
-        const validation = RxParser.validateVoltage(voltage);
+        const validation = RxParser.validateVoltage(voltage, this.profile);
         if (!validation.valid) {
             throw new Error(validation.error);
         }
@@ -138,7 +254,7 @@ class Store {
     }
 
     setCurrentSetpoint(current) {
-        const validation = RxParser.validateCurrent(current);
+        const validation = RxParser.validateCurrent(current, this.profile);
         if (!validation.valid) {
             throw new Error(validation.error);
         }
@@ -149,28 +265,83 @@ class Store {
         });
     }
 
+    // Ramp progress (published by RampEngine)
+    setRampState(type, ramp) {
+        if (type === 'voltage') {
+            this.setState({ voltageRamp: ramp });
+        } else if (type === 'current') {
+            this.setState({ currentRamp: ramp });
+        }
+    }
+
+    // Sequence runner progress
+    setSequenceState(sequenceState) {
+        this.setState({ sequenceState: sequenceState });
+    }
+
+    // Protection layer status
+    setProtectionState(protectionState) {
+        this.setState({ protectionState: protectionState });
+    }
+
+    // Data recorder status
+    setRecorderState(recorderState) {
+        this.setState({ recorderState: recorderState });
+    }
+
+    // Setpoint convergence checks (published by SetpointVerifier)
+    setConvergenceState(convergenceState) {
+        this.setState({ convergenceState: convergenceState });
+    }
+
+    // Acked but the readings never got there - distinct from a missing or mismatched ack
+    reportConvergenceFailure(check) {
+        this.setState({
+            convergenceState: { ...this.convergenceState, [check.channel]: check },
+            convergenceFailureCount: this.convergenceFailureCount + 1
+        });
+        this.notifyListeners('convergence', check);
+        this.setError(check.message);
+    }
+
+    // Link quality snapshot
+    setLinkStats(linkStats) {
+        this.setState({ linkStats: linkStats });
+    }
+
+    // Group operation progress (published by DeviceGroup)
+    setGroupState(groupState) {
+        this.setState({ groupState: groupState });
+    }
+
     // Acknowledgment methods (called when device confirms setpoints)
     acknowledgeVoltageSet(voltage) {
         this.setState({ 
             pendingVoltageSet: false,
+            voltageAcked: voltage,
             lastRxAt: Date.now()
         });
+        this.notifyListeners('ack', { type: 'voltage', value: voltage });
 
-        // Verify the acknowledged value matches what we sent
-        if (Math.abs(voltage - this.voltageSetpoint) > 0.01) {
-            this.setError(`Voltage setpoint mismatch: sent ${this.voltageSetpoint}V, device acknowledged ${voltage}V`);
+        // Verify the acknowledged value matches what we sent (within one count)
+        const channel = DeviceProfiles.getChannel(this.profile, 'voltage');
+        if (Math.abs(voltage - this.voltageSetpoint) > channel.scale / 2 + 1e-9) {
+            this.setError(`Voltage setpoint mismatch: sent ${this.voltageSetpoint} ${channel.unit}, device acknowledged ${voltage} ${channel.unit}`);
         }
     }
 
     acknowledgeCurrentSet(current) {
         this.setState({ 
             pendingCurrentSet: false,
+            currentAcked: current,
             lastRxAt: Date.now()
         });
+        this.notifyListeners('ack', { type: 'current', value: current });
 
-        // Verify the acknowledged value matches what we sent
-        if (Math.abs(current - this.currentSetpoint) > 0.01) {
-            this.setError(`Current setpoint mismatch: sent ${this.currentSetpoint}A, device acknowledged ${current}A`);
+        // Verify the acknowledged value matches what we sent (within one count)
+        const channel = DeviceProfiles.getChannel(this.profile, 'current');
+        if (Math.abs(current - this.currentSetpoint) > channel.scale / 2 + 1e-9) {
+            this.setError(`Current setpoint mismatch: sent ${this.currentSetpoint} ${channel.unit}, device acknowledged ${current} ${channel.unit}`);
         }
     }
 
@@ -182,12 +353,21 @@ class Store {
         });
     }
 
+    // The reset takes the output to zero, so the setpoints follow; anything
+    // raised afterwards ramps up from 0 instead of jumping to the old value
     acknowledgeEstop() {
         this.setState({ 
             estopState: 'acknowledged',
             estopMessage: 'Emergency stop acknowledged',
+            voltageSetpoint: 0,
+            currentSetpoint: 0,
+            pendingVoltageSet: false,
+            pendingCurrentSet: false,
+            voltageAcked: 0,
+            currentAcked: 0,
             lastRxAt: Date.now()
         });
+        this.notifyListeners('ack', { type: 'estop', value: null });
 
         // Auto-clear the message after a few seconds
         setTimeout(() => {
@@ -200,6 +380,39 @@ class Store {
         }, 3000);
     }
 
+    // Command timeouts (reported by TxScheduler once retries are exhausted)
+    handleCommandTimeout(event) {
+        this.setState({
+            lastTimeout: { ...event, at: Date.now() },
+            timeoutCount: this.timeoutCount + 1
+        });
+        this.notifyListeners('timeout', event);
+
+        switch (event.type) {
+            case 'voltage':
+                this.setState({ pendingVoltageSet: false });
+                this.setError(`Voltage setpoint not acknowledged after ${event.attempts} attempts (${event.command})`);
+                break;
+
+            case 'current':
+                this.setState({ pendingCurrentSet: false });
+                this.setError(`Current setpoint not acknowledged after ${event.attempts} attempts (${event.command})`);
+                break;
+
+            case 'estop':
+                this.setState({
+                    estopState: 'failed',
+                    estopMessage: 'E-STOP not acknowledged by device'
+                });
+                this.setError(`E-STOP not acknowledged after ${event.attempts} attempts`);
+                break;
+
+            case 'poll':
+                // Unanswered polls only count towards timeoutCount; the watchdog reports staleness
+                break;
+        }
+    }
+
     clearEstopState() {
         this.setState({ 
             estopState: 'idle',
@@ -230,6 +443,23 @@ class Store {
     }
 
     // Settings management
+    // An unknown saved id falls back to the default profile
+    setProfile(id) {
+        let profile;
+        try {
+            profile = DeviceProfiles.get(id);
+        } catch (error) {
+            console.warn(`${error.message}, using ${DeviceProfiles.DEFAULT_ID}`);
+            profile = DeviceProfiles.getDefault();
+        }
+
+        this.setState({ profile: profile });
+        if (this.settings.deviceProfile !== profile.id) {
+            this.updateSetting('deviceProfile', profile.id);
+        }
+        return profile;
+    }
+
     updateSetting(key, value) {
         if (this.settings.hasOwnProperty(key)) {
             this.settings[key] = value;
@@ -244,9 +474,18 @@ class Store {
         this.setState({ settings: { ...this.settings } });
     }
 
+    // localStorage is absent when the Store runs under Node
+    static hasStorage() {
+        return typeof localStorage !== 'undefined';
+    }
+
     loadSettings() {
+        if (!Store.hasStorage()) {
+            return;
+        }
+
         try {
-            const saved = localStorage.getItem('hvps-settings');
+            const saved = localStorage.getItem(this.storageKey);
             if (saved) {
                 const parsed = JSON.parse(saved);
                 Object.assign(this.settings, parsed);
@@ -257,13 +496,65 @@ class Store {
     }
 
     saveSettings() {
+        if (!Store.hasStorage()) {
+            return;
+        }
+
         try {
-            localStorage.setItem('hvps-settings', JSON.stringify(this.settings));
+            localStorage.setItem(this.storageKey, JSON.stringify(this.settings));
         } catch (error) {
             console.warn('Failed to save settings to localStorage:', error);
         }
     }
 
+    // Recipe management (stored next to the settings)
+    saveRecipe(recipe) {
+        if (!recipe || !recipe.name) {
+            throw new Error('Recipe needs a name');
+        }
+
+        this.setState({ recipes: { ...this.recipes, [recipe.name]: recipe } });
+        this.persistRecipes();
+    }
+
+    deleteRecipe(name) {
+        if (!this.recipes.hasOwnProperty(name)) {
+            return;
+        }
+
+        const recipes = { ...this.recipes };
+        delete recipes[name];
+        this.setState({ recipes: recipes });
+        this.persistRecipes();
+    }
+
+    loadRecipes() {
+        if (!Store.hasStorage()) {
+            return;
+        }
+
+        try {
+            const saved = localStorage.getItem('hvps-recipes');
+            if (saved) {
+                this.recipes = JSON.parse(saved);
+            }
+        } catch (error) {
+            console.warn('Failed to load recipes from localStorage:', error);
+        }
+    }
+
+    persistRecipes() {
+        if (!Store.hasStorage()) {
+            return;
+        }
+
+        try {
+            localStorage.setItem('hvps-recipes', JSON.stringify(this.recipes));
+        } catch (error) {
+            console.warn('Failed to save recipes to localStorage:', error);
+        }
+    }
+
     // Event listener management
     addEventListener(type, callback) {
         if (this.listeners[type]) {
@@ -325,20 +616,31 @@ class Store {
             currentSetpoint: 0,
             pendingVoltageSet: false,
             pendingCurrentSet: false,
+            voltageAcked: null,
+            currentAcked: null,
+            voltageRamp: null,
+            currentRamp: null,
             estopState: 'idle',
             estopMessage: '',
             lastRxAt: 0,
             lastTxAt: 0,
             lastError: null,
-            errorCount: 0
+            errorCount: 0,
+            lastTimeout: null,
+            timeoutCount: 0,
+            convergenceState: { voltage: null, current: null },
+            convergenceFailureCount: 0
         });
     }
 
+    // After the link drops, what the device holds is unknown until it acks again
     resetReadings() {
         this.setState({
             actualVoltage: null,
             actualCurrent: null,
-            actualTemperature: null
+            actualTemperature: null,
+            voltageAcked: null,
+            currentAcked: null
         });
     }
 
@@ -355,6 +657,15 @@ class Store {
                 voltage: this.pendingVoltageSet,
                 current: this.pendingCurrentSet,
                 estop: this.estopState === 'requested'
+            },
+            timeouts: {
+                count: this.timeoutCount,
+                last: this.lastTimeout
+            },
+            convergence: {
+                failures: this.convergenceFailureCount,
+                voltage: this.convergenceState.voltage,
+                current: this.convergenceState.current
             }
         };
     }
@@ -368,15 +679,36 @@ class Store {
     }
 
     // Validation helpers
+    // Ranges come from the device profile, further capped by maxVoltage / maxCurrent
+    validateSetpoint(channel, value) {
+        const validation = RxParser.validateChannel(channel, value, this.profile);
+        if (!validation.valid) {
+            return validation;
+        }
+
+        const definition = DeviceProfiles.getChannel(this.profile, channel);
+        const cap = channel === 'voltage' ? this.settings.maxVoltage : this.settings.maxCurrent;
+        if (typeof cap === 'number' && value > cap) {
+            return {
+                valid: false,
+                error: `${definition.label} ${value} ${definition.unit} is above the operator limit of ${cap} ${definition.unit}`
+            };
+        }
+        return { valid: true };
+    }
+
     validateSetpoints() {
         const errors = [];
-        
-        if (this.voltageSetpoint < 0 || this.voltageSetpoint > this.settings.maxVoltage) {
-            errors.push(`Voltage setpoint ${this.voltageSetpoint}kV is out of range (0-${this.settings.maxVoltage}kV)`);
-        }
-        
-        if (this.currentSetpoint < 0 || this.currentSetpoint > this.settings.maxCurrent) {
-            errors.push(`Current setpoint ${this.currentSetpoint}mA is out of range (0-${this.settings.maxCurrent}mA)`);
+        const checks = [
+            { channel: 'voltage', value: this.voltageSetpoint },
+            { channel: 'current', value: this.currentSetpoint }
+        ];
+
+        for (const check of checks) {
+            const validation = this.validateSetpoint(check.channel, check.value);
+            if (!validation.valid) {
+                errors.push(validation.error);
+            }
         }
         
         return errors;
@@ -386,4 +718,9 @@ class Store {
 // Export for use in other modules
 if (typeof window !== 'undefined') {
     window.Store = Store;
+}
+
+// CommonJS export for Node (headless harness)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = Store;
 }
\ No newline at end of file
@@ -0,0 +1,190 @@
+class TokenFramer {
+    // Incremental "[token]" framer for the RX byte stream. Bytes are decoded
+    // with one streaming TextDecoder so multi-byte characters split across
+    // chunks survive. Anything that doesn't frame cleanly is discarded with a
+    // reason instead of being buffered forever:
+    //   garbage      bytes outside brackets (whitespace between tokens is ignored),
+    //                reported every garbageLimit bytes so a noisy line isn't held
+    //   resync       a new '[' before the previous token's ']'
+    //   overflow     token longer than maxTokenLength without a ']'
+    //   invalid-byte control character or undecodable byte inside a token
+    constructor(options = {}) {
+        this.maxTokenLength = options.maxTokenLength || 16;
+        this.garbageLimit = Math.max(this.maxTokenLength, 32);
+        this.onToken = null;
+        this.onFramingError = null; // ({ reason, discarded, sample })
+
+        this.reset();
+        this.resetStats();
+    }
+
+    reset() {
+        this.decoder = new TextDecoder('utf-8');
+        this.token = null; // characters since '[' (null = between tokens)
+        this.garbageBytes = 0; // discarded run between tokens
+        this.garbageSample = ''; // its first 32 characters
+        this.skipping = false; // rest of an already reported bad token
+    }
+
+    resetStats() {
+        this.stats = {
+            tokens: 0,
+            bytesDiscarded: 0,
+            framingErrors: 0,
+            reasons: { garbage: 0, resync: 0, overflow: 0, 'invalid-byte': 0 }
+        };
+    }
+
+    push(bytes) {
+        this.pushText(this.decoder.decode(bytes, { stream: true }));
+    }
+
+    pushText(text) {
+        for (const char of text) {
+            if (char === '[') {
+                this.startToken();
+            } else if (this.token === null) {
+                this.discardOutside(char);
+            } else if (char === ']') {
+                this.endToken();
+            } else if (char < ' ' || char === '\uFFFD') {
+                this.fail('invalid-byte', `[${this.token}${char}`);
+            } else if (this.token.length >= this.maxTokenLength) {
+                this.fail('overflow', `[${this.token}${char}`);
+            } else {
+                this.token += char;
+            }
+        }
+    }
+
+    startToken() {
+        if (this.token !== null) {
+            this.fail('resync', `[${this.token}`);
+        }
+        this.flushGarbage();
+        this.skipping = false;
+        this.token = '';
+    }
+
+    endToken() {
+        const token = this.token;
+        this.token = null;
+        this.stats.tokens++;
+        if (this.onToken) {
+            this.onToken(token);
+        }
+    }
+
+    discardOutside(char) {
+        if (/\s/.test(char)) {
+            return;
+        }
+
+        const bytes = TokenFramer.byteLength(char);
+        this.stats.bytesDiscarded += bytes;
+        if (this.skipping) {
+            return;
+        }
+
+        this.garbageBytes += bytes;
+        if (this.garbageSample.length < 32) {
+            this.garbageSample += char;
+        }
+        if (this.garbageBytes >= this.garbageLimit) {
+            this.flushGarbage();
+        }
+    }
+
+    flushGarbage() {
+        if (this.garbageBytes > 0) {
+            const bytes = this.garbageBytes;
+            const sample = this.garbageSample;
+            this.garbageBytes = 0;
+            this.garbageSample = '';
+            this.report('garbage', bytes, sample);
+        }
+    }
+
+    // Drop the token in progress; what follows up to the next '[' belongs to it
+    fail(reason, discarded) {
+        this.token = null;
+        this.skipping = true;
+        const bytes = TokenFramer.byteLength(discarded);
+        this.stats.bytesDiscarded += bytes;
+        this.report(reason, bytes, discarded);
+    }
+
+    // UTF-8 length of decoded text. A U+FFFD stands for an undecodable byte
+    // and counts as one, which undercounts multi-byte invalid sequences.
+    static byteLength(text) {
+        let bytes = 0;
+        for (const char of text) {
+            const code = char.codePointAt(0);
+            if (code < 0x80 || char === '\uFFFD') {
+                bytes += 1;
+            } else {
+                bytes += code < 0x800 ? 2 : (code < 0x10000 ? 3 : 4);
+            }
+        }
+        return bytes;
+    }
+
+    report(reason, count, sample) {
+        this.stats.framingErrors++;
+        this.stats.reasons[reason]++;
+        if (this.onFramingError) {
+            this.onFramingError({ reason: reason, discarded: count, sample: sample.substring(0, 32) });
+        }
+    }
+
+    getStats() {
+        return {
+            ...this.stats,
+            reasons: { ...this.stats.reasons },
+            pending: this.token !== null ? this.token.length + 1 : 0
+        };
+    }
+
+    // Test methods for validation
+    static runSelfTest() {
+        const cases = [
+            { name: 'split token', chunks: ['[S_V', '123]'], tokens: ['S_V123'], errors: [] },
+            { name: 'back to back', chunks: ['[S_T025][S_V000]'], tokens: ['S_T025', 'S_V000'], errors: [] },
+            { name: 'whitespace between', chunks: ['[LIVE]\r\n[E_RST]'], tokens: ['LIVE', 'E_RST'], errors: [] },
+            { name: 'garbage before', chunks: ['xx[S_A010]'], tokens: ['S_A010'], errors: ['garbage'] },
+            { name: 'resync on [', chunks: ['[S_V1[S_V123]'], tokens: ['S_V123'], errors: ['resync'] },
+            { name: 'overflow', chunks: ['[AAAAAAAAAAAAAAAAAAAA]', '[LIVE]'], tokens: ['LIVE'], errors: ['overflow'] },
+            { name: 'control byte', chunks: ['[S_\u0001V1]', '[LIVE]'], tokens: ['LIVE'], errors: ['invalid-byte'] },
+            { name: 'whitespace not discarded', chunks: ['[LIVE] \r\n[LIVE]'], tokens: ['LIVE', 'LIVE'], errors: [], discarded: 0 },
+            { name: 'discards in bytes', chunks: ['\u00b0\u00b0[LIVE]'], tokens: ['LIVE'], errors: ['garbage'], discarded: 4 },
+            { name: 'long garbage run', chunks: ['x'.repeat(70), '[LIVE]'], tokens: ['LIVE'], errors: ['garbage', 'garbage', 'garbage'], discarded: 70 }
+        ];
+
+        return cases.map((testCase) => {
+            const framer = new TokenFramer();
+            const tokens = [];
+            const errors = [];
+            framer.onToken = (token) => tokens.push(token);
+            framer.onFramingError = (error) => errors.push(error.reason);
+
+            for (const chunk of testCase.chunks) {
+                framer.push(new TextEncoder().encode(chunk));
+            }
+
+            const passed = JSON.stringify(tokens) === JSON.stringify(testCase.tokens)
+                && JSON.stringify(errors) === JSON.stringify(testCase.errors)
+                && (testCase.discarded === undefined || framer.stats.bytesDiscarded === testCase.discarded);
+            return { name: testCase.name, tokens: tokens, errors: errors, passed: passed };
+        });
+    }
+}
+
+// Export for use in other modules
+if (typeof window !== 'undefined') {
+    window.TokenFramer = TokenFramer;
+}
+
+// CommonJS export for Node (headless harness)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = TokenFramer;
+}
@@ -0,0 +1,541 @@
+// Byte transports used by SerialService. Every transport exposes the same
+// surface: requestPort(), open(options), close(), write(bytes) and the
+// onData / onDisconnect / onError callbacks. Framing into [tokens] stays in
+// SerialService so all transports behave identically.
+
+class WebSerialTransport {
+    constructor() {
+        this.type = 'serial';
+        this.port = null;
+        this.reader = null;
+        this.writer = null;
+        this.readLoopActive = false;
+
+        this.onData = null;
+        this.onDisconnect = null;
+        this.onError = null;
+
+        this.boundDisconnect = this.handleDisconnect.bind(this);
+    }
+
+    static isSupported() {
+        return typeof navigator !== 'undefined' && 'serial' in navigator;
+    }
+
+    async requestPort() {
+        if (!WebSerialTransport.isSupported()) {
+            throw new Error('Web Serial API not supported in this browser');
+        }
+
+        try {
+            this.port = await navigator.serial.requestPort();
+            return this.port;
+        } catch (error) {
+            if (error.name === 'NotFoundError') {
+                throw new Error('No port selected');
+            }
+            throw error;
+        }
+    }
+
+    async open(options = {}) {
+        if (!this.port) {
+            throw new Error('No port selected. Call requestPort() first.');
+        }
+
+        await this.port.open({
+            baudRate: options.baudRate || 9600,
+            dataBits: 8,
+            stopBits: 1,
+            parity: 'none',
+            flowControl: 'none'
+        });
+
+        // Get reader and writer
+        this.reader = this.port.readable.getReader();
+        this.writer = this.port.writable.getWriter();
+
+        // Listen for disconnect events
+        this.port.addEventListener('disconnect', this.boundDisconnect);
+
+        this.startReadLoop();
+    }
+
+    async close() {
+        this.readLoopActive = false;
+
+        // Release reader/writer
+        if (this.reader) {
+            await this.reader.cancel();
+            this.reader.releaseLock();
+            this.reader = null;
+        }
+
+        if (this.writer) {
+            this.writer.releaseLock();
+            this.writer = null;
+        }
+
+        // Close port
+        if (this.port) {
+            this.port.removeEventListener('disconnect', this.boundDisconnect);
+            await this.port.close();
+        }
+    }
+
+    async write(data) {
+        if (!this.writer) {
+            throw new Error('Serial port is not open');
+        }
+        await this.writer.write(data);
+    }
+
+    startReadLoop() {
+        if (this.readLoopActive) {
+            return;
+        }
+
+        this.readLoopActive = true;
+        this.readLoop();
+    }
+
+    async readLoop() {
+        try {
+            while (this.readLoopActive && this.reader) {
+                const { value, done } = await this.reader.read();
+
+                if (done) {
+                    break;
+                }
+
+                if (this.onData) {
+                    this.onData(value);
+                }
+            }
+        } catch (error) {
+            if (this.readLoopActive) {
+                this.readLoopActive = false;
+                if (this.onError) {
+                    this.onError(error);
+                }
+            }
+        }
+    }
+
+    handleDisconnect() {
+        this.readLoopActive = false;
+        this.reader = null;
+        this.writer = null;
+        if (this.onDisconnect) {
+            this.onDisconnect();
+        }
+    }
+}
+
+class WebSocketTransport {
+    constructor(url = 'ws://localhost:8765') {
+        this.type = 'websocket';
+        this.url = url;
+        this.port = null;
+        this.socket = null;
+        this.closing = false;
+
+        this.onData = null;
+        this.onDisconnect = null;
+        this.onError = null;
+    }
+
+    static isSupported() {
+        return typeof WebSocket !== 'undefined';
+    }
+
+    async requestPort() {
+        // Nothing to pick - the bridge URL identifies the "port"
+        this.port = { type: this.type, url: this.url };
+        return this.port;
+    }
+
+    open() {
+        if (!WebSocketTransport.isSupported()) {
+            return Promise.reject(new Error('WebSocket is not available in this environment'));
+        }
+
+        return new Promise((resolve, reject) => {
+            let opened = false;
+            this.closing = false;
+            this.socket = new WebSocket(this.url);
+            this.socket.binaryType = 'arraybuffer';
+
+            this.socket.onopen = () => {
+                opened = true;
+                resolve();
+            };
+
+            this.socket.onmessage = (event) => {
+                const data = typeof event.data === 'string'
+                    ? new TextEncoder().encode(event.data)
+                    : new Uint8Array(event.data);
+
+                if (this.onData) {
+                    this.onData(data);
+                }
+            };
+
+            this.socket.onerror = () => {
+                if (!opened) {
+                    reject(new Error(`Could not reach bridge at ${this.url}`));
+                }
+            };
+
+            this.socket.onclose = () => {
+                this.socket = null;
+                if (opened && !this.closing && this.onDisconnect) {
+                    this.onDisconnect();
+                }
+            };
+        });
+    }
+
+    async close() {
+        this.closing = true;
+        if (this.socket) {
+            this.socket.close();
+            this.socket = null;
+        }
+    }
+
+    async write(data) {
+        if (!this.socket || this.socket.readyState !== WebSocket.OPEN) {
+            throw new Error('WebSocket bridge is not open');
+        }
+        this.socket.send(data);
+    }
+}
+
+class LoopbackTransport {
+    // responder receives a bracketed command ("[XV]") and returns the
+    // bracketed response string, or null when the command gets no reply.
+    constructor(options = {}) {
+        this.type = 'loopback';
+        this.port = null;
+        this.isOpen = false;
+        this.latencyMs = options.latencyMs !== undefined ? options.latencyMs : 5;
+        this.responder = options.responder || LoopbackTransport.createDeviceResponder();
+        this.txBuffer = '';
+
+        this.onData = null;
+        this.onDisconnect = null;
+        this.onError = null;
+    }
+
+    async requestPort() {
+        this.port = { type: this.type };
+        return this.port;
+    }
+
+    async open() {
+        this.isOpen = true;
+        this.txBuffer = '';
+    }
+
+    async close() {
+        this.isOpen = false;
+    }
+
+    async write(data) {
+        if (!this.isOpen) {
+            throw new Error('Loopback transport is not open');
+        }
+
+        this.txBuffer += new TextDecoder().decode(data);
+
+        let start = this.txBuffer.indexOf('[');
+        let end = this.txBuffer.indexOf(']', start);
+        while (start !== -1 && end !== -1) {
+            const command = this.txBuffer.substring(start, end + 1);
+            this.txBuffer = this.txBuffer.substring(end + 1);
+
+            const response = this.responder(command);
+            if (response) {
+                this.deliver(response);
+            }
+
+            start = this.txBuffer.indexOf('[');
+            end = this.txBuffer.indexOf(']', start);
+        }
+    }
+
+    // Push bytes towards SerialService as if the device had sent them
+    deliver(text) {
+        setTimeout(() => {
+            if (this.isOpen && this.onData) {
+                this.onData(new TextEncoder().encode(text));
+            }
+        }, this.latencyMs);
+    }
+
+    // Minimal in-memory stand-in for the supply, following the documented protocol
+    static createDeviceResponder() {
+        const state = { temperature: 25, voltage: 0, current: 0, currentLimit: 100 };
+        const pad = (value) => value.toString().padStart(3, '0');
+
+        return (command) => {
+            const cmd = command.replace(/[\[\]]/g, '').trim();
+
+            switch (cmd) {
+                case 'XTMP':
+                    return `[S_T${pad(state.temperature)}]`;
+                case 'XV':
+                    return `[S_V${pad(state.voltage)}]`;
+                case 'XA':
+                    return `[S_A${pad(state.current)}]`;
+                case 'ERST':
+                    state.voltage = 0;
+                    state.current = 0;
+                    return '[E_RST]';
+            }
+
+            const setMatch = cmd.match(/^X([VA])(\d{3})$/);
+            if (setMatch) {
+                const value = parseInt(setMatch[2], 10);
+                if (setMatch[1] === 'V') {
+                    state.voltage = value;
+                    state.current = Math.min(Math.floor(value * 0.5), state.currentLimit);
+                    return `[X_V${pad(value)}]`;
+                }
+                state.currentLimit = value;
+                state.current = Math.min(state.current, state.currentLimit);
+                return `[X_A${pad(value)}]`;
+            }
+
+            return null;
+        };
+    }
+}
+
+class ReplayTransport {
+    // Plays back the RX side of a captured transcript (SerialService debug
+    // output or any log with "[RX] [token]" lines) with its original timing.
+    // Commands written during a replay go nowhere.
+    constructor(options = {}) {
+        this.type = 'replay';
+        this.port = null;
+        this.isOpen = false;
+        this.speed = options.speed || 1; // 1, 10 or 'max'
+        this.entries = [];
+        this.name = null;
+        this.position = 0;
+        this.timerId = null;
+
+        this.onData = null;
+        this.onDisconnect = null;
+        this.onError = null;
+    }
+
+    // Accepts "HH:MM:SS[.mmm] [AM|PM]" or ISO timestamps at the start of a line.
+    // Returns [{ t, direction, token }] with t in ms relative to the first entry.
+    static parseTranscript(text) {
+        const entries = [];
+        let lastTime = null;
+        let dayOffset = 0;
+        let sawDirection = false;
+
+        for (const line of text.split(/\r?\n/)) {
+            const tokens = line.match(/\[[^\[\]]*\]/g);
+            if (!tokens) {
+                continue;
+            }
+
+            let time = ReplayTransport.parseTimestamp(line);
+            if (time !== null) {
+                // Time-of-day stamps wrap at midnight
+                if (lastTime !== null && time + dayOffset < lastTime - 12 * 60 * 60 * 1000) {
+                    dayOffset += 24 * 60 * 60 * 1000;
+                }
+                time += dayOffset;
+                lastTime = time;
+            } else {
+                time = lastTime !== null ? lastTime : 0;
+            }
+
+            // "[RX]" / "[TX]" markers are direction labels, not protocol tokens
+            let direction = null;
+            const payload = tokens.filter((token) => {
+                if (token === '[RX]' || token === '[TX]') {
+                    direction = token.substring(1, 3);
+                    return false;
+                }
+                return true;
+            });
+            sawDirection = sawDirection || direction !== null;
+
+            for (const token of payload) {
+                entries.push({ t: time, direction: direction, token: token });
+            }
+        }
+
+        // Without direction markers every token is treated as received
+        const received = entries.filter((entry) => sawDirection ? entry.direction === 'RX' : true);
+        const start = received.length > 0 ? received[0].t : 0;
+        return received.map((entry) => ({ t: entry.t - start, direction: 'RX', token: entry.token }));
+    }
+
+    static parseTimestamp(line) {
+        const iso = line.match(/^\s*(\d{4}-\d{2}-\d{2}T[\d:.]+Z?)/);
+        if (iso) {
+            const parsed = Date.parse(iso[1]);
+            return isNaN(parsed) ? null : parsed;
+        }
+
+        const clock = line.match(/^\s*(\d{1,2}):(\d{2}):(\d{2})(?:\.(\d{1,3}))?\s*(AM|PM)?/i);
+        if (!clock) {
+            return null;
+        }
+
+        let hours = parseInt(clock[1], 10);
+        if (clock[5]) {
+            const pm = clock[5].toUpperCase() === 'PM';
+            hours = (hours % 12) + (pm ? 12 : 0);
+        }
+        const ms = clock[4] ? parseInt(clock[4].padEnd(3, '0'), 10) : 0;
+        return ((hours * 60 + parseInt(clock[2], 10)) * 60 + parseInt(clock[3], 10)) * 1000 + ms;
+    }
+
+    load(text, name = 'transcript') {
+        if (this.isOpen) {
+            throw new Error('Stop the replay before loading another transcript');
+        }
+
+        const entries = ReplayTransport.parseTranscript(text);
+        if (entries.length === 0) {
+            throw new Error(`No RX tokens found in ${name}`);
+        }
+
+        this.entries = entries;
+        this.name = name;
+        this.position = 0;
+        console.log(`Loaded ${entries.length} RX tokens from ${name} (${(entries[entries.length - 1].t / 1000).toFixed(1)} s)`);
+    }
+
+    async requestPort() {
+        if (this.entries.length === 0) {
+            throw new Error('No transcript loaded for replay');
+        }
+
+        this.port = { type: this.type, name: this.name };
+        return this.port;
+    }
+
+    async open() {
+        this.isOpen = true;
+        this.position = 0;
+        this.scheduleNext();
+    }
+
+    async close() {
+        this.isOpen = false;
+        clearTimeout(this.timerId);
+        this.timerId = null;
+    }
+
+    async write() {
+        if (!this.isOpen) {
+            throw new Error('Replay is not running');
+        }
+    }
+
+    setSpeed(speed) {
+        this.speed = speed;
+        if (this.isOpen && this.timerId) {
+            clearTimeout(this.timerId);
+            this.scheduleNext();
+        }
+    }
+
+    scheduleNext() {
+        this.timerId = null;
+        if (!this.isOpen || this.position >= this.entries.length) {
+            if (this.isOpen) {
+                // Like a device that went quiet: the watchdog will flag the data as stale
+                console.log(`Replay of ${this.name} finished`);
+            }
+            return;
+        }
+
+        if (this.speed === 'max') {
+            // Deliver in batches, yielding between them so the UI keeps up
+            this.timerId = setTimeout(() => {
+                const end = Math.min(this.position + 50, this.entries.length);
+                this.deliverRange(end);
+                this.scheduleNext();
+            }, 0);
+            return;
+        }
+
+        const previous = this.position > 0 ? this.entries[this.position - 1].t : this.entries[0].t;
+        const delay = (this.entries[this.position].t - previous) / this.speed;
+
+        this.timerId = setTimeout(() => {
+            // Tokens sharing a timestamp arrive together, as they would in one read
+            const t = this.entries[this.position].t;
+            let end = this.position;
+            while (end < this.entries.length && this.entries[end].t === t) {
+                end++;
+            }
+            this.deliverRange(end);
+            this.scheduleNext();
+        }, delay);
+    }
+
+    deliverRange(end) {
+        const text = this.entries.slice(this.position, end).map((entry) => entry.token).join('');
+        this.position = end;
+
+        if (this.isOpen && this.onData) {
+            this.onData(new TextEncoder().encode(text));
+        }
+    }
+
+    getProgress() {
+        return {
+            name: this.name,
+            position: this.position,
+            total: this.entries.length,
+            finished: this.entries.length > 0 && this.position >= this.entries.length
+        };
+    }
+}
+
+function createTransport(type, options = {}) {
+    switch (type) {
+        case 'websocket':
+            return new WebSocketTransport(options.url);
+        case 'loopback':
+            return new LoopbackTransport(options);
+        case 'replay':
+            return new ReplayTransport(options);
+        case 'serial':
+        default:
+            return new WebSerialTransport();
+    }
+}
+
+// Export for use in other modules
+if (typeof window !== 'undefined') {
+    window.WebSerialTransport = WebSerialTransport;
+    window.WebSocketTransport = WebSocketTransport;
+    window.LoopbackTransport = LoopbackTransport;
+    window.ReplayTransport = ReplayTransport;
+    window.createTransport = createTransport;
+}
+
+// CommonJS export for Node (headless harness)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        WebSerialTransport,
+        WebSocketTransport,
+        LoopbackTransport,
+        ReplayTransport,
+        createTransport
+    };
+}
\ No newline at end of file
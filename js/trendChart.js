@@ -0,0 +1,460 @@
+class TrendChart {
+    constructor(store) {
+        this.store = store;
+        this.elements = {};
+        this.isInitialized = false;
+        this.ctx = null;
+        this.renderPending = false;
+        this.renderTimer = null;
+
+        // Time series kept for the longest selectable window
+        this.maxHistoryMs = 60 * 60 * 1000;
+        this.series = {
+            voltage: [],
+            current: [],
+            temperature: [],
+            voltageSetpoint: [],
+            currentSetpoint: []
+        };
+
+        // Timeline markers
+        this.stalePeriods = []; // { start, end } (end null while stale)
+        this.estopEvents = []; // { t, state }
+
+        // View state
+        this.windowMs = 30 * 1000;
+        this.zoom = 1; // visible span = windowMs / zoom
+        this.paused = false;
+        this.viewEnd = null; // frozen right edge while paused
+
+        // One strip per quantity, each with its own axis (labels and units from the device profile)
+        this.strips = [
+            { key: 'voltage', color: '#2563eb', setpoint: 'voltageSetpoint' },
+            { key: 'current', color: '#16a34a', setpoint: 'currentSetpoint' },
+            { key: 'temperature', color: '#ea580c', setpoint: null }
+        ];
+
+        this.store.addEventListener('readingUpdate', this.handleReadingUpdate.bind(this));
+        this.store.addEventListener('stateChange', this.handleStateChange.bind(this));
+
+        this.addPoint('voltageSetpoint', this.store.voltageSetpoint);
+        this.addPoint('currentSetpoint', this.store.currentSetpoint);
+    }
+
+    initialize() {
+        if (this.isInitialized) {
+            return;
+        }
+
+        this.elements = {
+            trendCanvas: document.getElementById('trendCanvas'),
+            selTrendWindow: document.getElementById('selTrendWindow'),
+            btnTrendPause: document.getElementById('btnTrendPause'),
+            btnTrendZoomReset: document.getElementById('btnTrendZoomReset')
+        };
+
+        const missingElements = Object.keys(this.elements).filter((key) => !this.elements[key]);
+        if (missingElements.length > 0) {
+            throw new Error(`Missing DOM elements: ${missingElements.join(', ')}`);
+        }
+
+        this.ctx = this.elements.trendCanvas.getContext('2d');
+        this.setupEventListeners();
+
+        // Redraw regularly so the time axis keeps moving between readings
+        this.renderTimer = setInterval(() => {
+            this.scheduleRender();
+        }, 500);
+
+        this.isInitialized = true;
+        this.updateControls();
+        this.scheduleRender();
+    }
+
+    destroy() {
+        if (this.renderTimer) {
+            clearInterval(this.renderTimer);
+            this.renderTimer = null;
+        }
+        this.isInitialized = false;
+    }
+
+    setupEventListeners() {
+        this.elements.selTrendWindow.addEventListener('change', () => {
+            this.windowMs = parseInt(this.elements.selTrendWindow.value, 10) * 1000;
+            this.zoom = 1;
+            this.updateControls();
+            this.scheduleRender();
+        });
+
+        this.elements.btnTrendPause.addEventListener('click', () => {
+            this.setPaused(!this.paused);
+        });
+
+        this.elements.btnTrendZoomReset.addEventListener('click', () => {
+            this.zoom = 1;
+            if (this.paused) {
+                this.viewEnd = Date.now();
+            }
+            this.updateControls();
+            this.scheduleRender();
+        });
+
+        // Wheel zooms the time axis; while paused it zooms around the cursor
+        this.elements.trendCanvas.addEventListener('wheel', (e) => {
+            e.preventDefault();
+            this.handleZoom(e.deltaY < 0 ? 1.25 : 0.8, e.offsetX);
+        }, { passive: false });
+
+        window.addEventListener('resize', () => {
+            this.scheduleRender();
+        });
+    }
+
+    setPaused(paused) {
+        this.paused = paused;
+        this.viewEnd = paused ? Date.now() : null;
+        this.updateControls();
+        this.scheduleRender();
+    }
+
+    handleZoom(factor, offsetX) {
+        const oldSpan = this.getSpan();
+        this.zoom = Math.min(Math.max(this.zoom * factor, 1), this.windowMs / 5000);
+        const newSpan = this.getSpan();
+
+        if (this.paused) {
+            // Keep the time under the cursor where it is
+            const plot = this.getPlotArea();
+            const ratio = Math.min(Math.max((offsetX - plot.left) / plot.width, 0), 1);
+            const anchor = this.viewEnd - oldSpan * (1 - ratio);
+            this.viewEnd = Math.min(anchor + newSpan * (1 - ratio), Date.now());
+        }
+
+        this.updateControls();
+        this.scheduleRender();
+    }
+
+    getSpan() {
+        return this.windowMs / this.zoom;
+    }
+
+    updateControls() {
+        this.elements.btnTrendPause.textContent = this.paused ? 'Resume' : 'Pause';
+        this.elements.btnTrendPause.setAttribute('aria-pressed', this.paused ? 'true' : 'false');
+        this.elements.btnTrendZoomReset.disabled = this.zoom === 1;
+    }
+
+    // Data collection
+    handleReadingUpdate(data) {
+        this.addPoint(data.type, data.value);
+    }
+
+    handleStateChange(data) {
+        const changes = data.changes;
+        const now = Date.now();
+
+        if (changes.voltageSetpoint !== undefined && data.oldState.voltageSetpoint !== changes.voltageSetpoint) {
+            this.addPoint('voltageSetpoint', changes.voltageSetpoint);
+        }
+        if (changes.currentSetpoint !== undefined && data.oldState.currentSetpoint !== changes.currentSetpoint) {
+            this.addPoint('currentSetpoint', changes.currentSetpoint);
+        }
+
+        if (changes.isStale !== undefined && data.oldState.isStale !== changes.isStale) {
+            if (changes.isStale) {
+                this.stalePeriods.push({ start: now, end: null });
+            } else {
+                this.closeStalePeriod(now);
+            }
+        }
+
+        if (changes.connectionState === 'disconnected') {
+            this.closeStalePeriod(now);
+        }
+
+        if (changes.estopState !== undefined && data.oldState.estopState !== changes.estopState) {
+            if (changes.estopState === 'requested' || changes.estopState === 'failed') {
+                this.estopEvents.push({ t: now, state: changes.estopState });
+                this.scheduleRender();
+            }
+        }
+    }
+
+    closeStalePeriod(now) {
+        const last = this.stalePeriods[this.stalePeriods.length - 1];
+        if (last && last.end === null) {
+            last.end = now;
+        }
+    }
+
+    addPoint(key, value) {
+        if (value === null || value === undefined || isNaN(value)) {
+            return;
+        }
+
+        const now = Date.now();
+        this.series[key].push({ t: now, v: value });
+        this.prune(now);
+        this.scheduleRender();
+    }
+
+    prune(now) {
+        const cutoff = now - this.maxHistoryMs;
+
+        for (const key of Object.keys(this.series)) {
+            const points = this.series[key];
+            let drop = 0;
+            // Keep one point before the cutoff so step traces still start at the left edge
+            while (drop < points.length - 1 && points[drop + 1].t < cutoff) {
+                drop++;
+            }
+            if (drop > 0) {
+                points.splice(0, drop);
+            }
+        }
+
+        this.stalePeriods = this.stalePeriods.filter((period) => period.end === null || period.end >= cutoff);
+        this.estopEvents = this.estopEvents.filter((event) => event.t >= cutoff);
+    }
+
+    // Rendering
+    scheduleRender() {
+        if (!this.isInitialized || this.renderPending) {
+            return;
+        }
+
+        this.renderPending = true;
+        requestAnimationFrame(() => {
+            this.renderPending = false;
+            this.render();
+        });
+    }
+
+    getPlotArea() {
+        const canvas = this.elements.trendCanvas;
+        return {
+            left: 64,
+            top: 8,
+            width: Math.max(canvas.clientWidth - 64 - 12, 10),
+            height: Math.max(canvas.clientHeight - 8 - 24, 10)
+        };
+    }
+
+    render() {
+        const canvas = this.elements.trendCanvas;
+        const ctx = this.ctx;
+        const dpr = window.devicePixelRatio || 1;
+        const width = canvas.clientWidth;
+        const height = canvas.clientHeight;
+
+        if (canvas.width !== Math.round(width * dpr) || canvas.height !== Math.round(height * dpr)) {
+            canvas.width = Math.round(width * dpr);
+            canvas.height = Math.round(height * dpr);
+        }
+
+        ctx.setTransform(dpr, 0, 0, dpr, 0, 0);
+        ctx.clearRect(0, 0, width, height);
+
+        const plot = this.getPlotArea();
+        const end = this.paused ? this.viewEnd : Date.now();
+        const start = end - this.getSpan();
+        const xOf = (t) => plot.left + (t - start) / (end - start) * plot.width;
+
+        const stripGap = 10;
+        const stripHeight = (plot.height - stripGap * (this.strips.length - 1)) / this.strips.length;
+
+        this.strips.forEach((strip, index) => {
+            const top = plot.top + index * (stripHeight + stripGap);
+            this.renderStrip(strip, { left: plot.left, top: top, width: plot.width, height: stripHeight }, start, end, xOf);
+        });
+
+        this.renderMarkers(plot, start, end, xOf);
+        this.renderTimeAxis(plot, start, end, xOf);
+
+        if (this.paused) {
+            ctx.fillStyle = '#64748b';
+            ctx.font = '12px sans-serif';
+            ctx.textAlign = 'right';
+            ctx.fillText('Paused', plot.left + plot.width, plot.top + 12);
+        }
+    }
+
+    renderStrip(strip, area, start, end, xOf) {
+        const ctx = this.ctx;
+        const points = this.visiblePoints(this.series[strip.key], start, end);
+        const setpoints = strip.setpoint ? this.visiblePoints(this.series[strip.setpoint], start, end) : [];
+
+        // Autoscale over everything visible in this strip
+        const values = points.concat(setpoints).map((point) => point.v);
+        let min = values.length > 0 ? Math.min(...values) : 0;
+        let max = values.length > 0 ? Math.max(...values) : 1;
+        if (max - min < 1e-6) {
+            min -= 0.5;
+            max += 0.5;
+        }
+        const pad = (max - min) * 0.1;
+        min -= pad;
+        max += pad;
+        const yOf = (v) => area.top + area.height - (v - min) / (max - min) * area.height;
+
+        // Frame and axis labels
+        ctx.strokeStyle = '#e2e8f0';
+        ctx.lineWidth = 1;
+        ctx.strokeRect(area.left, area.top, area.width, area.height);
+
+        ctx.fillStyle = '#64748b';
+        ctx.font = '11px sans-serif';
+        ctx.textAlign = 'right';
+        ctx.textBaseline = 'middle';
+        ctx.fillText(TrendChart.formatValue(max - pad), area.left - 6, yOf(max - pad));
+        ctx.fillText(TrendChart.formatValue(min + pad), area.left - 6, yOf(min + pad));
+
+        ctx.save();
+        ctx.translate(12, area.top + area.height / 2);
+        ctx.rotate(-Math.PI / 2);
+        ctx.textAlign = 'center';
+        ctx.fillStyle = strip.color;
+        const channel = this.store.profile.channels[strip.key];
+        ctx.fillText(`${channel.label} (${channel.unit})`, 0, 0);
+        ctx.restore();
+
+        ctx.save();
+        ctx.beginPath();
+        ctx.rect(area.left, area.top, area.width, area.height);
+        ctx.clip();
+
+        // Setpoint as a dashed step trace held to the right edge
+        if (setpoints.length > 0) {
+            ctx.strokeStyle = strip.color;
+            ctx.globalAlpha = 0.5;
+            ctx.setLineDash([6, 4]);
+            ctx.beginPath();
+            setpoints.forEach((point, i) => {
+                const x = xOf(point.t);
+                if (i === 0) {
+                    ctx.moveTo(x, yOf(point.v));
+                } else {
+                    ctx.lineTo(x, yOf(setpoints[i - 1].v));
+                    ctx.lineTo(x, yOf(point.v));
+                }
+            });
+            ctx.lineTo(xOf(end), yOf(setpoints[setpoints.length - 1].v));
+            ctx.stroke();
+            ctx.setLineDash([]);
+            ctx.globalAlpha = 1;
+        }
+
+        // Readings; lines break across gaps so missing data is not interpolated
+        const gapMs = Math.max(1000, this.store.settings.stalenessThreshold * 2);
+        ctx.strokeStyle = strip.color;
+        ctx.lineWidth = 1.5;
+        ctx.beginPath();
+        points.forEach((point, i) => {
+            const x = xOf(point.t);
+            const y = yOf(point.v);
+            if (i === 0 || point.t - points[i - 1].t > gapMs) {
+                ctx.moveTo(x, y);
+            } else {
+                ctx.lineTo(x, y);
+            }
+        });
+        ctx.stroke();
+        ctx.restore();
+    }
+
+    // Points inside [start, end] plus the last one before start (for step traces)
+    visiblePoints(points, start, end) {
+        let first = 0;
+        while (first < points.length - 1 && points[first + 1].t < start) {
+            first++;
+        }
+        return points.slice(first).filter((point) => point.t <= end);
+    }
+
+    renderMarkers(plot, start, end, xOf) {
+        const ctx = this.ctx;
+
+        // Stale periods shaded across all strips
+        ctx.fillStyle = 'rgba(217, 119, 6, 0.15)';
+        for (const period of this.stalePeriods) {
+            const periodEnd = period.end === null ? end : period.end;
+            if (periodEnd < start || period.start > end) {
+                continue;
+            }
+            const x1 = xOf(Math.max(period.start, start));
+            const x2 = xOf(Math.min(periodEnd, end));
+            ctx.fillRect(x1, plot.top, Math.max(x2 - x1, 1), plot.height);
+        }
+
+        // E-STOP events as labelled vertical lines
+        ctx.font = '10px sans-serif';
+        ctx.textAlign = 'left';
+        ctx.textBaseline = 'top';
+        for (const event of this.estopEvents) {
+            if (event.t < start || event.t > end) {
+                continue;
+            }
+            const x = xOf(event.t);
+            ctx.strokeStyle = '#991b1b';
+            ctx.lineWidth = 2;
+            ctx.beginPath();
+            ctx.moveTo(x, plot.top);
+            ctx.lineTo(x, plot.top + plot.height);
+            ctx.stroke();
+            ctx.fillStyle = '#991b1b';
+            ctx.fillText(event.state === 'failed' ? 'E-STOP failed' : 'E-STOP', x + 3, plot.top + 2);
+        }
+    }
+
+    renderTimeAxis(plot, start, end, xOf) {
+        const ctx = this.ctx;
+        const span = end - start;
+        const steps = [1, 2, 5, 10, 15, 30, 60, 120, 300, 600, 900, 1800].map((s) => s * 1000);
+        const step = steps.find((s) => span / s <= 6) || 1800 * 1000;
+
+        ctx.fillStyle = '#64748b';
+        ctx.strokeStyle = '#f1f5f9';
+        ctx.font = '11px sans-serif';
+        ctx.textAlign = 'center';
+        ctx.textBaseline = 'top';
+
+        for (let t = Math.ceil(start / step) * step; t <= end; t += step) {
+            const x = xOf(t);
+            ctx.beginPath();
+            ctx.moveTo(x, plot.top);
+            ctx.lineTo(x, plot.top + plot.height);
+            ctx.stroke();
+            // A paused view is no longer anchored at "now", so label it with clock time
+            const label = this.paused ? new Date(t).toLocaleTimeString() : TrendChart.formatOffset(t - end);
+            ctx.fillText(label, x, plot.top + plot.height + 6);
+        }
+    }
+
+    static formatValue(value) {
+        return Math.abs(value) >= 100 ? value.toFixed(0) : value.toFixed(1);
+    }
+
+    // Axis labels are relative to the right edge ("-30s", "-2:00")
+    static formatOffset(ms) {
+        const seconds = Math.round(-ms / 1000);
+        if (seconds === 0) {
+            return 'now';
+        }
+        if (seconds < 60) {
+            return `-${seconds}s`;
+        }
+        const minutes = Math.floor(seconds / 60);
+        return `-${minutes}:${String(seconds % 60).padStart(2, '0')}`;
+    }
+}
+
+// Export for use in other modules
+if (typeof window !== 'undefined') {
+    window.TrendChart = TrendChart;
+}
+
+// CommonJS export for Node (headless harness)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = TrendChart;
+}
\ No newline at end of file
@@ -1,20 +1,31 @@
 class TxScheduler {
-    constructor(sendCallback) {
+    // Hz per channel; 9 polls/s leaves a slot a second for setpoints
+    static get DEFAULT_POLL_RATES() {
+        return { voltage: 4, current: 4, temperature: 1 };
+    }
+
+    // Polls a channel can be owed after losing slots to other commands
+    static get MAX_POLL_CREDIT() {
+        return 2;
+    }
+
+    // profile: the device's profile (commands, reply templates, poll channels)
+    constructor(sendCallback, profile = DeviceProfiles.getDefault()) {
         this.sendCallback = sendCallback;
+        this.profile = profile;
         this.isRunning = false;
-        this.intervalId = null;
-        this.tickInterval = 100; // 100ms = 10Hz
+        this.timerId = null;
+        this.tickInterval = 100; // 100ms = 10Hz, the configured (fastest) cadence
+        this.nextTickAt = null;
+        this.startedAt = null;
         
         // Priority queue - higher priority = lower number
         this.priorityQueue = [];
         
-        // Polling state
-        this.pollPhase = 0; // 0 = temperature, 1 = voltage, 2 = current
-        this.pollCommands = [
-            RxParser.formatTemperaturePoll(),
-            RxParser.formatVoltagePoll(),
-            RxParser.formatCurrentPoll()
-        ];
+        // Polling state: requested rates and one entry per enabled channel
+        this.pollRates = {};
+        this.pollSchedule = [];
+        this.setPollRates(TxScheduler.DEFAULT_POLL_RATES);
         
         // Pending setpoints
         this.pendingVoltageSet = null;
@@ -25,6 +36,30 @@ class TxScheduler {
         this.lastEstopTime = 0;
         this.estopDebounceMs = 250;
         
+        // Request/response correlation
+        this.outstanding = []; // commands sent and still waiting for their reply
+        this.responseTimeoutMs = 500;
+        this.maxRetries = 3;
+        this.retryCounts = { voltage: 0, current: 0, estop: 0 };
+        this.lastSetpoints = { voltage: null, current: null }; // { command, value } last sent
+        this.onTimeout = null;
+        this.lastMatchedSentAt = 0; // send time of the newest command that got its reply
+        
+        // Adaptive pacing: the tick interval stretches while the device lags
+        // and shrinks back to tickInterval once it keeps up again
+        this.pacing = {
+            enabled: true,
+            interval: this.tickInterval, // current ms between ticks
+            maxInterval: 1000, // slowest cadence when backing off
+            estopInterval: 250, // E-STOP (and its retransmits) never wait longer than this
+            maxInFlight: 2, // commands waiting ahead of a reply before backing off
+            srtt: null, // smoothed round-trip time, ms
+            inFlight: 0,
+            state: 'nominal', // 'nominal', 'backing-off', 'recovering'
+            reason: null,
+            backoffs: 0
+        };
+        
         // Statistics
         this.stats = {
             totalTicks: 0,
@@ -32,7 +67,10 @@ class TxScheduler {
             estopsSent: 0,
             setpointsSent: 0,
             pollsSent: 0,
-            queueOverruns: 0
+            queueOverruns: 0,
+            responsesMatched: 0,
+            timeouts: 0,
+            retransmits: 0
         };
     }
 
@@ -42,29 +80,63 @@ class TxScheduler {
         }
         
         this.isRunning = true;
-        this.intervalId = setInterval(() => {
-            this.tick();
-        }, this.tickInterval);
+        this.startedAt = Date.now();
+        this.resetPacing();
+        this.scheduleTick(this.pacing.interval);
         
         console.log(`TxScheduler started with ${this.tickInterval}ms interval`);
     }
 
+    // One-shot timer per tick so the cadence can change from tick to tick
+    scheduleTick(delayMs) {
+        if (this.timerId) {
+            clearTimeout(this.timerId);
+        }
+
+        this.nextTickAt = Date.now() + delayMs;
+        this.timerId = setTimeout(() => {
+            this.timerId = null;
+            this.tick();
+            if (this.isRunning) {
+                this.scheduleTick(this.getNextDelay());
+            }
+        }, delayMs);
+    }
+
+    // Move the next tick to `time`, earlier or later. DeviceGroup lines up
+    // the member schedulers this way so a group step goes out in one tick window.
+    tickAt(time) {
+        if (this.isRunning) {
+            this.scheduleTick(Math.max(0, time - Date.now()));
+        }
+    }
+
+    getNextDelay() {
+        if (this.estopRequested) {
+            return Math.min(this.pacing.interval, this.pacing.estopInterval);
+        }
+        return this.pacing.interval;
+    }
+
     stop() {
         if (!this.isRunning) {
             return;
         }
         
         this.isRunning = false;
-        if (this.intervalId) {
-            clearInterval(this.intervalId);
-            this.intervalId = null;
+        if (this.timerId) {
+            clearTimeout(this.timerId);
+            this.timerId = null;
         }
+        this.nextTickAt = null;
         
         // Clear pending operations
         this.priorityQueue = [];
         this.pendingVoltageSet = null;
         this.pendingCurrentSet = null;
         this.estopRequested = false;
+        this.outstanding = [];
+        this.resetRetryCounts();
         
         console.log('TxScheduler stopped');
     }
@@ -77,8 +149,13 @@ class TxScheduler {
         this.stats.totalTicks++;
 
         try {
+            const now = Date.now();
+            this.checkTimeouts(now);
+            this.adaptPacing();
+
             const command = this.getNextCommand();
             if (command) {
+                this.trackCommand(command);
                 this.sendCallback(command);
                 this.stats.commandsSent++;
             }
@@ -95,7 +172,7 @@ class TxScheduler {
                 this.estopRequested = false;
                 this.lastEstopTime = now;
                 this.stats.estopsSent++;
-                return RxParser.formatResetCommand();
+                return RxParser.formatResetCommand(this.profile);
             }
         }
 
@@ -108,52 +185,342 @@ class TxScheduler {
         // Priority 3: Pending voltage setpoint
         if (this.pendingVoltageSet !== null) {
             const voltage = this.pendingVoltageSet;
+            const command = RxParser.formatVoltageCommand(voltage, this.profile);
             this.pendingVoltageSet = null;
+            this.lastSetpoints.voltage = { command: command, value: voltage };
             this.stats.setpointsSent++;
-            return RxParser.formatVoltageCommand(voltage);
+            return command;
         }
 
         // Priority 4: Pending current setpoint
         if (this.pendingCurrentSet !== null) {
             const current = this.pendingCurrentSet;
+            const command = RxParser.formatCurrentCommand(current, this.profile);
             this.pendingCurrentSet = null;
+            this.lastSetpoints.current = { command: command, value: current };
             this.stats.setpointsSent++;
-            return RxParser.formatCurrentCommand(current);
+            return command;
         }
 
-        // Priority 5: Regular polling (round-robin)
-        const pollCommand = this.pollCommands[this.pollPhase];
-        this.pollPhase = (this.pollPhase + 1) % this.pollCommands.length;
+        // Priority 5: Regular polling (weighted by channel rate)
+        return this.nextPoll();
+    }
+
+    // Every tick each channel earns its rate x tick interval in credit; a poll
+    // slot goes to the channel with the most credit once it has a whole poll.
+    // Credit is capped so slots taken by setpoints are caught up once, not in
+    // a burst. Ticks where no channel is due send nothing.
+    nextPoll() {
+        for (const entry of this.pollSchedule) {
+            entry.credit = Math.min(TxScheduler.MAX_POLL_CREDIT, entry.credit + entry.perTick);
+        }
+
+        const due = this.peekPoll();
+        if (!due) {
+            return null;
+        }
+
+        due.credit -= 1;
         this.stats.pollsSent++;
-        return pollCommand;
+        return due.command;
+    }
+
+    peekPoll() {
+        let due = null;
+        for (const entry of this.pollSchedule) {
+            if (entry.credit >= 1 && (!due || entry.credit > due.credit)) {
+                due = entry;
+            }
+        }
+        return due;
+    }
+
+    // rates: { channel: Hz } for the profile's polled channels; 0 or null
+    // disables a channel, missing channels keep their default rate. Rates
+    // adding up to more than the tick budget are scaled down together.
+    setPollRates(rates) {
+        const profile = this.profile;
+        const merged = TxScheduler.validatePollRates(rates, profile);
+        const budget = 1000 / this.tickInterval;
+
+        this.pollRates = merged;
+        const enabled = Object.entries(merged).filter(([, rate]) => rate > 0);
+        const total = enabled.reduce((sum, [, rate]) => sum + rate, 0);
+        const scale = total > budget ? budget / total : 1;
+        if (scale < 1) {
+            console.warn(`Poll rates add up to ${total} Hz, scaled to the ${budget} Hz budget`);
+        }
+
+        // Every enabled channel starts due, so the first readings arrive right away
+        this.pollSchedule = enabled.map(([channel, rate]) => ({
+            channel: channel,
+            command: profile.channels[channel].poll,
+            rate: rate,
+            effectiveRate: rate * scale,
+            perTick: rate * scale / budget,
+            credit: 1
+        }));
+
+        return this.getPollRates();
+    }
+
+    // Returns the rates merged with the defaults, throws on unknown channels or bad values
+    static validatePollRates(rates, profile = DeviceProfiles.getDefault()) {
+        const merged = { ...TxScheduler.DEFAULT_POLL_RATES, ...rates };
+
+        for (const [channel, rate] of Object.entries(merged)) {
+            if (!profile.channels[channel] || !profile.channels[channel].poll) {
+                throw new Error(`Unknown poll channel: ${channel}`);
+            }
+            if (rate !== null && (typeof rate !== 'number' || !isFinite(rate) || rate < 0)) {
+                throw new Error(`Poll rate for ${channel} must be a non-negative number of Hz`);
+            }
+        }
+
+        return merged;
+    }
+
+    getPollRates() {
+        const rates = {};
+        for (const [channel, rate] of Object.entries(this.pollRates)) {
+            const entry = this.pollSchedule.find((item) => item.channel === channel);
+            rates[channel] = {
+                requested: rate,
+                effective: entry ? Math.round(entry.effectiveRate * 100) / 100 : 0
+            };
+        }
+        return rates;
+    }
+
+    // Commands sent after the newest answered one. Replies come back in order,
+    // so older entries are lost rather than queued and don't count as lag.
+    countInFlight() {
+        return this.outstanding.filter((entry) => entry.sentAt > this.lastMatchedSentAt).length;
+    }
+
+    // Back off when commands queue up ahead of their replies or the round trip
+    // outgrows the cadence; recover by 25% a tick towards tickInterval (or
+    // 1.25 x the round trip, whichever is slower) once the device keeps up.
+    adaptPacing() {
+        const pacing = this.pacing;
+        if (!pacing.enabled) {
+            pacing.interval = this.tickInterval;
+            return;
+        }
+
+        pacing.inFlight = this.countInFlight();
+        const target = Math.max(this.tickInterval, pacing.srtt !== null ? Math.round(pacing.srtt * 1.25) : 0);
+        const queued = pacing.inFlight >= pacing.maxInFlight;
+        const slow = pacing.srtt !== null && pacing.srtt > pacing.interval;
+
+        if (queued || slow) {
+            const interval = Math.min(pacing.maxInterval, Math.max(Math.round(pacing.interval * 1.5), target));
+            if (interval > pacing.interval) {
+                if (pacing.state !== 'backing-off') {
+                    pacing.backoffs++;
+                    console.warn(`Device lagging (${queued ? `${pacing.inFlight} commands in flight` : `round trip ${Math.round(pacing.srtt)}ms`}), slowing to ${interval}ms`);
+                }
+                pacing.interval = interval;
+            }
+            pacing.state = 'backing-off';
+            pacing.reason = queued ? 'in-flight' : 'round-trip';
+        } else if (pacing.interval > target) {
+            pacing.interval = Math.max(target, Math.round(pacing.interval * 0.75));
+            pacing.state = 'recovering';
+            pacing.reason = null;
+        } else {
+            pacing.state = pacing.interval > this.tickInterval ? 'recovering' : 'nominal';
+            pacing.reason = null;
+        }
+    }
+
+    resetPacing() {
+        this.pacing.interval = this.tickInterval;
+        this.pacing.srtt = null;
+        this.pacing.inFlight = 0;
+        this.pacing.state = 'nominal';
+        this.pacing.reason = null;
+        this.lastMatchedSentAt = 0;
+    }
+
+    // Reply expected for each outgoing command, or null for commands we can't correlate
+    static describeCommand(command, profile = DeviceProfiles.getDefault()) {
+        const compiled = DeviceProfiles.compile(profile);
+
+        for (const [channel, definition] of Object.entries(profile.channels)) {
+            if (command === definition.poll && definition.reading) {
+                return { kind: 'poll', channel: channel, expect: DeviceProfiles.templateToRegex(definition.reading, definition.width) };
+            }
+        }
+
+        if (command === profile.commands.reset) {
+            return { kind: 'estop', channel: null, expect: new RegExp(`^${profile.commands.resetAck}$`) };
+        }
+
+        // A setpoint is acknowledged by the ack template carrying the same field
+        for (const entry of compiled.sets) {
+            const match = command.match(entry.regex);
+            if (match) {
+                const ack = profile.channels[entry.channel].ack.replace('{n}', match[1]);
+                return { kind: entry.channel, channel: entry.channel, expect: new RegExp(`^${ack}$`) };
+            }
+        }
+
+        return null;
+    }
+
+    trackCommand(command) {
+        const description = TxScheduler.describeCommand(command, this.profile);
+        if (!description) {
+            return;
+        }
+
+        this.outstanding.push({
+            command: command,
+            kind: description.kind,
+            channel: description.channel,
+            expect: description.expect,
+            sentAt: Date.now(),
+            attempt: (this.retryCounts[description.kind] || 0) + 1
+        });
+    }
+
+    // Match an incoming token against the oldest outstanding command expecting it
+    handleResponse(token) {
+        const index = this.outstanding.findIndex((entry) => entry.expect.test(token));
+        if (index === -1) {
+            return null;
+        }
+
+        const entry = this.outstanding.splice(index, 1)[0];
+        if (entry.kind in this.retryCounts) {
+            this.retryCounts[entry.kind] = 0;
+        }
+        this.stats.responsesMatched++;
+
+        const roundTripMs = Date.now() - entry.sentAt;
+        this.lastMatchedSentAt = Math.max(this.lastMatchedSentAt, entry.sentAt);
+        this.pacing.srtt = this.pacing.srtt === null ? roundTripMs : this.pacing.srtt * 0.8 + roundTripMs * 0.2;
+
+        return {
+            command: entry.command,
+            kind: entry.kind,
+            channel: entry.channel,
+            attempt: entry.attempt,
+            roundTripMs: roundTripMs
+        };
+    }
+
+    checkTimeouts(now) {
+        const expired = this.outstanding.filter((entry) => now - entry.sentAt >= this.responseTimeoutMs);
+        if (expired.length === 0) {
+            return;
+        }
+
+        this.outstanding = this.outstanding.filter((entry) => !expired.includes(entry));
+        for (const entry of expired) {
+            this.handleTimeout(entry, now);
+        }
+    }
+
+    handleTimeout(entry, now) {
+        this.stats.timeouts++;
+
+        if (entry.kind === 'voltage' || entry.kind === 'current') {
+            const pendingKey = entry.kind === 'voltage' ? 'pendingVoltageSet' : 'pendingCurrentSet';
+            const last = this.lastSetpoints[entry.kind];
+
+            // A newer setpoint superseded this one - its own reply is what matters now
+            if (!last || last.command !== entry.command || this[pendingKey] !== null) {
+                return;
+            }
+
+            if (this.retryCounts[entry.kind] < this.maxRetries) {
+                this.retryCounts[entry.kind]++;
+                this[pendingKey] = last.value;
+                this.stats.retransmits++;
+                console.warn(`No reply to ${entry.command}, retransmitting (${this.retryCounts[entry.kind]}/${this.maxRetries})`);
+                return;
+            }
+        }
+
+        if (entry.kind === 'estop') {
+            if (this.retryCounts.estop < this.maxRetries) {
+                this.retryCounts.estop++;
+                this.estopRequested = true;
+                this.stats.retransmits++;
+                console.warn(`No reply to ${entry.command}, retransmitting (${this.retryCounts.estop}/${this.maxRetries})`);
+                return;
+            }
+        }
+
+        if (entry.kind in this.retryCounts) {
+            this.retryCounts[entry.kind] = 0;
+        }
+
+        this.notifyTimeout({
+            type: entry.kind,
+            channel: entry.channel,
+            command: entry.command,
+            attempts: entry.attempt,
+            waitedMs: now - entry.sentAt
+        });
+    }
+
+    notifyTimeout(event) {
+        if (this.onTimeout) {
+            this.onTimeout(event);
+        }
+    }
+
+    resetRetryCounts() {
+        this.retryCounts = { voltage: 0, current: 0, estop: 0 };
     }
 
     // Public interface methods
     requestEstop() {
         this.estopRequested = true;
+        this.retryCounts.estop = 0;
+
+        // The reset takes the output to zero; a setpoint still queued or
+        // waiting for its ack must not be (re)sent after ERST and raise it again
+        this.pendingVoltageSet = null;
+        this.pendingCurrentSet = null;
+        this.lastSetpoints = { voltage: null, current: null };
+        this.retryCounts.voltage = 0;
+        this.retryCounts.current = 0;
+        this.outstanding = this.outstanding.filter((entry) => entry.kind !== 'voltage' && entry.kind !== 'current');
         console.log('E-STOP requested');
+
+        // Don't sit out a backed-off tick
+        const waitMs = this.nextTickAt !== null ? this.nextTickAt - Date.now() : 0;
+        if (this.isRunning && waitMs > this.pacing.estopInterval) {
+            this.scheduleTick(this.pacing.estopInterval);
+        }
     }
 
     setVoltage(voltage) {
-        const validation = RxParser.validateVoltage(voltage);
+        const validation = RxParser.validateVoltage(voltage, this.profile);
         if (!validation.valid) {
             throw new Error(validation.error);
         }
         
         // Replace any existing pending voltage setpoint (coalescing)
         this.pendingVoltageSet = voltage;
-        console.log(`Voltage setpoint queued: ${voltage} V`);
+        this.retryCounts.voltage = 0;
+        console.log(`Voltage setpoint queued: ${voltage} ${this.profile.channels.voltage.unit}`);
     }
 
     setCurrent(current) {
-        const validation = RxParser.validateCurrent(current);
+        const validation = RxParser.validateCurrent(current, this.profile);
         if (!validation.valid) {
             throw new Error(validation.error);
         }
         
         // Replace any existing pending current setpoint (coalescing)
         this.pendingCurrentSet = current;
-        console.log(`Current setpoint queued: ${current} A`);
+        this.retryCounts.current = 0;
+        console.log(`Current setpoint queued: ${current} ${this.profile.channels.current.unit}`);
     }
 
     // Queue a custom command with priority
@@ -199,6 +566,8 @@ class TxScheduler {
         }
         
         this.tickInterval = intervalMs;
+        this.pacing.interval = intervalMs;
+        this.setPollRates(this.pollRates);
         
         if (wasRunning) {
             this.start();
@@ -207,11 +576,61 @@ class TxScheduler {
         console.log(`Tick interval set to ${intervalMs}ms`);
     }
 
+    // options: { enabled, maxInterval, estopInterval, maxInFlight }
+    setPacing(options) {
+        const pacing = { ...this.pacing, ...options };
+        if (pacing.maxInterval < this.tickInterval) {
+            throw new Error('Maximum pacing interval cannot be shorter than the tick interval');
+        }
+        if (pacing.estopInterval < 50 || pacing.estopInterval > pacing.maxInterval) {
+            throw new Error('E-STOP interval must be between 50ms and the maximum pacing interval');
+        }
+        if (!Number.isInteger(pacing.maxInFlight) || pacing.maxInFlight < 1) {
+            throw new Error('maxInFlight must be a positive integer');
+        }
+
+        Object.assign(this.pacing, {
+            enabled: pacing.enabled,
+            maxInterval: pacing.maxInterval,
+            estopInterval: pacing.estopInterval,
+            maxInFlight: pacing.maxInFlight,
+            interval: Math.min(this.pacing.interval, pacing.maxInterval)
+        });
+        console.log(`Adaptive pacing ${pacing.enabled ? `on, ${this.tickInterval}-${pacing.maxInterval}ms` : 'off'}, E-STOP within ${pacing.estopInterval}ms`);
+    }
+
+    getPacingStatus() {
+        const pacing = this.pacing;
+        return {
+            enabled: pacing.enabled,
+            state: pacing.state,
+            reason: pacing.reason,
+            intervalMs: pacing.interval,
+            rateHz: Math.round(10000 / pacing.interval) / 10,
+            baseIntervalMs: this.tickInterval,
+            maxIntervalMs: pacing.maxInterval,
+            estopIntervalMs: pacing.estopInterval,
+            smoothedRttMs: pacing.srtt !== null ? Math.round(pacing.srtt) : null,
+            inFlight: pacing.inFlight,
+            backoffs: pacing.backoffs
+        };
+    }
+
     setEstopDebounce(debounceMs) {
         this.estopDebounceMs = debounceMs;
         console.log(`E-STOP debounce set to ${debounceMs}ms`);
     }
 
+    setResponseTimeout(timeoutMs, maxRetries = this.maxRetries) {
+        if (timeoutMs < this.tickInterval) {
+            throw new Error('Response timeout cannot be shorter than the tick interval');
+        }
+
+        this.responseTimeoutMs = timeoutMs;
+        this.maxRetries = maxRetries;
+        console.log(`Response timeout set to ${timeoutMs}ms, ${maxRetries} retries`);
+    }
+
     // Status and diagnostics
     getStatus() {
         return {
@@ -221,7 +640,13 @@ class TxScheduler {
             pendingVoltage: this.pendingVoltageSet,
             pendingCurrent: this.pendingCurrentSet,
             estopPending: this.estopRequested,
-            pollPhase: this.pollPhase,
+            pollRates: this.getPollRates(),
+            pacing: this.getPacingStatus(),
+            outstanding: this.outstanding.map((entry) => ({
+                command: entry.command,
+                attempt: entry.attempt,
+                ageMs: Date.now() - entry.sentAt
+            })),
             stats: { ...this.stats }
         };
     }
@@ -245,21 +670,26 @@ class TxScheduler {
             pending.push({ type: 'current', value: this.pendingCurrentSet, priority: 4 });
         }
         
-        pending.push({ type: 'poll', command: this.pollCommands[this.pollPhase], priority: 5 });
+        const nextPoll = this.peekPoll();
+        if (nextPoll) {
+            pending.push({ type: 'poll', command: nextPoll.command, priority: 5 });
+        }
         
         return pending;
     }
 
     getStats() {
+        // Wall time rather than ticks x tickInterval: the cadence varies with pacing
         const totalCommands = this.stats.commandsSent;
+        const elapsed = this.isRunning ? (Date.now() - this.startedAt) / 1000 : 0;
         return {
             ...this.stats,
-            commandRate: totalCommands > 0 && this.stats.totalTicks > 0 
-                ? (totalCommands / (this.stats.totalTicks * this.tickInterval / 1000)).toFixed(1) + ' Hz'
+            pollRates: this.getPollRates(),
+            pacing: this.getPacingStatus(),
+            commandRate: totalCommands > 0 && elapsed > 0
+                ? (totalCommands / elapsed).toFixed(1) + ' Hz'
                 : '0 Hz',
-            uptime: this.isRunning 
-                ? ((this.stats.totalTicks * this.tickInterval) / 1000).toFixed(1) + 's'
-                : '0s'
+            uptime: elapsed.toFixed(1) + 's'
         };
     }
 
@@ -270,7 +700,10 @@ class TxScheduler {
             estopsSent: 0,
             setpointsSent: 0,
             pollsSent: 0,
-            queueOverruns: 0
+            queueOverruns: 0,
+            responsesMatched: 0,
+            timeouts: 0,
+            retransmits: 0
         };
     }
 
@@ -280,6 +713,8 @@ class TxScheduler {
         this.pendingVoltageSet = null;
         this.pendingCurrentSet = null;
         this.estopRequested = false;
+        this.outstanding = [];
+        this.resetRetryCounts();
         console.log('All pending operations cleared');
     }
 
@@ -341,4 +776,9 @@ class TxScheduler {
 // Export for use in other modules
 if (typeof window !== 'undefined') {
     window.TxScheduler = TxScheduler;
+}
+
+// CommonJS export for Node (headless harness)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = TxScheduler;
 }
\ No newline at end of file
@@ -20,18 +20,34 @@ class UIController {
         this.elements = {
             // Connection
             btnConnect: document.getElementById('btnConnect'),
+            selTransport: document.getElementById('selTransport'),
+            selProfile: document.getElementById('selProfile'),
+            profileFile: document.getElementById('profileFile'),
+            replayOptions: document.getElementById('replayOptions'),
+            replayFile: document.getElementById('replayFile'),
+            selReplaySpeed: document.getElementById('selReplaySpeed'),
             portStatus: document.getElementById('portStatus'),
             
             // Readings
             actVoltage: document.getElementById('actVoltage'),
             actCurrent: document.getElementById('actCurrent'),
             actTemp: document.getElementById('actTemp'),
+            protectionStatus: document.getElementById('protectionStatus'),
+            btnFaultAck: document.getElementById('btnFaultAck'),
             
             // Controls
             inVoltage: document.getElementById('inVoltage'),
+            voltageUnit: document.getElementById('voltageUnit'),
+            voltageHelp: document.getElementById('voltage-help'),
             btnSetVoltage: document.getElementById('btnSetVoltage'),
             inCurrent: document.getElementById('inCurrent'),
+            currentUnit: document.getElementById('currentUnit'),
+            currentHelp: document.getElementById('current-help'),
             btnSetCurrent: document.getElementById('btnSetCurrent'),
+            voltageRamp: document.getElementById('voltageRamp'),
+            currentRamp: document.getElementById('currentRamp'),
+            voltageVerify: document.getElementById('voltageVerify'),
+            currentVerify: document.getElementById('currentVerify'),
             
             // Emergency
             btnEstop: document.getElementById('btnEstop'),
@@ -56,6 +72,9 @@ class UIController {
             throw new Error(`Missing DOM elements: ${missingElements.join(', ')}`);
         }
 
+        // Device profile choices
+        this.fillProfiles();
+
         // Set up event listeners
         this.setupEventListeners();
 
@@ -72,6 +91,34 @@ class UIController {
             this.handleConnectClick();
         });
 
+        // Transport selection
+        this.elements.selTransport.addEventListener('change', () => {
+            this.handleTransportChange();
+        });
+
+        // Device profile selection
+        this.elements.selProfile.addEventListener('change', () => {
+            document.dispatchEvent(new CustomEvent('profile-change', {
+                detail: { profile: this.elements.selProfile.value }
+            }));
+        });
+
+        this.elements.profileFile.addEventListener('change', () => {
+            this.handleProfileFile();
+        });
+
+        // Replay transcript and speed
+        this.elements.replayFile.addEventListener('change', () => {
+            this.handleReplayFile();
+        });
+
+        this.elements.selReplaySpeed.addEventListener('change', () => {
+            const value = this.elements.selReplaySpeed.value;
+            document.dispatchEvent(new CustomEvent('replay-speed-change', {
+                detail: { speed: value === 'max' ? 'max' : Number(value) }
+            }));
+        });
+
         // Voltage setpoint
         this.elements.btnSetVoltage.addEventListener('click', () => {
             this.handleVoltageSet();
@@ -99,12 +146,17 @@ class UIController {
             this.handleEstopClick();
         });
 
+        // Protection fault acknowledge
+        this.elements.btnFaultAck.addEventListener('click', () => {
+            document.dispatchEvent(new CustomEvent('fault-ack-request'));
+        });
+
         // Keyboard shortcuts
         document.addEventListener('keydown', (e) => {
-            // E-STOP on Escape key
+            // E-STOP on Escape key (every device on the page)
             if (e.key === 'Escape') {
                 e.preventDefault();
-                this.handleEstopClick();
+                document.dispatchEvent(new CustomEvent('estop-all-request'));
             }
             
             // Connect/disconnect on Ctrl+Enter
@@ -132,6 +184,60 @@ class UIController {
         document.dispatchEvent(event);
     }
 
+    handleTransportChange() {
+        const event = new CustomEvent('transport-change', {
+            detail: { transport: this.elements.selTransport.value }
+        });
+        document.dispatchEvent(event);
+    }
+
+    // Rebuilt after profiles are imported
+    fillProfiles() {
+        const select = this.elements.selProfile;
+        select.innerHTML = '';
+        for (const profile of DeviceProfiles.list()) {
+            const option = document.createElement('option');
+            option.value = profile.id;
+            option.textContent = profile.name;
+            select.appendChild(option);
+        }
+        select.value = this.store.profile.id;
+    }
+
+    async handleProfileFile() {
+        const file = this.elements.profileFile.files[0];
+        if (!file) {
+            return;
+        }
+
+        try {
+            const text = await file.text();
+            document.dispatchEvent(new CustomEvent('profile-import', {
+                detail: { name: file.name, text: text }
+            }));
+        } catch (error) {
+            this.showError(`Could not read ${file.name}: ${error.message}`);
+        }
+        // The same file can be picked again after it was fixed
+        this.elements.profileFile.value = '';
+    }
+
+    async handleReplayFile() {
+        const file = this.elements.replayFile.files[0];
+        if (!file) {
+            return;
+        }
+
+        try {
+            const text = await file.text();
+            document.dispatchEvent(new CustomEvent('replay-file-selected', {
+                detail: { name: file.name, text: text }
+            }));
+        } catch (error) {
+            this.showError(`Could not read ${file.name}: ${error.message}`);
+        }
+    }
+
     handleVoltageSet() {
         const input = this.elements.inVoltage;
         const value = parseFloat(input.value);
@@ -200,18 +306,50 @@ class UIController {
 
     // UI update methods
     updateUI() {
+        this.updateProfileUI();
         this.updateConnectionUI();
         this.updateReadings();
         this.updateControls();
+        this.updateRampUI();
+        this.updateConvergenceUI();
+        this.updateProtectionUI();
         this.updateEstopUI();
         this.updateStaleState();
     }
 
+    // Units, ranges and help text follow this device's profile
+    updateProfileUI() {
+        const profile = this.store.profile;
+        this.elements.selProfile.value = profile.id;
+
+        const inputs = [
+            { channel: 'voltage', input: this.elements.inVoltage, unit: this.elements.voltageUnit, help: this.elements.voltageHelp },
+            { channel: 'current', input: this.elements.inCurrent, unit: this.elements.currentUnit, help: this.elements.currentHelp }
+        ];
+
+        for (const item of inputs) {
+            const definition = profile.channels[item.channel];
+            item.input.min = definition.min;
+            item.input.max = definition.max;
+            item.input.step = definition.scale;
+            item.unit.textContent = definition.unit;
+            item.help.textContent = `Range: ${definition.min} - ${definition.max} ${definition.unit}`;
+        }
+    }
+
     updateConnectionUI() {
         const state = this.store.connectionState;
         const statusElement = this.elements.portStatus;
         const connectButton = this.elements.btnConnect;
 
+        // Transport can only be changed while disconnected
+        this.elements.selTransport.value = this.store.settings.transport;
+        this.elements.selTransport.disabled = state !== 'disconnected' && state !== 'error';
+        this.elements.selProfile.disabled = this.elements.selTransport.disabled;
+        this.elements.replayOptions.hidden = this.store.settings.transport !== 'replay';
+        this.elements.replayFile.disabled = this.elements.selTransport.disabled;
+        this.elements.selReplaySpeed.value = String(this.store.settings.replaySpeed);
+
         // Remove all status classes
         statusElement.className = 'status-indicator';
         
@@ -251,51 +389,111 @@ class UIController {
     }
 
     updateReadings() {
-        // Voltage
-        if (this.store.actualVoltage !== null) {
-            this.elements.actVoltage.textContent = `${this.store.actualVoltage.toFixed(1)} kV`;
-        } else {
-            this.elements.actVoltage.textContent = '--.- kV';
-        }
-
-        // Current
-        if (this.store.actualCurrent !== null) {
-            this.elements.actCurrent.textContent = `${this.store.actualCurrent.toFixed(1)} mA`;
-        } else {
-            this.elements.actCurrent.textContent = '--.- mA';
-        }
-
-        // Temperature
-        if (this.store.actualTemperature !== null) {
-            this.elements.actTemp.textContent = `${this.store.actualTemperature} °C`;
-        } else {
-            this.elements.actTemp.textContent = '-- °C';
-        }
+        const profile = this.store.profile;
+        this.elements.actVoltage.textContent = DeviceProfiles.formatValue(profile, 'voltage', this.store.actualVoltage);
+        this.elements.actCurrent.textContent = DeviceProfiles.formatValue(profile, 'current', this.store.actualCurrent);
+        this.elements.actTemp.textContent = DeviceProfiles.formatValue(profile, 'temperature', this.store.actualTemperature);
     }
 
     updateControls() {
-        const connected = this.store.isConnected() && !this.store.isStale;
-        
+        // A replayed transcript has no device to take setpoints
+        const connected = this.store.isConnected() && !this.store.isStale && this.store.settings.transport !== 'replay';
+
         // Enable/disable inputs based on connection state
+        const voltageRamping = this.store.voltageRamp !== null;
+        const currentRamping = this.store.currentRamp !== null;
+        
+        // Enable/disable inputs based on connection state (a running ramp can be retargeted)
         this.elements.inVoltage.disabled = !connected;
-        this.elements.btnSetVoltage.disabled = !connected || this.store.pendingVoltageSet;
+        this.elements.btnSetVoltage.disabled = !connected || (this.store.pendingVoltageSet && !voltageRamping);
         this.elements.inCurrent.disabled = !connected;
-        this.elements.btnSetCurrent.disabled = !connected || this.store.pendingCurrentSet;
+        this.elements.btnSetCurrent.disabled = !connected || (this.store.pendingCurrentSet && !currentRamping);
 
         // Update button text to show pending state
-        if (this.store.pendingVoltageSet) {
+        if (voltageRamping) {
+            this.elements.btnSetVoltage.textContent = 'Retarget';
+        } else if (this.store.pendingVoltageSet) {
             this.elements.btnSetVoltage.textContent = 'Setting...';
         } else {
             this.elements.btnSetVoltage.textContent = 'Set';
         }
 
-        if (this.store.pendingCurrentSet) {
+        if (currentRamping) {
+            this.elements.btnSetCurrent.textContent = 'Retarget';
+        } else if (this.store.pendingCurrentSet) {
             this.elements.btnSetCurrent.textContent = 'Setting...';
         } else {
             this.elements.btnSetCurrent.textContent = 'Set';
         }
     }
 
+    updateRampUI() {
+        const channels = this.store.profile.channels;
+        this.renderRamp(this.elements.voltageRamp, this.store.voltageRamp, channels.voltage.unit);
+        this.renderRamp(this.elements.currentRamp, this.store.currentRamp, channels.current.unit);
+    }
+
+    renderRamp(element, ramp, unit) {
+        if (!ramp) {
+            element.textContent = '';
+            return;
+        }
+
+        const percent = Math.round(ramp.progress * 100);
+        element.textContent = `Ramping ${ramp.value.toFixed(1)} → ${ramp.target.toFixed(1)} ${unit} (${percent}%)`;
+    }
+
+    // A green ack isn't "HV on": show whether the readings actually got there
+    updateConvergenceUI() {
+        const state = this.store.convergenceState;
+        this.renderConvergence(this.elements.voltageVerify, state.voltage);
+        this.renderConvergence(this.elements.currentVerify, state.current);
+    }
+
+    renderConvergence(element, check) {
+        if (!check) {
+            element.className = 'verify-status';
+            element.textContent = '';
+            return;
+        }
+
+        element.className = `verify-status ${check.status}`;
+        if (check.status === 'settling') {
+            const profile = this.store.profile;
+            element.textContent = `Acknowledged, waiting for readings to reach ${DeviceProfiles.formatValue(profile, check.channel, check.target)}...`;
+        } else {
+            element.textContent = check.message;
+        }
+    }
+
+    updateProtectionUI() {
+        const state = this.store.protectionState;
+        const status = this.elements.protectionStatus;
+
+        status.className = `protection-status ${state.status}`;
+        if (state.fault) {
+            status.textContent = `TRIPPED - ${state.fault.message}. Acknowledge once the cause is cleared.`;
+        } else if (state.warnings.length > 0) {
+            status.textContent = state.warnings
+                .map((warning) => `${warning.label}: ${warning.value} ${warning.unit} (limit ${warning.threshold} ${warning.unit})`)
+                .join(' · ');
+        } else {
+            status.textContent = this.store.settings.protectionEnabled ? 'Protection armed' : 'Protection disabled';
+        }
+
+        this.elements.btnFaultAck.hidden = !state.fault;
+
+        // Highlight the affected reading tiles
+        const readings = { voltage: this.elements.actVoltage, current: this.elements.actCurrent, temperature: this.elements.actTemp };
+        for (const [reading, element] of Object.entries(readings)) {
+            const item = element.closest('.reading-item');
+            const tripped = state.fault !== null && state.fault.reading === reading;
+            const warned = state.warnings.some((warning) => warning.reading === reading);
+            item.classList.toggle('reading-trip', tripped);
+            item.classList.toggle('reading-warning', warned && !tripped);
+        }
+    }
+
     updateEstopUI() {
         const estopStatus = this.elements.estopStatus;
         
@@ -314,6 +512,11 @@ class UIController {
                 estopStatus.textContent = this.store.estopMessage;
                 estopStatus.className = 'estop-acknowledged';
                 break;
+                
+            case 'failed':
+                estopStatus.textContent = this.store.estopMessage;
+                estopStatus.className = 'estop-failed';
+                break;
         }
     }
 
@@ -332,12 +535,8 @@ class UIController {
         let errorMessage = '';
 
         if (!isNaN(value)) {
-            if (type === 'voltage') {
-                const validation = RxParser.validateVoltage(value);
-                isValid = validation.valid;
-                errorMessage = validation.error || '';
-            } else if (type === 'current') {
-                const validation = RxParser.validateCurrent(value);
+            if (type === 'voltage' || type === 'current') {
+                const validation = this.store.validateSetpoint(type, value);
                 isValid = validation.valid;
                 errorMessage = validation.error || '';
             }
@@ -456,4 +655,9 @@ class UIController {
 // Export for use in other modules
 if (typeof window !== 'undefined') {
     window.UIController = UIController;
+}
+
+// CommonJS export for Node (headless harness)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = UIController;
 }
\ No newline at end of file
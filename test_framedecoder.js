@@ -0,0 +1,20 @@
+// Load and test FrameDecoder
+const path = require('path');
+
+const FrameDecoder = require(path.join(__dirname, 'controller', 'frameDecoder.js'));
+
+// Run the self-test
+const results = FrameDecoder.runSelfTest();
+
+console.log('FrameDecoder Self-Test Results:');
+results.forEach(result => {
+    const status = result.passed ? 'PASS' : 'FAIL';
+    console.log(`${status}  ${result.name}`);
+});
+
+// Summary
+const passCount = results.filter(r => r.passed).length;
+const totalCount = results.length;
+console.log(`\nSummary: ${passCount}/${totalCount} tests passed`);
+
+process.exitCode = passCount === totalCount ? 0 : 1;
@@ -0,0 +1,20 @@
+// Load and test LinkAnalytics
+const path = require('path');
+
+const LinkAnalytics = require(path.join(__dirname, 'js', 'linkAnalytics.js'));
+
+// Run the self-test
+const results = LinkAnalytics.runSelfTest();
+
+console.log('LinkAnalytics Self-Test Results:');
+results.forEach(result => {
+    const status = result.passed ? 'PASS' : 'FAIL';
+    console.log(`${status}  ${result.name}`);
+});
+
+// Summary
+const passCount = results.filter(r => r.passed).length;
+const totalCount = results.length;
+console.log(`\nSummary: ${passCount}/${totalCount} tests passed`);
+
+process.exitCode = passCount === totalCount ? 0 : 1;
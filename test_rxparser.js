@@ -1,10 +1,9 @@
 // Load and test RxParser
-const fs = require('fs');
 const path = require('path');
 
-// Read and evaluate the RxParser code
-const rxParserCode = fs.readFileSync(path.join(__dirname, 'js', 'rxParser.js'), 'utf8');
-eval(rxParserCode);
+// RxParser resolves DeviceProfiles as a global, as it does in the browser
+Object.assign(global, require(path.join(__dirname, 'js', 'deviceProfiles.js')));
+const RxParser = require(path.join(__dirname, 'js', 'rxParser.js'));
 
 // Run the self-test
 const results = RxParser.runSelfTest();
@@ -26,5 +25,4 @@ const passCount = results.filter(r => r.passed).length;
 const totalCount = results.length;
 console.log(`\nSummary: ${passCount}/${totalCount} tests passed`);
 
-// Clean up
-fs.unlinkSync(__filename);
\ No newline at end of file
+process.exitCode = passCount === totalCount ? 0 : 1;
\ No newline at end of file
@@ -0,0 +1,23 @@
+// Load and test SequenceBuilder
+const path = require('path');
+
+// SequenceBuilder resolves SweepExplorer and FrameDecoder as globals, as it does in the browser
+global.SweepExplorer = require(path.join(__dirname, 'controller', 'sweepExplorer.js'));
+global.FrameDecoder = require(path.join(__dirname, 'controller', 'frameDecoder.js'));
+const SequenceBuilder = require(path.join(__dirname, 'controller', 'sequenceBuilder.js'));
+
+// Run the self-test
+const results = SequenceBuilder.runSelfTest();
+
+console.log('SequenceBuilder Self-Test Results:');
+results.forEach(result => {
+    const status = result.passed ? 'PASS' : 'FAIL';
+    console.log(`${status}  ${result.name}`);
+});
+
+// Summary
+const passCount = results.filter(r => r.passed).length;
+const totalCount = results.length;
+console.log(`\nSummary: ${passCount}/${totalCount} tests passed`);
+
+process.exitCode = passCount === totalCount ? 0 : 1;
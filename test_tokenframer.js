@@ -0,0 +1,21 @@
+// Load and test TokenFramer
+const path = require('path');
+
+const TokenFramer = require(path.join(__dirname, 'js', 'tokenFramer.js'));
+
+// Run the self-test
+const results = TokenFramer.runSelfTest();
+
+console.log('TokenFramer Self-Test Results:');
+results.forEach(result => {
+    const status = result.passed ? 'PASS' : 'FAIL';
+    const detail = result.passed ? '' : `  tokens: ${JSON.stringify(result.tokens)}, errors: ${JSON.stringify(result.errors)}`;
+    console.log(`${status}  ${result.name}${detail}`);
+});
+
+// Summary
+const passCount = results.filter(r => r.passed).length;
+const totalCount = results.length;
+console.log(`\nSummary: ${passCount}/${totalCount} tests passed`);
+
+process.exitCode = passCount === totalCount ? 0 : 1;